@@ -0,0 +1,100 @@
+/**
+ * Response formatter tests
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { formatRecords, renderUser, renderDate, renderDateTime, VIEWS } from '../lib/formatter.js';
+
+const issues = [
+  {
+    key: 'DEV-1',
+    fields: {
+      summary: 'Login fails | on Safari',
+      status: { name: 'Open' },
+      assignee: { displayName: 'John Doe' },
+      priority: { name: 'High' },
+      created: '2025-01-10T09:00:00.000+0000',
+      updated: '2025-01-15T10:30:00.000+0000'
+    }
+  },
+  {
+    key: 'DEV-2',
+    fields: { summary: 'Export "all" to CSV, quickly', status: { name: 'Done' }, assignee: null, priority: null }
+  }
+];
+
+describe('field renderers', () => {
+  test('should render users, dates and timestamps consistently', () => {
+    expect(renderUser({ displayName: 'John Doe', name: 'jdoe' })).toBe('John Doe');
+    expect(renderUser({ name: 'jdoe' })).toBe('jdoe');
+    expect(renderUser(null, 'Unassigned')).toBe('Unassigned');
+    expect(renderDate('2025-01-15T10:30:00.000+0000')).toBe('2025-01-15');
+    expect(renderDate(undefined)).toBe('N/A');
+    expect(renderDateTime('2025-01-15T10:30:00.000+0000')).toBe('2025-01-15 10:30');
+  });
+});
+
+describe('formatRecords', () => {
+  test('should return raw data for json', () => {
+    const raw = { total: 2, issues };
+    expect(JSON.parse(formatRecords(issues, 'json', VIEWS.issue, { summary: 'ignored', raw }))).toEqual(raw);
+    expect(JSON.parse(formatRecords(issues, 'json', VIEWS.issue))).toEqual(issues);
+  });
+
+  test('should keep the concise issue layout', () => {
+    const text = formatRecords(issues, 'concise', VIEWS.issue, { summary: 'Total: 2' });
+
+    expect(text).toBe([
+      'Total: 2',
+      '',
+      'DEV-1: Login fails | on Safari',
+      '  Status: Open | Assignee: John Doe | Priority: High',
+      '  Created: 2025-01-10 | Updated: 2025-01-15',
+      '',
+      'DEV-2: Export "all" to CSV, quickly',
+      '  Status: Done | Assignee: Unassigned | Priority: N/A',
+      '  Created: N/A | Updated: N/A'
+    ].join('\n'));
+  });
+
+  test('should render a markdown table with escaped pipes', () => {
+    const lines = formatRecords(issues, 'markdown', VIEWS.issue).split('\n');
+
+    expect(lines[0]).toBe('| Key | Summary | Status | Assignee | Priority | Created | Updated |');
+    expect(lines[1]).toBe('| --- | --- | --- | --- | --- | --- | --- |');
+    expect(lines[2]).toBe('| DEV-1 | Login fails \\| on Safari | Open | John Doe | High | 2025-01-10 | 2025-01-15 |');
+  });
+
+  test('should align plain-text table columns', () => {
+    const lines = formatRecords([{ key: 'DEV', name: 'Development' }, { key: 'CORE', name: 'Core' }], 'table', VIEWS.project).split('\n');
+
+    expect(lines).toEqual([
+      'Key   Name',
+      '----  -----------',
+      'DEV   Development',
+      'CORE  Core'
+    ]);
+  });
+
+  test('should quote csv cells and omit the summary', () => {
+    const lines = formatRecords(issues, 'csv', VIEWS.issue, { summary: 'Total: 2' }).split('\n');
+
+    expect(lines[0]).toBe('Key,Summary,Status,Assignee,Priority,Created,Updated');
+    expect(lines[2]).toBe('DEV-2,"Export ""all"" to CSV, quickly",Done,Unassigned,N/A,N/A,N/A');
+  });
+
+  test('should flatten multi-line comment bodies outside csv', () => {
+    const comments = [{ id: '100', author: { displayName: 'Jane' }, created: '2025-01-15T10:30:00.000+0000', body: 'First line\nsecond line' }];
+
+    expect(formatRecords(comments, 'concise', VIEWS.comment)).toBe('[100] Jane (2025-01-15 10:30):\n  First line second line');
+    expect(formatRecords(comments, 'csv', VIEWS.comment).split('\n').slice(1).join('\n')).toBe('100,Jane,2025-01-15 10:30,"First line\nsecond line"');
+  });
+
+  test('should return only the summary when there are no records', () => {
+    expect(formatRecords([], 'concise', VIEWS.issue, { summary: 'Total: 0' })).toBe('Total: 0');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => formatRecords(issues, 'xml', VIEWS.issue)).toThrow('Unknown format "xml"');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * HTTP transport tests
+ * Starts the Streamable HTTP server on a random port and talks to it with fetch
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { jest } from '@jest/globals';
+import { request } from 'http';
+import { parseServerOptions } from '../lib/config.js';
+import { createMcpServer } from '../lib/server.js';
+import { startHttpServer, buildAllowedHosts } from '../lib/http-server.js';
+
+const initializeRequest = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test', version: '1.0.0' }
+  }
+};
+
+const serverDefaults = { allowedHosts: [], authToken: null, maxSessions: 100, sessionIdleMs: 30 * 60 * 1000 };
+
+/**
+ * POST a JSON body with raw http so the Host header can be set freely (fetch always sends the real one)
+ */
+function rawPost(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const req = request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', ...headers } }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Extract the JSON-RPC message from an SSE response body
+ */
+function parseSseMessage(text) {
+  const dataLine = text.split('\n').find(line => line.startsWith('data: '));
+  return JSON.parse(dataLine.slice('data: '.length));
+}
+
+describe('parseServerOptions', () => {
+  test('should default to stdio transport', () => {
+    expect(parseServerOptions([], {})).toEqual({ transport: 'stdio', host: '127.0.0.1', port: 3000, ...serverDefaults });
+  });
+
+  test('should parse http transport flags', () => {
+    const options = parseServerOptions(['--transport', 'http', '--host', '0.0.0.0', '--port', '8080', '--allowed-hosts', 'jira-mcp.internal, mcp.example.com:443'], {});
+    expect(options).toEqual({ ...serverDefaults, transport: 'http', host: '0.0.0.0', port: 8080, allowedHosts: ['jira-mcp.internal', 'mcp.example.com:443'] });
+  });
+
+  test('should fall back to environment variables', () => {
+    const options = parseServerOptions([], { MCP_TRANSPORT: 'http', MCP_PORT: '9000' });
+    expect(options.transport).toBe('http');
+    expect(options.port).toBe(9000);
+  });
+
+  test('should prefer flags over environment variables', () => {
+    const options = parseServerOptions(['--port=4000'], { MCP_PORT: '9000' });
+    expect(options.port).toBe(4000);
+  });
+
+  test('should reject unknown transports and invalid ports', () => {
+    expect(() => parseServerOptions(['--transport', 'websocket'], {})).toThrow('Unknown transport');
+    expect(() => parseServerOptions(['--port', 'abc'], {})).toThrow('Invalid port');
+    expect(() => parseServerOptions(['--verbose'], {})).toThrow();
+  });
+
+  test('should read the shared secret and session limits from the environment', () => {
+    const options = parseServerOptions([], { MCP_AUTH_TOKEN: 's3cret', MCP_MAX_SESSIONS: '5', MCP_SESSION_IDLE_MINUTES: '2' });
+    expect(options).toMatchObject({ authToken: 's3cret', maxSessions: 5, sessionIdleMs: 120000 });
+    expect(() => parseServerOptions([], { MCP_MAX_SESSIONS: '0' })).toThrow('Invalid MCP_MAX_SESSIONS');
+  });
+});
+
+describe('buildAllowedHosts', () => {
+  test('should allow the loopback names for local and wildcard binds', () => {
+    expect(buildAllowedHosts('127.0.0.1', 3000)).toEqual(['127.0.0.1:3000', 'localhost:3000', '[::1]:3000']);
+    expect(buildAllowedHosts('0.0.0.0', 3000, ['jira-mcp.internal'])).toEqual([
+      '127.0.0.1:3000', 'localhost:3000', '[::1]:3000', 'jira-mcp.internal', 'jira-mcp.internal:3000'
+    ]);
+  });
+
+  test('should allow the bound name and explicit ports', () => {
+    expect(buildAllowedHosts('10.0.0.5', 80, ['mcp.example.com:443'])).toEqual(['10.0.0.5:80', '10.0.0.5', 'mcp.example.com:443']);
+  });
+});
+
+describe('Streamable HTTP server', () => {
+  const config = { baseUrl: 'https://jira.test.com', bearerToken: 'test-token-123' };
+  const jiraRequest = jest.fn();
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = await startHttpServer({
+      createServer: () => createMcpServer(config, jiraRequest),
+      host: '127.0.0.1',
+      port: 0
+    });
+    baseUrl = `http://127.0.0.1:${server.httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  async function post(body, sessionId) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream'
+    };
+    if (sessionId) {
+      headers['mcp-session-id'] = sessionId;
+    }
+    return fetch(`${baseUrl}/mcp`, { method: 'POST', headers, body: JSON.stringify(body) });
+  }
+
+  test('should report health', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.status).toBe('ok');
+    expect(body.transport).toBe('http');
+  });
+
+  test('should return 404 for unknown paths', async () => {
+    const response = await fetch(`${baseUrl}/unknown`);
+    expect(response.status).toBe(404);
+  });
+
+  test('should reject non-initialize requests without a session', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    expect(response.status).toBe(400);
+  });
+
+  test('should initialize a session and list registered tools', async () => {
+    const initResponse = await post(initializeRequest);
+    const sessionId = initResponse.headers.get('mcp-session-id');
+    const initMessage = parseSseMessage(await initResponse.text());
+
+    expect(initResponse.status).toBe(200);
+    expect(sessionId).toBeTruthy();
+    expect(initMessage.result.serverInfo.name).toBe('jira-bearer-auth');
+    expect(server.sessions.has(sessionId)).toBe(true);
+
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+    const listResponse = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId);
+    const listMessage = parseSseMessage(await listResponse.text());
+    const toolNames = listMessage.result.tools.map(tool => tool.name);
+
+    expect(toolNames).toContain('jira-get-issue');
+    expect(toolNames).toContain('jira-search-issues');
+  });
+
+  test('should keep sessions independent', async () => {
+    const first = (await post(initializeRequest)).headers.get('mcp-session-id');
+    const second = (await post(initializeRequest)).headers.get('mcp-session-id');
+
+    expect(first).not.toBe(second);
+    expect(server.sessions.has(first)).toBe(true);
+    expect(server.sessions.has(second)).toBe(true);
+  });
+
+  test('should close a session on DELETE', async () => {
+    const sessionId = (await post(initializeRequest)).headers.get('mcp-session-id');
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'DELETE',
+      headers: { 'mcp-session-id': sessionId }
+    });
+
+    expect(response.status).toBe(200);
+    expect(server.sessions.has(sessionId)).toBe(false);
+  });
+});
+
+describe('Streamable HTTP server access control', () => {
+  const config = { baseUrl: 'https://jira.test.com', bearerToken: 'test-token-123' };
+  const jiraRequest = jest.fn();
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = await startHttpServer({
+      createServer: () => createMcpServer(config, jiraRequest),
+      host: '127.0.0.1',
+      port: 0,
+      authToken: 'shared-secret',
+      maxSessions: 2,
+      sessionIdleMs: 200
+    });
+    baseUrl = `http://127.0.0.1:${server.httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  function post(body, headers = {}) {
+    return fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', 'Authorization': 'Bearer shared-secret', ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('should refuse requests for other host names (DNS rebinding)', async () => {
+    const status = await rawPost(`${baseUrl}/mcp`, initializeRequest, { Host: 'attacker.example:3000', Authorization: 'Bearer shared-secret' });
+    expect(status).toBe(403);
+  });
+
+  test('should refuse browser requests from other origins', async () => {
+    const response = await post(initializeRequest, { Origin: 'http://attacker.example' });
+    expect(response.status).toBe(403);
+    expect((await response.json()).error.message).toContain('Invalid Origin header');
+  });
+
+  test('should require the shared secret', async () => {
+    const missing = await post(initializeRequest, { Authorization: '' });
+    const wrong = await post(initializeRequest, { Authorization: 'Bearer guess' });
+
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+    expect(wrong.status).toBe(401);
+    expect(server.sessions.size).toBe(0);
+  });
+
+  test('should cap open sessions and close idle ones', async () => {
+    const first = await post(initializeRequest, { Origin: baseUrl });
+    await post(initializeRequest);
+    const third = await post(initializeRequest);
+
+    expect(first.status).toBe(200);
+    expect(third.status).toBe(503);
+    expect(server.sessions.size).toBe(2);
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+    expect(server.sessions.size).toBe(0);
+    expect((await post(initializeRequest)).status).toBe(200);
+  });
+
+  test('should answer requests for an expired session with 404 so the client re-initializes', async () => {
+    const sessionId = (await post(initializeRequest)).headers.get('mcp-session-id');
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    const expired = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+    const stream = await fetch(`${baseUrl}/mcp`, {
+      headers: { 'Accept': 'text/event-stream', 'Authorization': 'Bearer shared-secret', 'mcp-session-id': sessionId }
+    });
+
+    expect(expired.status).toBe(404);
+    expect((await expired.json()).error.message).toBe('Session not found');
+    expect(stream.status).toBe(404);
+  });
+});
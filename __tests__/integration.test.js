@@ -3,6 +3,9 @@
  */
 
 import { jest } from '@jest/globals';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('Exported Functions Integration Tests', () => {
   // Set NODE_ENV and mock environment before importing
@@ -10,7 +13,12 @@ describe('Exported Functions Integration Tests', () => {
   process.env.JIRA_BASE_URL = 'https://jira.test.com';
   process.env.JIRA_BEARER_TOKEN = 'test-token-123';
 
-  let loadConfig, jiraRequest, isValidFilePath, getCached, sleep, HTTP_STATUS, REQUEST_TIMEOUT_MS, CACHE_TTL_MS, MAX_RETRIES, RETRY_DELAY_BASE_MS;
+  let configureRetry, parseRetryAfter, getBackoffDelay, normalizeRetry;
+  let findField, coerceFieldValue, resolveFields;
+  let normalizeBulk, normalizeAttachments, mapWithConcurrency, isWithinDirectory;
+  let walkDependencyGraph, findCycles, findUnresolvedBlockers, renderMermaid, renderDot, renderAdjacency;
+  let normalizeSearch, configureAuditLog, runWithToolContext, redactBody, extractIssueKey, readAuditEntries, normalizeAuditLog;
+  let loadConfig, normalizeProfiles, normalizeToolPolicy, normalizeSafety, diffFields, renderFieldValue, jiraRequest, isValidFilePath, matchesGlob, getCached, sleep, HTTP_STATUS, REQUEST_TIMEOUT_MS, CACHE_TTL_MS, MAX_RETRIES, RETRY_DELAY_BASE_MS;
 
   // Mock fetch globally
   global.fetch = jest.fn();
@@ -20,9 +28,43 @@ describe('Exported Functions Integration Tests', () => {
     const configModule = await import('../lib/config.js');
     const utilsModule = await import('../lib/utils.js');
     const clientModule = await import('../lib/jira-client.js');
+    const dryRunModule = await import('../lib/dry-run.js');
+    const auditModule = await import('../lib/audit-log.js');
+    const fieldsModule = await import('../lib/fields.js');
+    const graphModule = await import('../lib/dependency-graph.js');
 
     loadConfig = configModule.loadConfig;
+    normalizeProfiles = configModule.normalizeProfiles;
+    normalizeToolPolicy = configModule.normalizeToolPolicy;
+    normalizeSafety = configModule.normalizeSafety;
+    diffFields = dryRunModule.diffFields;
+    renderFieldValue = dryRunModule.renderFieldValue;
+    matchesGlob = utilsModule.matchesGlob;
     jiraRequest = clientModule.jiraRequest;
+    configureRetry = clientModule.configureRetry;
+    parseRetryAfter = clientModule.parseRetryAfter;
+    getBackoffDelay = clientModule.getBackoffDelay;
+    normalizeRetry = configModule.normalizeRetry;
+    normalizeAuditLog = configModule.normalizeAuditLog;
+    normalizeSearch = configModule.normalizeSearch;
+    normalizeBulk = configModule.normalizeBulk;
+    normalizeAttachments = configModule.normalizeAttachments;
+    isWithinDirectory = utilsModule.isWithinDirectory;
+    mapWithConcurrency = utilsModule.mapWithConcurrency;
+    configureAuditLog = auditModule.configureAuditLog;
+    runWithToolContext = auditModule.runWithToolContext;
+    redactBody = auditModule.redactBody;
+    extractIssueKey = auditModule.extractIssueKey;
+    readAuditEntries = auditModule.readAuditEntries;
+    findField = fieldsModule.findField;
+    coerceFieldValue = fieldsModule.coerceFieldValue;
+    resolveFields = fieldsModule.resolveFields;
+    walkDependencyGraph = graphModule.walkDependencyGraph;
+    findCycles = graphModule.findCycles;
+    findUnresolvedBlockers = graphModule.findUnresolvedBlockers;
+    renderMermaid = graphModule.renderMermaid;
+    renderDot = graphModule.renderDot;
+    renderAdjacency = graphModule.renderAdjacency;
     isValidFilePath = utilsModule.isValidFilePath;
     getCached = utilsModule.getCached;
     sleep = utilsModule.sleep;
@@ -56,6 +98,335 @@ describe('Exported Functions Integration Tests', () => {
       expect(config.baseUrl.length).toBeGreaterThan(0);
       expect(config.bearerToken.length).toBeGreaterThan(0);
     });
+
+    test('should expose environment credentials as the default profile', async () => {
+      const config = await loadConfig('/nonexistent/config.json');
+
+      expect(config.defaultProfile).toBe('default');
+      expect(config.profiles.default).toEqual({
+        baseUrl: 'https://jira.test.com',
+        bearerToken: 'test-token-123'
+      });
+    });
+
+    describe('with named profiles', () => {
+      let tempDir;
+      let configPath;
+
+      beforeEach(async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'jira-mcp-config-'));
+        configPath = join(tempDir, 'config.json');
+        await writeFile(configPath, JSON.stringify({
+          jira: {
+            defaultProfile: 'staging',
+            profiles: {
+              production: { baseUrl: 'https://jira.example.com', bearerToken: 'prod-token' },
+              staging: { baseUrl: 'https://jira-staging.example.com', bearerToken: 'staging-token', toolPrefix: 'staging-' }
+            }
+          }
+        }));
+      });
+
+      afterEach(async () => {
+        delete process.env.JIRA_PROFILE;
+        await rm(tempDir, { recursive: true, force: true });
+      });
+
+      test('should load profiles and expose the default profile credentials', async () => {
+        const config = await loadConfig(configPath);
+
+        expect(config.defaultProfile).toBe('staging');
+        expect(config.baseUrl).toBe('https://jira-staging.example.com');
+        expect(config.bearerToken).toBe('staging-token');
+        expect(Object.keys(config.profiles)).toEqual(['production', 'staging']);
+        expect(config.profiles.staging.toolPrefix).toBe('staging-');
+      });
+
+      test('should let JIRA_PROFILE override the default profile', async () => {
+        process.env.JIRA_PROFILE = 'production';
+        const config = await loadConfig(configPath);
+
+        expect(config.defaultProfile).toBe('production');
+        expect(config.baseUrl).toBe('https://jira.example.com');
+      });
+
+      test('should reject a JIRA_PROFILE that is not defined', async () => {
+        process.env.JIRA_PROFILE = 'prodution';
+
+        await expect(loadConfig(configPath)).rejects.toThrow('JIRA_PROFILE "prodution" is not defined (available: production, staging)');
+      });
+
+      test('should reject invalid profiles instead of falling back to environment credentials', async () => {
+        await writeFile(configPath, JSON.stringify({
+          jira: {
+            defaultProfile: 'missing',
+            profiles: { production: { baseUrl: 'https://jira.example.com', bearerToken: 'prod-token' } }
+          }
+        }));
+
+        await expect(loadConfig(configPath)).rejects.toThrow('Default profile "missing" is not defined');
+      });
+    });
+  });
+
+  describe('normalizeProfiles', () => {
+    test('should wrap a single instance in a default profile', () => {
+      expect(normalizeProfiles({ baseUrl: 'https://jira.example.com', bearerToken: 'token' })).toEqual({
+        profiles: { default: { baseUrl: 'https://jira.example.com', bearerToken: 'token' } },
+        defaultProfile: 'default'
+      });
+    });
+
+    test('should return null when credentials are missing', () => {
+      expect(normalizeProfiles(undefined)).toBeNull();
+      expect(normalizeProfiles({ baseUrl: 'https://jira.example.com' })).toBeNull();
+    });
+
+    test('should default to the first profile', () => {
+      const result = normalizeProfiles({
+        profiles: {
+          prod: { baseUrl: 'https://a', bearerToken: 'a' },
+          stage: { baseUrl: 'https://b', bearerToken: 'b' }
+        }
+      });
+      expect(result.defaultProfile).toBe('prod');
+    });
+
+    test('should reject malformed profiles', () => {
+      expect(() => normalizeProfiles({ profiles: {} })).toThrow('at least one profile');
+      expect(() => normalizeProfiles({ profiles: { prod: { baseUrl: 'https://a' } } }))
+        .toThrow('must define baseUrl and bearerToken');
+      expect(() => normalizeProfiles({ defaultProfile: 'qa', profiles: { prod: { baseUrl: 'https://a', bearerToken: 'a' } } }))
+        .toThrow('Default profile "qa" is not defined');
+      expect(() => normalizeProfiles({
+        profiles: {
+          a: { baseUrl: 'https://a', bearerToken: 'a', toolPrefix: 'x-' },
+          b: { baseUrl: 'https://b', bearerToken: 'b', toolPrefix: 'x-' }
+        }
+      })).toThrow('Duplicate toolPrefix');
+    });
+  });
+
+  describe('normalizeToolPolicy', () => {
+    test('should enable everything by default', () => {
+      expect(normalizeToolPolicy(undefined, {})).toEqual({ readOnly: false, allowTools: [], denyTools: [] });
+    });
+
+    test('should read the tools section of config.json', () => {
+      const policy = normalizeToolPolicy({ readOnly: true, denyTools: ['jira-delete-*'] }, {});
+      expect(policy).toEqual({ readOnly: true, allowTools: [], denyTools: ['jira-delete-*'] });
+    });
+
+    test('should let environment variables override config.json', () => {
+      const policy = normalizeToolPolicy({ readOnly: true, allowTools: ['jira-get-*'] }, {
+        JIRA_READ_ONLY: 'false',
+        JIRA_ALLOW_TOOLS: 'jira-search-issues, jira-get-issue',
+        JIRA_DENY_TOOLS: ''
+      });
+      expect(policy).toEqual({
+        readOnly: false,
+        allowTools: ['jira-search-issues', 'jira-get-issue'],
+        denyTools: []
+      });
+    });
+
+    test('should reject malformed values', () => {
+      expect(() => normalizeToolPolicy({}, { JIRA_READ_ONLY: 'yes' })).toThrow('JIRA_READ_ONLY');
+      expect(() => normalizeToolPolicy({ readOnly: 'true' }, {})).toThrow('tools.readOnly');
+      expect(() => normalizeToolPolicy({ denyTools: 'jira-*' }, {})).toThrow('tools.denyTools');
+    });
+  });
+
+  describe('normalizeSafety', () => {
+    test('should not require delete confirmation by default', () => {
+      expect(normalizeSafety(undefined, {})).toEqual({ requireDeleteConfirmation: false });
+    });
+
+    test('should read config.json and let the environment override it', () => {
+      expect(normalizeSafety({ requireDeleteConfirmation: true }, {})).toEqual({ requireDeleteConfirmation: true });
+      expect(normalizeSafety({ requireDeleteConfirmation: true }, { JIRA_REQUIRE_DELETE_CONFIRMATION: 'false' }))
+        .toEqual({ requireDeleteConfirmation: false });
+    });
+  });
+
+  describe('dry-run diffing', () => {
+    test('should render field values readably', () => {
+      expect(renderFieldValue(null)).toBe('(empty)');
+      expect(renderFieldValue('text')).toBe('"text"');
+      expect(renderFieldValue({ displayName: 'John Doe', name: 'jdoe' })).toBe('John Doe');
+      expect(renderFieldValue([{ name: 'backend' }, { name: 'api' }])).toBe('[backend, api]');
+      expect(renderFieldValue('x'.repeat(200)).length).toBe(120);
+    });
+
+    test('should only report fields that change', () => {
+      const changes = diffFields(
+        { summary: 'Old', priority: { name: 'High' }, labels: [] },
+        { summary: 'New', priority: { name: 'High' }, labels: ['urgent'] }
+      );
+
+      expect(changes).toEqual([
+        { field: 'summary', from: '"Old"', to: '"New"' },
+        { field: 'labels', from: '[]', to: '["urgent"]' }
+      ]);
+    });
+  });
+
+  describe('field resolution', () => {
+    const catalog = [
+      { id: 'summary', name: 'Summary', custom: false, schema: { type: 'string', system: 'summary' } },
+      { id: 'priority', name: 'Priority', custom: false, schema: { type: 'priority', system: 'priority' } },
+      { id: 'labels', name: 'Labels', custom: false, schema: { type: 'array', items: 'string', system: 'labels' } },
+      { id: 'components', name: 'Component/s', custom: false, schema: { type: 'array', items: 'component', system: 'components' } },
+      { id: 'customfield_10002', name: 'Story Points', custom: true, schema: { type: 'number', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:float' } },
+      { id: 'customfield_10003', name: 'Severity', custom: true, schema: { type: 'option', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:select' } },
+      { id: 'customfield_10004', name: 'Reviewers', custom: true, schema: { type: 'array', items: 'user', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:multiuserpicker' } },
+      { id: 'customfield_10005', name: 'Epic Link', custom: true, schema: { type: 'any', custom: 'com.pyxis.greenhopper.jira:gh-epic-link' } },
+      { id: 'customfield_10006', name: 'Sprint', custom: true, schema: { type: 'array', items: 'string', custom: 'com.pyxis.greenhopper.jira:gh-sprint' } },
+      { id: 'customfield_10007', name: 'Team', custom: true, schema: { type: 'string' } },
+      { id: 'customfield_10008', name: 'Team', custom: true, schema: { type: 'option' } }
+    ];
+
+    test('should find fields by ID or case-insensitive display name', () => {
+      expect(findField(catalog, 'customfield_10002').name).toBe('Story Points');
+      expect(findField(catalog, 'story points').id).toBe('customfield_10002');
+      expect(findField(catalog, 'duedate')).toBeUndefined();
+    });
+
+    test('should reject unknown and ambiguous names', () => {
+      expect(() => findField(catalog, 'Team')).toThrow(/ambiguous[\s\S]*customfield_10007[\s\S]*customfield_10008/);
+      expect(() => findField(catalog, 'Story')).toThrow('Unknown field "Story". Did you mean: "Story Points" (customfield_10002, number)?');
+      expect(() => findField(catalog, 'Flux Capacitor')).toThrow('Use jira-get-custom-fields');
+    });
+
+    test('should convert simple values to field payload shapes', () => {
+      const field = name => findField(catalog, name);
+
+      expect(coerceFieldValue(field('Priority'), 'High')).toEqual({ name: 'High' });
+      expect(coerceFieldValue(field('Severity'), 'Critical')).toEqual({ value: 'Critical' });
+      expect(coerceFieldValue(field('Severity'), { id: '10100' })).toEqual({ id: '10100' });
+      expect(coerceFieldValue(field('Reviewers'), ['jdoe', 'asmith'])).toEqual([{ name: 'jdoe' }, { name: 'asmith' }]);
+      expect(coerceFieldValue(field('Component/s'), 'Backend')).toEqual([{ name: 'Backend' }]);
+      expect(coerceFieldValue(field('Labels'), 'urgent')).toEqual(['urgent']);
+      expect(coerceFieldValue(field('Story Points'), '5')).toBe(5);
+      expect(coerceFieldValue(field('Epic Link'), { key: 'DEV-100' })).toBe('DEV-100');
+      expect(coerceFieldValue(field('Sprint'), ['42'])).toBe(42);
+      expect(() => coerceFieldValue(field('Story Points'), 'lots')).toThrow('expects a number');
+      expect(() => coerceFieldValue(field('Sprint'), 'Sprint 7')).toThrow('expects a single sprint ID');
+    });
+
+    test('should only fetch the field catalog when names or simple custom values are used', async () => {
+      const mockRequest = jest.fn(async () => catalog);
+      const baseUrl = 'https://jira-fields.test.com';
+
+      const raw = await resolveFields(mockRequest, baseUrl, 'token', { customfield_10003: { value: 'Critical' }, labels: ['a'] });
+      expect(raw).toEqual({ fields: { customfield_10003: { value: 'Critical' }, labels: ['a'] }, resolved: [] });
+      expect(mockRequest).not.toHaveBeenCalled();
+
+      const named = await resolveFields(mockRequest, baseUrl, 'token', { 'Story Points': 3, customfield_10003: 'Minor', labels: ['a'] });
+      expect(named.fields).toEqual({ customfield_10002: 3, customfield_10003: { value: 'Minor' }, labels: ['a'] });
+      expect(named.resolved).toEqual(['Field "Story Points" resolved to customfield_10002']);
+      expect(mockRequest).toHaveBeenCalledWith(baseUrl, 'token', '/rest/api/2/field');
+
+      await expect(resolveFields(mockRequest, baseUrl, 'token', { 'Story Points': 3, customfield_10002: 5 }))
+        .rejects.toThrow('Field customfield_10002 is set twice');
+      expect(mockRequest).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('dependency graph', () => {
+    const blocks = { name: 'Blocks', inward: 'is blocked by', outward: 'blocks' };
+    const relates = { name: 'Relates', inward: 'relates to', outward: 'relates to' };
+    const open = { name: 'Open', statusCategory: { key: 'new' } };
+    const done = { name: 'Done', statusCategory: { key: 'done' } };
+    const brief = (key, status) => ({ key, fields: { summary: `Issue ${key}`, status } });
+    // DEV-1 blocks DEV-2, DEV-2 blocks OPS-3, OPS-3 blocks DEV-1 (a cycle); DEV-4 (done) blocks DEV-1
+    const issues = {
+      'DEV-1': { ...brief('DEV-1', open), fields: { ...brief('DEV-1', open).fields, issuelinks: [
+        { id: '1', type: blocks, outwardIssue: brief('DEV-2', open) },
+        { id: '3', type: blocks, inwardIssue: brief('OPS-3', open) },
+        { id: '4', type: blocks, inwardIssue: brief('DEV-4', done) },
+        { id: '5', type: relates, outwardIssue: brief('DEV-9', open) }
+      ] } },
+      'DEV-2': { ...brief('DEV-2', open), fields: { ...brief('DEV-2', open).fields, issuelinks: [
+        { id: '1', type: blocks, inwardIssue: brief('DEV-1', open) },
+        { id: '2', type: blocks, outwardIssue: brief('OPS-3', open) }
+      ] } },
+      'OPS-3': { ...brief('OPS-3', open), fields: { ...brief('OPS-3', open).fields, issuelinks: [
+        { id: '2', type: blocks, inwardIssue: brief('DEV-2', open) },
+        { id: '3', type: blocks, outwardIssue: brief('DEV-1', open) }
+      ] } },
+      'DEV-4': { ...brief('DEV-4', done), fields: { ...brief('DEV-4', done).fields, issuelinks: [
+        { id: '4', type: blocks, outwardIssue: brief('DEV-1', open) }
+      ] } }
+    };
+    const fetchIssues = jest.fn(async keys => keys.map(key => issues[key]));
+
+    test('should follow the chosen link types to the requested depth', async () => {
+      const graph = await walkDependencyGraph([issues['DEV-1']], fetchIssues, { depth: 3, maxIssues: 10, linkTypes: ['blocks'] });
+
+      expect([...graph.nodes.keys()]).toEqual(['DEV-1', 'DEV-2', 'OPS-3', 'DEV-4']);
+      expect(graph.edges.map(edge => `${edge.from} ${edge.label} ${edge.to}`)).toEqual([
+        'DEV-1 blocks DEV-2',
+        'OPS-3 blocks DEV-1',
+        'DEV-4 blocks DEV-1',
+        'DEV-2 blocks OPS-3'
+      ]);
+      expect(graph.truncated).toBe(false);
+      expect(fetchIssues).toHaveBeenCalledWith(['DEV-2', 'OPS-3', 'DEV-4']);
+
+      const shallow = await walkDependencyGraph([issues['DEV-1']], fetchIssues, { depth: 1, maxIssues: 2, linkTypes: [] });
+      expect([...shallow.nodes.keys()]).toEqual(['DEV-1', 'DEV-2']);
+      expect(shallow.truncated).toBe(true);
+    });
+
+    test('should find cycles and unresolved blockers', async () => {
+      const graph = await walkDependencyGraph([issues['DEV-1']], fetchIssues, { depth: 3, maxIssues: 10, linkTypes: ['Blocks'] });
+
+      expect(findCycles(graph)).toEqual([['DEV-1', 'DEV-2', 'OPS-3', 'DEV-1']]);
+      expect(findUnresolvedBlockers(graph).map(edge => edge.from)).toEqual(['DEV-1', 'OPS-3', 'DEV-2']);
+    });
+
+    test('should not report other link types between open issues as blockers', async () => {
+      const graph = await walkDependencyGraph([issues['DEV-1']], fetchIssues, { depth: 1, maxIssues: 10, linkTypes: ['Relates'] });
+
+      expect(graph.edges.map(edge => `${edge.from} ${edge.label} ${edge.to}`)).toEqual(['DEV-1 relates to DEV-9']);
+      expect(findUnresolvedBlockers(graph)).toEqual([]);
+      expect(findUnresolvedBlockers(graph, ['relates']).map(edge => edge.to)).toEqual(['DEV-9']);
+    });
+
+    test('should render Mermaid, DOT and adjacency lists', async () => {
+      const graph = await walkDependencyGraph([issues['DEV-4']], fetchIssues, { depth: 1, maxIssues: 10, linkTypes: ['Blocks'] });
+      graph.nodes.get('DEV-1').summary = 'Say "hi"';
+      const analysis = { cycles: [], blockers: findUnresolvedBlockers(graph) };
+
+      expect(renderMermaid(graph, analysis)).toBe([
+        'flowchart LR',
+        '  DEV_4["DEV-4: Issue DEV-4 (Done)"]',
+        '  DEV_1["DEV-1: Say #quot;hi#quot; (Open)"]',
+        '  DEV_4 -->|blocks| DEV_1',
+        '  classDef resolved fill:#e3f2e1,color:#555',
+        '  classDef blocker stroke:#d32f2f,stroke-width:3px',
+        '  class DEV_4 resolved'
+      ].join('\n'));
+      expect(renderDot(graph, analysis)).toContain('"DEV-1" [label="DEV-1\\nSay \\"hi\\"\\n(Open)"];');
+      expect(renderDot(graph, analysis)).toContain('"DEV-4" -> "DEV-1" [label="blocks"];');
+      expect(renderAdjacency(graph, analysis)).toBe('DEV-4: Issue DEV-4 (Done) [resolved]\n  blocks -> DEV-1\nDEV-1: Say "hi" (Open)');
+    });
+  });
+
+  describe('matchesGlob', () => {
+    test('should match wildcards', () => {
+      expect(matchesGlob('jira-delete-issue', 'jira-delete-*')).toBe(true);
+      expect(matchesGlob('jira-delete-issue', '*-issue')).toBe(true);
+      expect(matchesGlob('jira-get-issue', 'jira-get-issu?')).toBe(true);
+      expect(matchesGlob('jira-get-issue', 'jira-get-*-issue')).toBe(false);
+    });
+
+    test('should require a full match and treat other characters literally', () => {
+      expect(matchesGlob('jira-get-issue', 'jira-get')).toBe(false);
+      expect(matchesGlob('jira-get-issue', 'jira.get.issue')).toBe(false);
+      expect(matchesGlob('a+b', 'a+b')).toBe(true);
+    });
   });
 
   describe('isValidFilePath', () => {
@@ -141,6 +512,50 @@ describe('Exported Functions Integration Tests', () => {
       );
     });
 
+    test('should leave the Content-Type of multipart bodies to fetch', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => [{ id: '10000' }]
+      });
+      const formData = new FormData();
+      formData.append('file', new Blob(['hello']), 'notes.txt');
+
+      await jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue/DEV-123/attachments', {
+        method: 'POST',
+        headers: { 'X-Atlassian-Token': 'no-check' },
+        body: formData
+      });
+
+      const { headers, body } = global.fetch.mock.calls[0][1];
+      expect(headers).not.toHaveProperty('Content-Type');
+      expect(headers['X-Atlassian-Token']).toBe('no-check');
+      expect(body).toBe(formData);
+    });
+
+    test('should stream binary responses and stop at the size limit', async () => {
+      const binaryResponse = (content, contentLength = null) => ({
+        ok: true,
+        status: 200,
+        headers: { get: name => (name === 'content-length' ? contentLength : null) },
+        body: new Blob([content]).stream()
+      });
+      global.fetch
+        .mockResolvedValueOnce(binaryResponse('hello'))
+        .mockResolvedValueOnce(binaryResponse('x'.repeat(100)))
+        .mockResolvedValueOnce(binaryResponse('tiny', '5000000'));
+
+      const endpoint = '/secure/attachment/10000/notes.txt';
+      const content = await jiraRequest(testBaseUrl, testToken, endpoint, { responseType: 'buffer', maxResponseBytes: 10 });
+      expect(content.toString('utf8')).toBe('hello');
+      expect(global.fetch.mock.calls[0][1]).not.toHaveProperty('responseType');
+
+      await expect(jiraRequest(testBaseUrl, testToken, endpoint, { responseType: 'buffer', maxResponseBytes: 10 }))
+        .rejects.toThrow('Response is larger than the 10 byte limit');
+      await expect(jiraRequest(testBaseUrl, testToken, endpoint, { responseType: 'buffer', maxResponseBytes: 10 }))
+        .rejects.toThrow('Response is larger than the 10 byte limit');
+    });
+
     test('should handle 204 No Content response', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
@@ -185,15 +600,20 @@ describe('Exported Functions Integration Tests', () => {
         .rejects.toThrow('Resource not found');
     });
 
-    test('should throw error on 429 Rate Limit', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: false,
-        status: 429,
-        json: async () => ({})
-      });
+    test('should throw error on 429 Rate Limit after retries', async () => {
+      // Mock 4 failures (initial + 3 retries), each asking for an immediate retry
+      for (let i = 0; i < 4; i++) {
+        global.fetch.mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          headers: new Headers({ 'Retry-After': '0' }),
+          json: async () => ({})
+        });
+      }
 
       await expect(jiraRequest('/rest/api/2/search'))
         .rejects.toThrow('Rate limit exceeded');
+      expect(global.fetch).toHaveBeenCalledTimes(4);
     });
 
     test('should throw error on 500 Internal Server Error', async () => {
@@ -262,6 +682,15 @@ describe('Exported Functions Integration Tests', () => {
         .rejects.toThrow('Field summary is required');
     });
 
+    test('should attach the parsed error body for partial results', async () => {
+      const body = { issues: [{ key: 'DEV-10' }], errors: [{ status: 400, failedElementNumber: 1, elementErrors: { errors: { summary: 'Required' } } }] };
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 400, statusText: 'Bad Request', json: async () => body });
+
+      const error = await jiraRequest('/rest/api/2/issue/bulk').catch(e => e);
+      expect(error.status).toBe(400);
+      expect(error.body).toEqual(body);
+    });
+
     test('should handle timeout with AbortError', async () => {
       const abortError = new Error('The operation was aborted');
       abortError.name = 'AbortError';
@@ -371,6 +800,321 @@ describe('Exported Functions Integration Tests', () => {
     });
   });
 
+  describe('jiraRequest retry policy', () => {
+    const testBaseUrl = 'https://jira.test.com';
+    const testToken = 'test-token-123';
+    const ok = { ok: true, status: 200, json: async () => ({ id: '123' }) };
+    let defaults;
+
+    beforeAll(() => {
+      defaults = configureRetry();
+    });
+
+    beforeEach(() => {
+      configureRetry({ baseDelayMs: 1, maxDelayMs: 5 });
+    });
+
+    afterEach(() => {
+      configureRetry(defaults);
+    });
+
+    function networkError(code) {
+      const error = new TypeError('fetch failed');
+      error.cause = Object.assign(new Error(`read ${code}`), { code });
+      return error;
+    }
+
+    test('should wait for Retry-After on 503 before retrying', async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 503,
+          headers: new Headers({ 'Retry-After': '1' }),
+          json: async () => ({})
+        })
+        .mockResolvedValueOnce(ok);
+
+      const start = Date.now();
+      const result = await jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue/DEV-123');
+
+      expect(result).toEqual({ id: '123' });
+      expect(Date.now() - start).toBeGreaterThanOrEqual(950);
+    });
+
+    test('should fail fast when Retry-After exceeds the configured limit', async () => {
+      configureRetry({ maxRetryAfterMs: 1000 });
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        headers: new Headers({ 'Retry-After': '120' }),
+        json: async () => ({})
+      });
+
+      await expect(jiraRequest(testBaseUrl, testToken, '/rest/api/2/search'))
+        .rejects.toThrow('retry after 120 seconds');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should honor a configured maxRetries', async () => {
+      configureRetry({ maxRetries: 1 });
+      for (let i = 0; i < 2; i++) {
+        global.fetch.mockResolvedValueOnce({ ok: false, status: 502, json: async () => ({}) });
+      }
+
+      await expect(jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue/DEV-123'))
+        .rejects.toThrow('Jira server error (502)');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry ECONNRESET for idempotent methods', async () => {
+      global.fetch
+        .mockRejectedValueOnce(networkError('ECONNRESET'))
+        .mockResolvedValueOnce(ok);
+
+      const result = await jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue/DEV-123', { method: 'PUT', body: '{}' });
+
+      expect(result).toEqual({ id: '123' });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry ECONNRESET for POST', async () => {
+      global.fetch.mockRejectedValueOnce(networkError('ECONNRESET'));
+
+      await expect(jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue', { method: 'POST', body: '{}' }))
+        .rejects.toThrow('fetch failed');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop retrying network errors after maxRetries', async () => {
+      for (let i = 0; i < 4; i++) {
+        global.fetch.mockRejectedValueOnce(networkError('ECONNRESET'));
+      }
+
+      await expect(jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue/DEV-123'))
+        .rejects.toThrow('fetch failed');
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('should parse Retry-After seconds and HTTP dates', () => {
+      const now = Date.parse('2025-01-01T00:00:00Z');
+
+      expect(parseRetryAfter('5', now)).toBe(5000);
+      expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now)).toBe(10000);
+      expect(parseRetryAfter('Tue, 31 Dec 2024 23:59:00 GMT', now)).toBe(0);
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+
+    test('should keep jittered backoff within the exponential ceiling', () => {
+      configureRetry({ baseDelayMs: 100, maxDelayMs: 300 });
+
+      for (let i = 0; i < 50; i++) {
+        expect(getBackoffDelay(0)).toBeLessThan(100);
+        expect(getBackoffDelay(1)).toBeLessThan(200);
+        expect(getBackoffDelay(5)).toBeLessThan(300);
+        expect(getBackoffDelay(5)).toBeGreaterThanOrEqual(0);
+      }
+    });
+
+    test('should normalize retry settings from config and environment', () => {
+      expect(normalizeRetry(undefined, {})).toEqual({
+        maxRetries: 3,
+        baseDelayMs: 1000,
+        maxDelayMs: 30000,
+        maxRetryAfterMs: 60000
+      });
+      expect(normalizeRetry({ maxRetries: 5, maxDelayMs: 10000 }, { JIRA_MAX_RETRIES: '2' }).maxRetries).toBe(2);
+      expect(() => normalizeRetry({ baseDelayMs: -1 }, {})).toThrow('retry.baseDelayMs');
+      expect(() => normalizeRetry({}, { JIRA_MAX_RETRIES: 'many' })).toThrow('retry.maxRetries');
+    });
+  });
+
+  describe('normalizeSearch', () => {
+    test('should default to a 1000 issue ceiling', () => {
+      expect(normalizeSearch(undefined, {})).toEqual({ maxFetchAll: 1000 });
+    });
+
+    test('should read config.json and let the environment override it', () => {
+      expect(normalizeSearch({ maxFetchAll: 200 }, {})).toEqual({ maxFetchAll: 200 });
+      expect(normalizeSearch({ maxFetchAll: 200 }, { JIRA_MAX_FETCH_ALL: '5000' })).toEqual({ maxFetchAll: 5000 });
+      expect(() => normalizeSearch({ maxFetchAll: 0 }, {})).toThrow('search.maxFetchAll');
+      expect(() => normalizeSearch({}, { JIRA_MAX_FETCH_ALL: 'all' })).toThrow('search.maxFetchAll');
+    });
+  });
+
+  describe('normalizeBulk', () => {
+    test('should default to 100 issues and 5 concurrent requests', () => {
+      expect(normalizeBulk(undefined, {})).toEqual({ maxIssues: 100, concurrency: 5 });
+    });
+
+    test('should read config.json and let the environment override maxIssues', () => {
+      expect(normalizeBulk({ maxIssues: 20, concurrency: 2 }, {})).toEqual({ maxIssues: 20, concurrency: 2 });
+      expect(normalizeBulk({ maxIssues: 20 }, { JIRA_BULK_MAX_ISSUES: '500' }).maxIssues).toBe(500);
+      expect(() => normalizeBulk({ concurrency: 0 }, {})).toThrow('bulk.concurrency');
+      expect(() => normalizeBulk({}, { JIRA_BULK_MAX_ISSUES: 'many' })).toThrow('bulk.maxIssues');
+    });
+  });
+
+  describe('normalizeAttachments', () => {
+    test('should default to a jira-attachments directory and 64 KB inline text', () => {
+      expect(normalizeAttachments(undefined, {})).toEqual({ downloadDir: join(process.cwd(), 'jira-attachments'), maxInlineBytes: 65536, maxUploadBytes: 10485760 });
+    });
+
+    test('should read config.json and let the environment override the directory and upload limit', () => {
+      expect(normalizeAttachments({ downloadDir: '/tmp/jira', maxInlineBytes: 1024, maxUploadBytes: 2048 }, {})).toEqual({ downloadDir: '/tmp/jira', maxInlineBytes: 1024, maxUploadBytes: 2048 });
+      expect(normalizeAttachments({ downloadDir: '/tmp/jira' }, { JIRA_ATTACHMENT_DIR: '/srv/downloads' }).downloadDir).toBe('/srv/downloads');
+      expect(normalizeAttachments({ maxUploadBytes: 2048 }, { JIRA_MAX_UPLOAD_BYTES: '4096' }).maxUploadBytes).toBe(4096);
+      expect(() => normalizeAttachments({ maxInlineBytes: 0 }, {})).toThrow('attachments.maxInlineBytes');
+      expect(() => normalizeAttachments({}, { JIRA_MAX_UPLOAD_BYTES: '1.5' })).toThrow('attachments.maxUploadBytes');
+      expect(() => normalizeAttachments({ downloadDir: 42 }, {})).toThrow('attachments.downloadDir');
+    });
+  });
+
+  describe('isWithinDirectory', () => {
+    test('should accept paths inside the directory only', () => {
+      expect(isWithinDirectory('/srv/downloads/a.txt', '/srv/downloads')).toBe(true);
+      expect(isWithinDirectory('/srv/downloads/sub/../b.txt', '/srv/downloads')).toBe(true);
+      expect(isWithinDirectory('/srv/downloads/../etc/passwd', '/srv/downloads')).toBe(false);
+      expect(isWithinDirectory('/srv/downloads-old/a.txt', '/srv/downloads')).toBe(false);
+      expect(isWithinDirectory('/srv/downloads/..secret', '/srv/downloads')).toBe(true);
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    test('should keep result order and limit calls in flight', async () => {
+      let active = 0;
+      let peak = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(ms);
+        active--;
+        return index * 10;
+      });
+
+      expect(results).toEqual([0, 10, 20, 30, 40]);
+      expect(peak).toBe(2);
+    });
+
+    test('should handle empty input', async () => {
+      expect(await mapWithConcurrency([], 3, async () => 1)).toEqual([]);
+    });
+  });
+
+  describe('audit log', () => {
+    const testBaseUrl = 'https://jira.test.com';
+    const testToken = 'test-token-123';
+    let tempDir;
+    let logPath;
+
+    beforeEach(async () => {
+      tempDir = await mkdtemp(join(tmpdir(), 'jira-mcp-audit-'));
+      logPath = join(tempDir, 'logs', 'audit.jsonl');
+      configureAuditLog({ path: logPath });
+    });
+
+    afterEach(async () => {
+      configureAuditLog({ path: null });
+      await rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should redact secrets and truncate long strings', () => {
+      const redacted = redactBody(JSON.stringify({
+        fields: { summary: 'Hello', description: 'x'.repeat(2000) },
+        password: 'hunter2',
+        nested: [{ apiToken: 'abc' }]
+      }));
+
+      expect(redacted.fields.summary).toBe('Hello');
+      expect(redacted.fields.description).toHaveLength(1003);
+      expect(redacted.password).toBe('[REDACTED]');
+      expect(redacted.nested[0].apiToken).toBe('[REDACTED]');
+      expect(redactBody(undefined)).toBeNull();
+    });
+
+    test('should find the affected issue from endpoint, response or context', () => {
+      expect(extractIssueKey('/rest/api/2/issue/DEV-12/transitions')).toBe('DEV-12');
+      expect(extractIssueKey('/rest/api/2/issue', { key: 'DEV-99' })).toBe('DEV-99');
+      expect(extractIssueKey('/rest/api/2/issueLink')).toBeNull();
+      expect(runWithToolContext({ tool: 'jira-link-issues', issueKey: 'DEV-5' }, () => extractIssueKey('/rest/api/2/issueLink'))).toBe('DEV-5');
+    });
+
+    test('should attribute a clone\'s writes to the copy, not the source issue', () => {
+      const linkBody = JSON.stringify({ type: { name: 'Cloners' }, inwardIssue: { key: 'OPS-1' }, outwardIssue: { key: 'DEV-1' } });
+
+      runWithToolContext({ tool: 'jira-clone-issue', issueKey: 'DEV-1' }, () => {
+        expect(extractIssueKey('/rest/api/2/issue', { key: 'OPS-1' })).toBe('OPS-1');
+        expect(extractIssueKey('/rest/api/2/issue', { key: 'OPS-2' }, JSON.stringify({ fields: { parent: { key: 'OPS-1' } } }))).toBe('OPS-2');
+        expect(extractIssueKey('/rest/api/2/issueLink', null, linkBody)).toBe('OPS-1');
+        expect(extractIssueKey('/rest/api/2/issue/OPS-1/attachments', [{ id: '600' }])).toBe('OPS-1');
+        expect(extractIssueKey('/rest/api/2/issue/bulk', { issues: [] })).toBe('DEV-1');
+      });
+    });
+
+    test('should record mutating requests with the calling tool', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ key: 'DEV-7' }) });
+
+      await runWithToolContext({ tool: 'jira-create-issue', instance: 'default', sessionId: 'abc' }, () =>
+        jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue', {
+          method: 'POST',
+          body: JSON.stringify({ fields: { summary: 'New issue' } })
+        })
+      );
+
+      const [entry] = (await readFile(logPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(entry).toMatchObject({
+        tool: 'jira-create-issue',
+        instance: 'default',
+        sessionId: 'abc',
+        issueKey: 'DEV-7',
+        method: 'POST',
+        baseUrl: testBaseUrl,
+        endpoint: '/rest/api/2/issue',
+        body: { fields: { summary: 'New issue' } },
+        status: 201
+      });
+      expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should record failed requests and skip reads', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ key: 'DEV-1' }) })
+        .mockResolvedValueOnce({ ok: false, status: 400, statusText: 'Bad Request', json: async () => ({ errorMessages: ['Invalid'] }) });
+
+      await jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue/DEV-1');
+      await expect(jiraRequest(testBaseUrl, testToken, '/rest/api/2/issue/DEV-1', { method: 'DELETE' })).rejects.toThrow('Invalid');
+
+      const entries = await readAuditEntries();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ method: 'DELETE', issueKey: 'DEV-1', status: 400 });
+      expect(entries[0].error).toContain('Invalid');
+    });
+
+    test('should read entries newest first with filters', async () => {
+      const lines = [
+        { timestamp: '2025-01-01T00:00:00.000Z', tool: 'jira-add-comment', issueKey: 'DEV-1', sessionId: 'a' },
+        { timestamp: '2025-01-02T00:00:00.000Z', tool: 'jira-update-issue', issueKey: 'DEV-2', sessionId: 'b' },
+        { timestamp: '2025-01-03T00:00:00.000Z', tool: 'jira-add-comment', issueKey: 'DEV-2', sessionId: 'a' }
+      ];
+      await writeFile(join(tempDir, 'audit.jsonl'), `${lines.map(line => JSON.stringify(line)).join('\n')}\n{"truncated`);
+      configureAuditLog({ path: join(tempDir, 'audit.jsonl') });
+
+      expect((await readAuditEntries()).map(entry => entry.timestamp)).toEqual([lines[2], lines[1], lines[0]].map(line => line.timestamp));
+      expect(await readAuditEntries({ limit: 1 })).toEqual([lines[2]]);
+      expect(await readAuditEntries({ tool: 'jira-add-comment', issueKey: 'DEV-2' })).toEqual([lines[2]]);
+      expect(await readAuditEntries({ sessionId: 'b' })).toEqual([lines[1]]);
+      expect(await readAuditEntries({ since: '2025-01-02T00:00:00Z' })).toEqual([lines[2], lines[1]]);
+    });
+
+    test('should be disabled unless a path is configured', () => {
+      expect(normalizeAuditLog(undefined, {})).toEqual({ path: null });
+      expect(normalizeAuditLog({ path: '/var/log/jira-audit.jsonl' }, {})).toEqual({ path: '/var/log/jira-audit.jsonl' });
+      expect(normalizeAuditLog({ path: '/var/log/jira-audit.jsonl' }, { JIRA_AUDIT_LOG: '' })).toEqual({ path: null });
+      expect(normalizeAuditLog({}, { JIRA_AUDIT_LOG: 'audit.jsonl' }).path).toBe(join(process.cwd(), 'audit.jsonl'));
+      expect(() => normalizeAuditLog({ path: 42 }, {})).toThrow('auditLog.path');
+    });
+  });
+
   describe('sleep utility', () => {
     test('should wait for specified milliseconds', async () => {
       const start = Date.now();
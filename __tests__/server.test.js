@@ -0,0 +1,1738 @@
+/**
+ * Server assembly tests
+ * Connects an MCP client to createMcpServer() over an in-memory transport
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, readFile, writeFile, symlink, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createMcpServer } from '../lib/server.js';
+import { jiraRequest as realJiraRequest } from '../lib/jira-client.js';
+import { configureAuditLog } from '../lib/audit-log.js';
+
+/**
+ * Create a connected client for a server built from the given config
+ */
+async function connect(config, jiraRequest) {
+  const mcpServer = createMcpServer(config, jiraRequest);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await Promise.all([
+    mcpServer.connect(serverTransport),
+    client.connect(clientTransport)
+  ]);
+  return client;
+}
+
+const production = { baseUrl: 'https://jira.example.com', bearerToken: 'prod-token' };
+const staging = { baseUrl: 'https://jira-staging.example.com', bearerToken: 'staging-token' };
+
+describe('createMcpServer', () => {
+  let jiraRequest;
+
+  beforeEach(() => {
+    jiraRequest = jest.fn(async () => ({ key: 'DEV-1' }));
+  });
+
+  describe('single instance', () => {
+    test('should register tools without an instance argument', async () => {
+      const client = await connect(production, jiraRequest);
+      const { tools } = await client.listTools();
+      const getIssue = tools.find(tool => tool.name === 'jira-get-issue');
+
+      expect(getIssue).toBeDefined();
+      expect(getIssue.inputSchema.properties).not.toHaveProperty('instance');
+    });
+
+    test('should call Jira with the configured credentials', async () => {
+      const client = await connect(production, jiraRequest);
+      await client.callTool({ name: 'jira-get-issue', arguments: { issueKey: 'DEV-1' } });
+
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-1');
+    });
+  });
+
+  describe('named profiles', () => {
+    test('should add an instance argument when several profiles share tool names', async () => {
+      const client = await connect({
+        ...production,
+        profiles: { production, staging },
+        defaultProfile: 'production'
+      }, jiraRequest);
+      const { tools } = await client.listTools();
+      const getIssue = tools.find(tool => tool.name === 'jira-get-issue');
+
+      expect(getIssue.inputSchema.properties.instance.enum).toEqual(['production', 'staging']);
+    });
+
+    test('should route calls to the selected profile', async () => {
+      const client = await connect({
+        ...production,
+        profiles: { production, staging },
+        defaultProfile: 'production'
+      }, jiraRequest);
+
+      await client.callTool({ name: 'jira-get-issue', arguments: { issueKey: 'DEV-1', instance: 'staging' } });
+      await client.callTool({ name: 'jira-get-issue', arguments: { issueKey: 'DEV-2' } });
+
+      expect(jiraRequest).toHaveBeenNthCalledWith(1, staging.baseUrl, staging.bearerToken, '/rest/api/2/issue/DEV-1');
+      expect(jiraRequest).toHaveBeenNthCalledWith(2, production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-2');
+    });
+
+    test('should register prefixed tool copies for profiles with a toolPrefix', async () => {
+      const client = await connect({
+        ...production,
+        profiles: { production, staging: { ...staging, toolPrefix: 'staging-' } },
+        defaultProfile: 'production'
+      }, jiraRequest);
+      const { tools } = await client.listTools();
+      const names = tools.map(tool => tool.name);
+
+      expect(names).toContain('jira-get-issue');
+      expect(names).toContain('staging-jira-get-issue');
+      expect(tools.find(tool => tool.name === 'jira-get-issue').inputSchema.properties).not.toHaveProperty('instance');
+      expect(tools.find(tool => tool.name === 'staging-jira-get-issue').description).toMatch(/^\[staging\]/);
+
+      await client.callTool({ name: 'staging-jira-get-issue', arguments: { issueKey: 'DEV-3' } });
+      expect(jiraRequest).toHaveBeenCalledWith(staging.baseUrl, staging.bearerToken, '/rest/api/2/issue/DEV-3');
+    });
+  });
+
+  describe('tool policy', () => {
+    const policy = overrides => ({
+      ...production,
+      tools: { readOnly: false, allowTools: [], denyTools: [], ...overrides }
+    });
+
+    async function toolNames(config) {
+      const client = await connect(config, jiraRequest);
+      const { tools } = await client.listTools();
+      return tools.map(tool => tool.name);
+    }
+
+    test('should skip every mutating tool in read-only mode', async () => {
+      const names = await toolNames(policy({ readOnly: true }));
+
+      expect(names).toContain('jira-get-issue');
+      expect(names).toContain('jira-search-issues');
+      expect(names).not.toContain('jira-delete-issue');
+      expect(names).not.toContain('jira-transition-issue');
+      expect(names).not.toContain('jira-add-comment');
+      expect(names).not.toContain('jira-upload-attachment');
+      expect(names).not.toContain('jira-download-attachment');
+      expect(names).toContain('jira-get-attachments');
+    });
+
+    test('should only register tools matching allowTools', async () => {
+      const names = await toolNames(policy({ allowTools: ['jira-get-issue*', 'jira-list-*'] }));
+
+      expect(names).toContain('jira-get-issue');
+      expect(names).toContain('jira-list-statuses');
+      expect(names.every(name => name.startsWith('jira-get-issue') || name.startsWith('jira-list-'))).toBe(true);
+    });
+
+    test('should skip tools matching denyTools even when allowed', async () => {
+      const names = await toolNames(policy({ allowTools: ['jira-*'], denyTools: ['jira-delete-*', '*-watcher'] }));
+
+      expect(names).toContain('jira-create-issue');
+      expect(names).not.toContain('jira-delete-issue');
+      expect(names).not.toContain('jira-add-watcher');
+      expect(names).not.toContain('jira-remove-watcher');
+    });
+
+    test('should apply the policy to prefixed profile tools', async () => {
+      const names = await toolNames({
+        ...production,
+        profiles: { production, staging: { ...staging, toolPrefix: 'staging-' } },
+        defaultProfile: 'production',
+        tools: { readOnly: false, allowTools: [], denyTools: ['staging-*'] }
+      });
+
+      expect(names).toContain('jira-get-issue');
+      expect(names.some(name => name.startsWith('staging-'))).toBe(false);
+    });
+  });
+
+  describe('dry run', () => {
+    const issue = {
+      key: 'DEV-1',
+      fields: { summary: 'Old summary', status: { name: 'Open' }, priority: { name: 'Low' } }
+    };
+
+    beforeEach(() => {
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (endpoint.endsWith('/editmeta')) {
+          return { fields: { summary: { name: 'Summary', schema: { type: 'string' }, operations: ['set'] }, priority: { name: 'Priority', schema: { type: 'priority' }, operations: ['set'] } } };
+        }
+        return options?.method ? null : issue;
+      });
+    });
+
+    test('should preview an update without sending it', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-update-issue',
+        arguments: { issueKey: 'DEV-1', summary: 'New summary', fields: { priority: { name: 'Low' } }, dryRun: true }
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('DRY RUN');
+      expect(text).toContain('Request: PUT /rest/api/2/issue/DEV-1');
+      expect(text).toContain('summary: "Old summary" -> "New summary"');
+      expect(text).not.toContain('priority:');
+      expect(jiraRequest.mock.calls.every(([, , , options]) => !options?.method)).toBe(true);
+    });
+
+    test('should require a confirmation token for deletes when configured', async () => {
+      const client = await connect({ ...production, safety: { requireDeleteConfirmation: true } }, jiraRequest);
+
+      const refused = await client.callTool({ name: 'jira-delete-issue', arguments: { issueKey: 'DEV-1' } });
+      expect(refused.isError).toBe(true);
+      expect(refused.content[0].text).toContain('Deletion requires confirmation');
+
+      const preview = await client.callTool({ name: 'jira-delete-issue', arguments: { issueKey: 'DEV-1', dryRun: true } });
+      const confirmationToken = preview.content[0].text.match(/Confirmation token: (\w+)/)[1];
+
+      const wrongIssue = await client.callTool({ name: 'jira-delete-issue', arguments: { issueKey: 'DEV-2', confirmationToken } });
+      expect(wrongIssue.isError).toBe(true);
+
+      const deleted = await client.callTool({ name: 'jira-delete-issue', arguments: { issueKey: 'DEV-1', confirmationToken } });
+      expect(deleted.isError).toBeFalsy();
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-1', { method: 'DELETE' });
+
+      const reused = await client.callTool({ name: 'jira-delete-issue', arguments: { issueKey: 'DEV-1', confirmationToken } });
+      expect(reused.isError).toBe(true);
+    });
+
+    test('should delete without a token when confirmation is not required', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-delete-issue', arguments: { issueKey: 'DEV-1' } });
+
+      expect(result.isError).toBeFalsy();
+    });
+  });
+
+  describe('field names', () => {
+    const fieldCatalog = [
+      { id: 'summary', name: 'Summary', custom: false, schema: { type: 'string', system: 'summary' } },
+      { id: 'customfield_10002', name: 'Story Points', custom: true, schema: { type: 'number' } },
+      { id: 'customfield_10005', name: 'Epic Link', custom: true, schema: { type: 'any', custom: 'com.pyxis.greenhopper.jira:gh-epic-link' } },
+      { id: 'customfield_10003', name: 'Severity', custom: true, schema: { type: 'option' } }
+    ];
+    // A base URL of its own keeps the cached field catalog out of other tests
+    const fieldsInstance = { baseUrl: 'https://jira-fields.example.com', bearerToken: 'fields-token' };
+
+    beforeEach(() => {
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (endpoint === '/rest/api/2/field') {
+          return fieldCatalog;
+        }
+        if (endpoint.startsWith('/rest/api/2/issue/createmeta/DEV/issuetypes/')) {
+          return { isLast: true, values: ['project', 'issuetype', 'summary', ...fieldCatalog.slice(1).map(field => field.id)].map(fieldId => ({ fieldId, name: fieldId })) };
+        }
+        if (endpoint.startsWith('/rest/api/2/issue/createmeta/DEV/issuetypes')) {
+          return { isLast: true, values: [{ id: '10001', name: 'Story' }] };
+        }
+        if (endpoint.endsWith('/editmeta')) {
+          return { fields: Object.fromEntries(fieldCatalog.map(({ id, name, schema }) => [id, { name, schema, operations: ['set'] }])) };
+        }
+        return options?.method ? { key: 'DEV-2' } : { key: 'DEV-1', fields: { summary: 'Fix login', customfield_10002: 3 } };
+      });
+    });
+
+    test('should create an issue with display names and simple values', async () => {
+      const client = await connect(fieldsInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-create-issue',
+        arguments: { projectKey: 'DEV', issueType: 'Story', summary: 'Checkout', fields: { 'Story Points': '5', 'epic link': 'DEV-100', Severity: 'Major' } }
+      });
+
+      expect(result.isError).toBeFalsy();
+      const [, , , options] = jiraRequest.mock.calls.find(([, , endpoint]) => endpoint === '/rest/api/2/issue');
+      expect(JSON.parse(options.body).fields).toEqual({
+        project: { key: 'DEV' },
+        issuetype: { name: 'Story' },
+        summary: 'Checkout',
+        customfield_10002: 5,
+        customfield_10005: 'DEV-100',
+        customfield_10003: { value: 'Major' }
+      });
+    });
+
+    test('should show resolved names in an update dry run', async () => {
+      const client = await connect(fieldsInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-update-issue',
+        arguments: { issueKey: 'DEV-1', fields: { 'Story Points': 8 }, dryRun: true }
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Field "Story Points" resolved to customfield_10002');
+      expect(text).toContain('customfield_10002: 3 -> 8');
+    });
+
+    test('should report unknown field names without sending the update', async () => {
+      const client = await connect(fieldsInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-update-issue',
+        arguments: { issueKey: 'DEV-1', fields: { 'Story Pts': 8 } }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Unknown field "Story Pts"');
+      expect(jiraRequest.mock.calls.every(([, , , options]) => !options?.method)).toBe(true);
+    });
+  });
+
+  describe('create metadata', () => {
+    // A base URL of its own keeps cached create screens out of other tests
+    const metaInstance = { baseUrl: 'https://jira-createmeta.example.com', bearerToken: 'meta-token' };
+    const bugFields = [
+      { fieldId: 'project', name: 'Project', required: true, schema: { type: 'project' }, allowedValues: [{ id: '1', key: 'DEV' }] },
+      { fieldId: 'issuetype', name: 'Issue Type', required: true, schema: { type: 'issuetype' }, allowedValues: [{ id: '10004', name: 'Bug' }] },
+      { fieldId: 'summary', name: 'Summary', required: true, schema: { type: 'string' } },
+      { fieldId: 'reporter', name: 'Reporter', required: true, hasDefaultValue: true, schema: { type: 'user' } },
+      { fieldId: 'priority', name: 'Priority', required: false, schema: { type: 'priority' }, allowedValues: [{ id: '2', name: 'High' }, { id: '3', name: 'Medium' }] },
+      { fieldId: 'components', name: 'Component/s', required: true, schema: { type: 'array', items: 'component' }, allowedValues: [{ id: '10', name: 'Backend' }, { id: '11', name: 'Frontend' }] }
+    ];
+    let legacy;
+
+    beforeEach(() => {
+      legacy = false;
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (options?.method) {
+          return { key: 'DEV-7' };
+        }
+        if (endpoint.startsWith('/rest/api/2/issue/createmeta/')) {
+          if (legacy) {
+            const error = new Error('Resource not found.');
+            error.status = 404;
+            throw error;
+          }
+          return endpoint.includes('/issuetypes/10004')
+            ? { isLast: true, values: bugFields }
+            : { isLast: true, values: [{ id: '10004', name: 'Bug', subtask: false }, { id: '10005', name: 'Sub-task', subtask: true }] };
+        }
+        if (endpoint.startsWith('/rest/api/2/issue/createmeta?')) {
+          const fields = Object.fromEntries(bugFields.map(({ fieldId, ...meta }) => [fieldId, meta]));
+          return { projects: [{ key: 'OLD', issuetypes: [{ id: '10004', name: 'Bug', fields }] }] };
+        }
+        return null;
+      });
+    });
+
+    test('should list issue types and create screen fields', async () => {
+      const client = await connect(metaInstance, jiraRequest);
+      const types = await client.callTool({ name: 'jira-get-create-metadata', arguments: { projectKey: 'DEV' } });
+      expect(types.content[0].text).toBe('Issue types in DEV: 2\n\nBug (ID: 10004)\nSub-task (ID: 10005) [sub-task]');
+
+      const screen = await client.callTool({ name: 'jira-get-create-metadata', arguments: { projectKey: 'DEV', issueType: 'bug' } });
+      const text = screen.content[0].text;
+      expect(text).toContain('Create screen for Bug in DEV: 6 fields, 5 required');
+      expect(text).toContain('components (Component/s, required) - array of component\n  Allowed: Backend, Frontend');
+    });
+
+    test('should fall back to the legacy createmeta endpoint', async () => {
+      legacy = true;
+      const client = await connect(metaInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-create-metadata', arguments: { projectKey: 'OLD', issueType: 'Bug', format: 'json' } });
+
+      expect(JSON.parse(result.content[0].text).fields.priority.allowedValues).toHaveLength(2);
+      expect(jiraRequest).toHaveBeenCalledWith(metaInstance.baseUrl, metaInstance.bearerToken, '/rest/api/2/issue/createmeta?projectKeys=OLD&expand=projects.issuetypes.fields');
+    });
+
+    test('should report every create problem before sending', async () => {
+      const client = await connect(metaInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-create-issue',
+        arguments: { projectKey: 'DEV', issueType: 'Bug', summary: 'Crash', fields: { priority: { name: 'Urgent' }, duedate: '2025-12-01' } }
+      });
+      const text = result.content[0].text;
+
+      expect(result.isError).toBe(true);
+      expect(text).toContain('Missing required field "components" (Component/s) - allowed: Backend, Frontend');
+      expect(text).toContain('Field "duedate" is not on the create screen for Bug in DEV');
+      expect(text).toContain('Invalid value for "priority" (Priority): {"name":"Urgent"} - allowed: High, Medium');
+      expect(text).not.toContain('reporter');
+      expect(jiraRequest.mock.calls.some(([, , , options]) => options?.method)).toBe(false);
+    });
+
+    test('should create once the payload matches the create screen', async () => {
+      const client = await connect(metaInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-create-issue',
+        arguments: { projectKey: 'DEV', issueType: 'bug', summary: 'Crash', fields: { components: [{ name: 'Backend' }] } }
+      });
+
+      expect(result.isError).toBeFalsy();
+      const [, , , options] = jiraRequest.mock.calls.find(([, , , options]) => options?.method === 'POST');
+      expect(JSON.parse(options.body).fields.issuetype).toEqual({ name: 'Bug' });
+    });
+
+    test('should name unknown issue types', async () => {
+      const client = await connect(metaInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-create-issue', arguments: { projectKey: 'DEV', issueType: 'Epic', summary: 'Checkout' } });
+
+      expect(result.content[0].text).toContain('Issue type "Epic" cannot be created in project DEV. Available issue types: Bug, Sub-task');
+    });
+  });
+
+  describe('edit metadata', () => {
+    // A base URL of its own keeps cached edit screens out of other tests
+    const editInstance = { baseUrl: 'https://jira-editmeta.example.com', bearerToken: 'edit-token' };
+    const editmeta = {
+      summary: { name: 'Summary', schema: { type: 'string' }, operations: ['set'] },
+      priority: { name: 'Priority', schema: { type: 'priority' }, operations: ['set'], allowedValues: [{ id: '2', name: 'High' }, { id: '3', name: 'Medium' }] },
+      labels: { name: 'Labels', schema: { type: 'array', items: 'string' }, operations: ['add', 'set', 'remove'] },
+      components: { name: 'Component/s', schema: { type: 'array', items: 'component' }, operations: ['add', 'set', 'remove'], allowedValues: [{ id: '10', name: 'Backend' }, { id: '11', name: 'Frontend' }] }
+    };
+
+    beforeEach(() => {
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (options?.method) {
+          return null;
+        }
+        if (endpoint === '/rest/api/2/issue/DEV-1/editmeta') {
+          return { fields: editmeta };
+        }
+        return { key: 'DEV-1', fields: { summary: 'Crash', labels: ['stale'] } };
+      });
+    });
+
+    test('should list editable fields with their operations', async () => {
+      const client = await connect(editInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-edit-metadata', arguments: { issueKey: 'DEV-1' } });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Editable fields of DEV-1: 4');
+      expect(text).toContain('components (Component/s) - array of component [add, set, remove]\n  Allowed: Backend, Frontend');
+      expect(text).toContain('summary (Summary) - string [set]');
+    });
+
+    test('should send update operations with values shaped by the edit screen', async () => {
+      const client = await connect(editInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-update-issue',
+        arguments: {
+          issueKey: 'DEV-1',
+          fields: { priority: 'High' },
+          update: { labels: [{ add: 'urgent' }, { remove: 'stale' }], components: [{ add: 'Backend' }] }
+        }
+      });
+
+      expect(result.isError).toBeFalsy();
+      const [, , , options] = jiraRequest.mock.calls.find(([, , , options]) => options?.method === 'PUT');
+      expect(JSON.parse(options.body)).toEqual({
+        fields: { priority: { name: 'High' } },
+        update: { labels: [{ add: 'urgent' }, { remove: 'stale' }], components: [{ add: { name: 'Backend' } }] }
+      });
+    });
+
+    test('should report every edit problem before sending', async () => {
+      const client = await connect(editInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-update-issue',
+        arguments: { issueKey: 'DEV-1', fields: { resolution: 'Fixed', priority: 'Urgent' }, update: { summary: [{ add: 'x' }] } }
+      });
+      const text = result.content[0].text;
+
+      expect(result.isError).toBe(true);
+      expect(text).toContain('Issue not updated');
+      expect(text).toContain('Field "resolution" is not on the edit screen of DEV-1');
+      expect(text).toContain('Invalid value for "priority" (Priority): {"name":"Urgent"} - allowed: High, Medium');
+      expect(text).toContain('Field "summary" (Summary) does not support "add" - supported: set');
+      expect(jiraRequest.mock.calls.some(([, , , options]) => options?.method)).toBe(false);
+    });
+
+    test('should reject malformed issue keys', async () => {
+      const client = await connect(editInstance, jiraRequest);
+      await expect(client.callTool({ name: 'jira-update-issue', arguments: { issueKey: 'not a key', summary: 'x' } }))
+        .rejects.toThrow('Invalid issue key format');
+      expect(jiraRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('issue links', () => {
+    // A base URL of its own keeps cached link types out of other tests
+    const linksInstance = { baseUrl: 'https://jira-links.example.com', bearerToken: 'links-token' };
+    const blocks = { id: '10000', name: 'Blocks', inward: 'is blocked by', outward: 'blocks' };
+    const relates = { id: '10003', name: 'Relates', inward: 'relates to', outward: 'relates to' };
+
+    beforeEach(() => {
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (options?.method) {
+          return null;
+        }
+        if (endpoint === '/rest/api/2/issueLinkType') {
+          return { issueLinkTypes: [blocks, relates] };
+        }
+        if (endpoint === '/rest/api/2/issueLink/10010') {
+          return { id: '10010', type: blocks, inwardIssue: { key: 'DEV-1' }, outwardIssue: { key: 'DEV-2' } };
+        }
+        return {
+          key: 'DEV-1',
+          fields: {
+            summary: 'Checkout',
+            issuelinks: [
+              { id: '10010', type: blocks, outwardIssue: { key: 'DEV-2', fields: { summary: 'Payment', status: { name: 'Open' } } } },
+              { id: '10011', type: blocks, inwardIssue: { key: 'DEV-3', fields: { summary: 'Login', status: { name: 'Done' } } } }
+            ]
+          }
+        };
+      });
+    });
+
+    test('should list link types', async () => {
+      const client = await connect(linksInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-list-link-types', arguments: {} });
+
+      expect(result.content[0].text).toBe('Link types: 2\n\nBlocks (ID: 10000): "blocks" / "is blocked by"\nRelates (ID: 10003): "relates to" / "relates to"');
+    });
+
+    test('should word links in both directions from the issue', async () => {
+      const client = await connect(linksInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-issue-links', arguments: { issueKey: 'DEV-1' } });
+
+      expect(result.content[0].text).toBe('Links of DEV-1: 2\n\nblocks DEV-2: Payment (Open) [link 10010]\nis blocked by DEV-3: Login (Done) [link 10011]');
+    });
+
+    test('should validate the link type before creating a link', async () => {
+      const client = await connect(linksInstance, jiraRequest);
+
+      const unknown = await client.callTool({ name: 'jira-link-issues', arguments: { type: 'Blocker', inwardIssue: 'DEV-1', outwardIssue: 'DEV-2' } });
+      expect(unknown.isError).toBe(true);
+      expect(unknown.content[0].text).toContain('Unknown link type "Blocker". Available link types: Blocks ("blocks" / "is blocked by"), Relates');
+
+      const created = await client.callTool({ name: 'jira-link-issues', arguments: { type: 'blocks', inwardIssue: 'DEV-1', outwardIssue: 'DEV-2' } });
+      expect(created.content[0].text).toBe('Successfully created Blocks link: DEV-1 blocks DEV-2');
+      expect(jiraRequest).toHaveBeenCalledWith(linksInstance.baseUrl, linksInstance.bearerToken, '/rest/api/2/issueLink', {
+        method: 'POST',
+        body: JSON.stringify({ type: { name: 'Blocks' }, inwardIssue: { key: 'DEV-1' }, outwardIssue: { key: 'DEV-2' } })
+      });
+    });
+
+    test('should render the dependency graph of a JQL set', async () => {
+      const open = { name: 'Open', statusCategory: { key: 'new' } };
+      jiraRequest.mockImplementation(async (baseUrl, bearerToken, endpoint) => {
+        const jql = decodeURIComponent(endpoint.match(/jql=([^&]*)/)[1]);
+        const issues = jql === 'fixVersion = 2.0'
+          ? [{ key: 'DEV-1', fields: { summary: 'Checkout', status: open, issuelinks: [{ id: '10010', type: blocks, outwardIssue: { key: 'OPS-2', fields: { summary: 'Deploy', status: open } } }] } }]
+          : [{ key: 'OPS-2', fields: { summary: 'Deploy', status: open, issuelinks: [{ id: '10010', type: blocks, inwardIssue: { key: 'DEV-1' } }] } }];
+        return { total: issues.length, issues };
+      });
+      const client = await connect(linksInstance, jiraRequest);
+
+      const result = await client.callTool({ name: 'jira-get-dependency-graph', arguments: { jql: 'fixVersion = 2.0', format: 'adjacency' } });
+      expect(result.content[0].text).toBe([
+        'Dependency graph of "fixVersion = 2.0" - issues: 2, links: 1',
+        'Cycles: none',
+        'Unresolved blockers:',
+        '  DEV-1 (Open) blocks OPS-2 (Open)',
+        '',
+        'DEV-1: Checkout (Open) [unresolved blocker]',
+        '  blocks -> OPS-2',
+        'OPS-2: Deploy (Open)'
+      ].join('\n'));
+      expect(jiraRequest.mock.calls.some(([, , endpoint]) => endpoint.includes(encodeURIComponent('key in (OPS-2)')))).toBe(true);
+
+      const neither = await client.callTool({ name: 'jira-get-dependency-graph', arguments: {} });
+      expect(neither.content[0].text).toBe('Error: Give either issueKey or jql');
+    });
+
+    test('should preview and confirm link deletion', async () => {
+      const client = await connect({ ...linksInstance, safety: { requireDeleteConfirmation: true } }, jiraRequest);
+
+      const refused = await client.callTool({ name: 'jira-delete-issue-link', arguments: { linkId: '10010' } });
+      expect(refused.isError).toBe(true);
+
+      const preview = await client.callTool({ name: 'jira-delete-issue-link', arguments: { linkId: '10010', dryRun: true } });
+      expect(preview.content[0].text).toContain('Removes the Blocks link: DEV-1 blocks DEV-2');
+      const confirmationToken = preview.content[0].text.match(/Confirmation token: (\w+)/)[1];
+
+      const deleted = await client.callTool({ name: 'jira-delete-issue-link', arguments: { linkId: '10010', confirmationToken } });
+      expect(deleted.content[0].text).toBe('Issue link 10010 deleted successfully');
+      expect(jiraRequest).toHaveBeenCalledWith(linksInstance.baseUrl, linksInstance.bearerToken, '/rest/api/2/issueLink/10010', { method: 'DELETE' });
+    });
+  });
+
+  describe('remote links', () => {
+    let remoteLinks;
+
+    beforeEach(() => {
+      remoteLinks = [
+        { id: 10000, globalId: 'github:acme/shop/pull/42', relationship: 'implemented by', object: { url: 'https://github.com/acme/shop/pull/42', title: 'PR #42', icon: { url16x16: 'https://github.com/favicon.ico', title: 'GitHub' } } }
+      ];
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (endpoint === '/rest/api/2/issue/DEV-1/remotelink') {
+          return options?.method === 'POST' ? { id: 10001, self: `${baseUrl}/rest/api/2/issue/DEV-1/remotelink/10001` } : remoteLinks;
+        }
+        if (endpoint === '/rest/api/2/issue/DEV-1/remotelink/10000') {
+          return options?.method ? null : remoteLinks[0];
+        }
+        return options?.method ? null : { key: 'DEV-1', fields: { summary: 'Checkout', status: { name: 'Open' } } };
+      });
+    });
+
+    const sentBody = method => JSON.parse(jiraRequest.mock.calls.find(([, , , options]) => options?.method === method)[3].body);
+
+    test('should list remote links', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-remote-links', arguments: { issueKey: 'DEV-1' } });
+
+      expect(result.content[0].text).toBe('Remote links of DEV-1: 1\n\n[10000] PR #42 - https://github.com/acme/shop/pull/42 (implemented by)\n  Global ID: github:acme/shop/pull/42');
+    });
+
+    test('should add a new remote link', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-add-remote-link',
+        arguments: { issueKey: 'DEV-1', url: 'https://docs.example.com/design', title: 'Design doc', iconUrl: 'https://docs.example.com/icon.png' }
+      });
+
+      expect(result.content[0].text).toBe('Added remote link 10001 on DEV-1: Design doc (https://docs.example.com/design)');
+      expect(sentBody('POST')).toEqual({ object: { url: 'https://docs.example.com/design', title: 'Design doc', icon: { url16x16: 'https://docs.example.com/icon.png' } } });
+    });
+
+    test('should update the link with the same globalId instead of adding a duplicate', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-add-remote-link',
+        arguments: { issueKey: 'DEV-1', url: 'https://github.com/acme/shop/pull/42', title: 'PR #42 (merged)', globalId: 'github:acme/shop/pull/42' }
+      });
+
+      expect(result.content[0].text).toMatch(/^Updated remote link \d+ on DEV-1: PR #42 \(merged\)/);
+      expect(sentBody('POST')).toEqual({
+        globalId: 'github:acme/shop/pull/42',
+        relationship: 'implemented by',
+        object: { url: 'https://github.com/acme/shop/pull/42', title: 'PR #42 (merged)', icon: { url16x16: 'https://github.com/favicon.ico', title: 'GitHub' } }
+      });
+    });
+
+    test('should keep unchanged values when updating by ID', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-update-remote-link', arguments: { issueKey: 'DEV-1', linkId: '10000', relationship: 'reviewed in' } });
+
+      expect(result.content[0].text).toBe('Remote link 10000 on DEV-1 updated successfully');
+      expect(sentBody('PUT')).toEqual({ ...remoteLinks[0], id: undefined, relationship: 'reviewed in' });
+    });
+
+    test('should delete by globalId after a confirmed dry run', async () => {
+      const client = await connect({ ...production, safety: { requireDeleteConfirmation: true } }, jiraRequest);
+      const target = { issueKey: 'DEV-1', globalId: 'github:acme/shop/pull/42' };
+
+      const preview = await client.callTool({ name: 'jira-delete-remote-link', arguments: { ...target, dryRun: true } });
+      expect(preview.content[0].text).toContain('Removes remote link 10000: PR #42 (https://github.com/acme/shop/pull/42)');
+      const confirmationToken = preview.content[0].text.match(/Confirmation token: (\w+)/)[1];
+
+      const deleted = await client.callTool({ name: 'jira-delete-remote-link', arguments: { ...target, confirmationToken } });
+      expect(deleted.content[0].text).toBe('Remote link github:acme/shop/pull/42 deleted from DEV-1');
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-1/remotelink?globalId=github%3Aacme%2Fshop%2Fpull%2F42', { method: 'DELETE' });
+    });
+  });
+
+  describe('bulk create', () => {
+    let nextId;
+    let bulkBodies;
+
+    beforeEach(() => {
+      nextId = 10;
+      bulkBodies = [];
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (endpoint !== '/rest/api/2/issue/bulk' || !options?.method) {
+          return { key: 'DEV-1', fields: {} };
+        }
+        const { issueUpdates } = JSON.parse(options.body);
+        bulkBodies.push(issueUpdates);
+        const issues = [];
+        const errors = [];
+        issueUpdates.forEach((update, element) => {
+          if (update.fields.summary.startsWith('Bad')) {
+            errors.push({ status: 400, failedElementNumber: element, elementErrors: { errorMessages: [], errors: { priority: 'Priority name \'Urgent\' is not valid' } } });
+          } else {
+            issues.push({ id: String(nextId), key: `DEV-${nextId++}` });
+          }
+        });
+        if (errors.length > 0) {
+          const error = new Error('Jira API error: 400 Bad Request');
+          error.body = { issues, errors };
+          throw error;
+        }
+        return { issues, errors };
+      });
+    });
+
+    test('should create parents before sub-tasks that reference them', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-create-issues-bulk',
+        arguments: {
+          projectKey: 'DEV',
+          issues: [
+            { issueType: 'Story', summary: 'Checkout' },
+            { issueType: 'Sub-task', summary: 'Cart page', parent: 0 },
+            { issueType: 'Task', summary: 'Docs', projectKey: 'DOC' },
+            { issueType: 'Sub-task', summary: 'Payment page', parent: 0 }
+          ]
+        }
+      });
+      const text = result.content[0].text;
+
+      expect(bulkBodies).toHaveLength(2);
+      expect(bulkBodies[0].map(update => update.fields.summary)).toEqual(['Checkout', 'Docs']);
+      expect(bulkBodies[0][1].fields.project).toEqual({ key: 'DOC' });
+      expect(bulkBodies[1].map(update => update.fields.parent)).toEqual([{ key: 'DEV-10' }, { key: 'DEV-10' }]);
+      expect(text).toContain('Created 4 of 4 issues: DEV-10, DEV-12, DEV-11, DEV-13');
+      expect(text).toContain('[1] DEV-12 - Cart page (parent: DEV-10)');
+    });
+
+    test('should report per-item errors and skip sub-tasks of failed parents', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-create-issues-bulk',
+        arguments: {
+          projectKey: 'DEV',
+          issues: [
+            { issueType: 'Story', summary: 'Good story' },
+            { issueType: 'Story', summary: 'Bad story' },
+            { issueType: 'Sub-task', summary: 'Orphan', parent: 1 }
+          ]
+        }
+      });
+      const text = result.content[0].text;
+
+      expect(result.isError).toBe(false);
+      expect(text).toContain('Created 1 of 3 issues: DEV-10');
+      expect(text).toContain('[1] FAILED - Bad story: priority: Priority name \'Urgent\' is not valid');
+      expect(text).toContain('[2] FAILED - Orphan: Skipped: parent item [1] was not created');
+      expect(bulkBodies).toHaveLength(1);
+    });
+
+    test('should preview the batch without creating anything', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-create-issues-bulk',
+        arguments: {
+          projectKey: 'DEV',
+          issues: [{ issueType: 'Story', summary: 'Checkout' }, { issueType: 'Sub-task', summary: 'Cart page', parent: 0 }],
+          dryRun: true
+        }
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Request: POST /rest/api/2/issue/bulk');
+      expect(text).toContain('<key of item [0]>');
+      expect(text).toContain('Request 2: items [1]');
+      expect(bulkBodies).toHaveLength(0);
+    });
+
+    test('should reject forward parent references', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-create-issues-bulk',
+        arguments: { projectKey: 'DEV', issues: [{ issueType: 'Sub-task', summary: 'Early', parent: 1 }, { issueType: 'Story', summary: 'Late' }] }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('a parent must be an earlier item in the batch');
+    });
+  });
+
+  describe('bulk edit', () => {
+    let issues;
+    let writes;
+
+    beforeEach(() => {
+      issues = [
+        { key: 'DEV-1', fields: { summary: 'Login', status: { name: 'Open' } } },
+        { key: 'DEV-2', fields: { summary: 'Logout', status: { name: 'Done' } } },
+        { key: 'DEV-3', fields: { summary: 'Signup', status: { name: 'Open' } } }
+      ];
+      writes = [];
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (endpoint.startsWith('/rest/api/2/search')) {
+          return { startAt: 0, maxResults: 100, total: issues.length, issues };
+        }
+        if (endpoint.endsWith('/transitions') && !options?.method) {
+          return { transitions: [{ id: '31', name: 'Resolve', to: { name: 'Done' } }] };
+        }
+        if (options?.method) {
+          writes.push([options.method, endpoint, JSON.parse(options.body)]);
+          if (endpoint.startsWith('/rest/api/2/issue/DEV-3/comment')) {
+            throw new Error('Permission denied. Your Bearer token does not have access to this resource.');
+          }
+        }
+        return null;
+      });
+    });
+
+    test('should preview matching issues by default', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-bulk-edit',
+        arguments: { jql: 'project = DEV', addLabels: ['q3'], toStatus: 'Done' }
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('DRY RUN');
+      expect(text).toContain('JQL matches 3 issue(s): DEV-1, DEV-2, DEV-3');
+      expect(text).toContain('Add labels: q3');
+      expect(text).toContain('Transition to "Done"');
+      expect(text).toContain('Request: PUT /rest/api/2/issue/{issueKey}');
+      expect(text).toContain('Then POST /rest/api/2/issue/{issueKey}/transitions');
+      expect(text).toMatch(/Confirmation token: \w+/);
+      expect(result.content[1].text).toContain('DEV-2');
+      expect(writes).toHaveLength(0);
+    });
+
+    test('should apply the change and report a result per issue', async () => {
+      const client = await connect(production, jiraRequest);
+      const change = { jql: 'project = DEV', addLabels: ['q3'], removeLabels: ['old'], toStatus: 'done', comment: 'Closing out Q3', format: 'concise' };
+      const preview = await client.callTool({ name: 'jira-bulk-edit', arguments: change });
+      const confirmationToken = preview.content[0].text.match(/Confirmation token: (\w+)/)[1];
+      const result = await client.callTool({
+        name: 'jira-bulk-edit',
+        arguments: { ...change, dryRun: false, confirmationToken }
+      });
+      const text = result.content[0].text;
+
+      expect(result.isError).toBe(false);
+      expect(writes.filter(([method]) => method === 'PUT')).toHaveLength(3);
+      expect(writes[0][2]).toEqual({ update: { labels: [{ add: 'q3' }, { remove: 'old' }] } });
+      expect(text).toContain('Updated 2 of 3 issues (1 failed)');
+      expect(text).toContain('DEV-1: OK - edited, transitioned to Done, commented');
+      expect(text).toContain('DEV-2: OK - edited, already Done, commented');
+      expect(text).toContain('DEV-3: FAILED - Permission denied. Your Bearer token does not have access to this resource. (completed: edited, transitioned to Done)');
+    });
+
+    test('should refuse selections above the configured maximum', async () => {
+      const client = await connect({ ...production, bulk: { maxIssues: 2 } }, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-bulk-edit',
+        arguments: { jql: 'project = DEV', assignee: 'jdoe', dryRun: false }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('JQL matches 3 issues, more than the bulk edit limit of 2');
+      expect(writes).toHaveLength(0);
+    });
+
+    test('should only apply a confirmed change to the previewed issues', async () => {
+      const client = await connect(production, jiraRequest);
+      const change = { jql: 'project = DEV', addLabels: ['q3'] };
+
+      const unconfirmed = await client.callTool({ name: 'jira-bulk-edit', arguments: { ...change, dryRun: false } });
+      expect(unconfirmed.isError).toBe(true);
+      expect(unconfirmed.content[0].text).toContain('Bulk edit requires confirmation');
+
+      let preview = await client.callTool({ name: 'jira-bulk-edit', arguments: change });
+      let confirmationToken = preview.content[0].text.match(/Confirmation token: (\w+)/)[1];
+      const otherChange = await client.callTool({ name: 'jira-bulk-edit', arguments: { ...change, addLabels: ['q4'], dryRun: false, confirmationToken } });
+      expect(otherChange.isError).toBe(true);
+
+      preview = await client.callTool({ name: 'jira-bulk-edit', arguments: change });
+      confirmationToken = preview.content[0].text.match(/Confirmation token: (\w+)/)[1];
+      issues.push({ key: 'DEV-4', fields: { summary: 'Reset password', status: { name: 'Open' } } });
+      const moved = await client.callTool({ name: 'jira-bulk-edit', arguments: { ...change, dryRun: false, confirmationToken } });
+      expect(moved.isError).toBe(true);
+      expect(moved.content[0].text).toContain('If the JQL now matches different issues, preview again');
+      expect(writes).toHaveLength(0);
+    });
+
+    test('should require a change', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-bulk-edit', arguments: { jql: 'project = DEV' } });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Nothing to change');
+    });
+  });
+
+  describe('issue history', () => {
+    const jane = { name: 'jane', displayName: 'Jane Roe' };
+    const john = { name: 'jdoe', displayName: 'John Doe' };
+
+    beforeEach(() => {
+      jiraRequest = jest.fn(async () => ({
+        key: 'DEV-1',
+        fields: { summary: 'Fix login' },
+        changelog: {
+          histories: [
+            { id: '3', author: jane, created: '2025-01-20T09:00:00.000+0000', items: [{ field: 'status', fromString: 'In Progress', toString: 'Done' }, { field: 'resolution', fromString: null, toString: 'Fixed' }] },
+            { id: '1', author: john, created: '2025-01-10T09:00:00.000+0000', items: [{ field: 'status', fromString: 'Open', toString: 'In Progress' }] },
+            { id: '2', author: john, created: '2025-01-15T12:30:00.000+0000', items: [{ field: 'Story Points', fromString: '3', toString: '5' }] }
+          ]
+        }
+      }));
+    });
+
+    test('should return a chronological timeline of field changes', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-issue-history', arguments: { issueKey: 'DEV-1' } });
+      const lines = result.content[0].text.split('\n');
+
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-1?fields=summary&expand=changelog');
+      expect(lines.slice(0, 2)).toEqual(['DEV-1: Fix login', 'Changes: 4 matching of 4, showing 4 from 0']);
+      expect(lines.slice(3)).toEqual([
+        '2025-01-10 09:00 John Doe: status "Open" -> "In Progress"',
+        '2025-01-15 12:30 John Doe: Story Points "3" -> "5"',
+        '2025-01-20 09:00 Jane Roe: status "In Progress" -> "Done"',
+        '2025-01-20 09:00 Jane Roe: resolution (empty) -> "Fixed"'
+      ]);
+    });
+
+    test('should filter by field, author and date range and paginate', async () => {
+      const client = await connect(production, jiraRequest);
+      const byField = await client.callTool({ name: 'jira-get-issue-history', arguments: { issueKey: 'DEV-1', field: 'STATUS', author: 'Jane Roe', format: 'json' } });
+      expect(JSON.parse(byField.content[0].text).changes).toEqual([
+        expect.objectContaining({ field: 'status', from: 'In Progress', to: 'Done' })
+      ]);
+
+      const byDate = await client.callTool({ name: 'jira-get-issue-history', arguments: { issueKey: 'DEV-1', since: '2025-01-12', until: '2025-01-20', format: 'json' } });
+      expect(JSON.parse(byDate.content[0].text).changes.map(change => change.field)).toEqual(['Story Points']);
+
+      const paged = await client.callTool({ name: 'jira-get-issue-history', arguments: { issueKey: 'DEV-1', author: 'jdoe', maxResults: 1 } });
+      expect(paged.content[0].text).toContain('More changes available (continue with startAt: 1)');
+    });
+  });
+
+  describe('clone issue', () => {
+    // A base URL of its own keeps the cached create screens out of other tests
+    const cloneInstance = { baseUrl: 'https://jira-clone.example.com', bearerToken: 'clone-token' };
+    const createScreen = [
+      { fieldId: 'customfield_10011', name: 'Epic Name', required: true, schema: { type: 'string', custom: 'com.pyxis.greenhopper.jira:gh-epic-label' } },
+      { fieldId: 'customfield_10020', name: 'Colour', required: false, schema: { type: 'option' } },
+      { fieldId: 'customfield_10040', name: 'Sprint', required: false, schema: { type: 'array', items: 'string', custom: 'com.pyxis.greenhopper.jira:gh-sprint' } }
+    ];
+    const sources = {
+      'DEV-1': {
+        key: 'DEV-1',
+        fields: {
+          summary: 'Release checklist',
+          description: 'Steps to ship',
+          issuetype: { name: 'Task' },
+          priority: { name: 'High' },
+          labels: ['template'],
+          components: [{ id: '10', name: 'Backend' }],
+          project: { key: 'DEV' },
+          subtasks: [{ key: 'DEV-2' }],
+          attachment: [{ id: '500', filename: 'notes.txt', size: 5 }, { id: '501', filename: 'demo.mp4', size: 50 * 1024 * 1024 }],
+          customfield_10011: 'Q3 release',
+          customfield_10020: { self: 'https://jira.example.com/rest/api/2/customFieldOption/10100', value: 'Red', id: '10100' },
+          customfield_10030: 'Only on DEV screens',
+          customfield_10040: ['com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=7,state=ACTIVE,name=Sprint 7]'],
+          customfield_10050: null
+        }
+      },
+      'DEV-2': {
+        key: 'DEV-2',
+        fields: { summary: 'Tag the release', issuetype: { name: 'Sub-task' }, labels: [], components: [], project: { key: 'DEV' }, parent: { key: 'DEV-1' } }
+      }
+    };
+    let created;
+
+    beforeEach(() => {
+      created = [];
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (options?.method === 'POST' && endpoint === '/rest/api/2/issue') {
+          created.push(JSON.parse(options.body));
+          return { key: `OPS-${created.length}` };
+        }
+        if (options?.method) {
+          return null;
+        }
+        if (options?.responseType === 'buffer') {
+          return Buffer.from('hello');
+        }
+        if (/^\/rest\/api\/2\/issue\/createmeta\/\w+\/issuetypes\//.test(endpoint)) {
+          return { isLast: true, values: createScreen };
+        }
+        if (endpoint.startsWith('/rest/api/2/issue/createmeta/')) {
+          return { isLast: true, values: [{ id: '1', name: 'Task' }, { id: '2', name: 'Sub-task' }] };
+        }
+        return sources[endpoint.match(/issue\/([A-Z]+-\d+)/)[1]];
+      });
+    });
+
+    test('should copy the issue, sub-tasks and attachments and link back to the source', async () => {
+      const client = await connect(cloneInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-clone-issue',
+        arguments: { issueKey: 'DEV-1', projectKey: 'OPS', includeComponents: false, includeSubtasks: true, includeAttachments: true, fields: { duedate: '2025-12-01' } }
+      });
+      const text = result.content[0].text;
+
+      expect(created[0].fields).toEqual({
+        project: { key: 'OPS' },
+        issuetype: { name: 'Task' },
+        summary: 'CLONE - Release checklist',
+        description: 'Steps to ship',
+        priority: { name: 'High' },
+        labels: ['template'],
+        duedate: '2025-12-01',
+        customfield_10011: 'Q3 release',
+        customfield_10020: { id: '10100' }
+      });
+      expect(created[1].fields).toMatchObject({ project: { key: 'OPS' }, summary: 'Tag the release', parent: { key: 'OPS-1' } });
+      expect(jiraRequest).toHaveBeenCalledWith(cloneInstance.baseUrl, cloneInstance.bearerToken, '/rest/api/2/issueLink', {
+        method: 'POST',
+        body: JSON.stringify({ type: { name: 'Cloners' }, inwardIssue: { key: 'OPS-1' }, outwardIssue: { key: 'DEV-1' } })
+      });
+      expect(jiraRequest).toHaveBeenCalledWith(cloneInstance.baseUrl, cloneInstance.bearerToken, '/secure/attachment/500/notes.txt', { responseType: 'buffer', maxResponseBytes: 10 * 1024 * 1024 });
+      expect(jiraRequest).not.toHaveBeenCalledWith(expect.anything(), expect.anything(), '/secure/attachment/501/demo.mp4', expect.anything());
+      expect(jiraRequest).toHaveBeenCalledWith(cloneInstance.baseUrl, cloneInstance.bearerToken, '/rest/api/2/issue/OPS-1/attachments', expect.objectContaining({ method: 'POST', body: expect.any(FormData) }));
+      expect(text).toContain('Cloned DEV-1 to OPS-1');
+      expect(text).toContain('Sub-tasks: OPS-2 (from DEV-2)');
+      expect(text).toContain('Attachments: 1 of 2 copied');
+      expect(text).toContain('Skipped attachment(s) over the 10.0 MB limit: demo.mp4 (50.0 MB)');
+      expect(text).toContain('Not copied:\n  - Field customfield_10030 is not on the create screen\n  - Field "Sprint" (customfield_10040, array of string) expects a single sprint ID');
+    });
+
+    test('should preview the copy without creating it', async () => {
+      const client = await connect(cloneInstance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-clone-issue',
+        arguments: { issueKey: 'DEV-1', summary: 'Release 2.1 checklist', includeSubtasks: true, dryRun: true }
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('"summary": "Release 2.1 checklist"');
+      expect(text).toContain('"components": [');
+      expect(text).toContain('Copies 1 sub-task(s): DEV-2');
+      expect(text).toContain('Links the copy to DEV-1 (Cloners)');
+      expect(text).toContain('"customfield_10011": "Q3 release"');
+      expect(text).toContain('Does not copy: Field customfield_10030 is not on the create screen');
+      expect(created).toHaveLength(0);
+    });
+
+    test('should keep sub-tasks under their parent project', async () => {
+      const client = await connect(cloneInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-clone-issue', arguments: { issueKey: 'DEV-2', projectKey: 'OPS' } });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('sub-tasks can only be cloned within project DEV');
+    });
+  });
+
+  describe('hierarchy', () => {
+    // A base URL of its own keeps cached fields and issue types out of other tests
+    const hierarchyInstance = { baseUrl: 'https://jira-hierarchy.example.com', bearerToken: 'hierarchy-token' };
+    const status = (name, key) => ({ name, statusCategory: { key } });
+    const issues = {
+      'DEV-100': { key: 'DEV-100', fields: { summary: 'Checkout', issuetype: { name: 'Epic' }, status: status('In Progress', 'indeterminate'), subtasks: [], project: { key: 'DEV' } } },
+      'DEV-101': {
+        key: 'DEV-101',
+        fields: {
+          summary: 'Cart page',
+          issuetype: { name: 'Story' },
+          status: status('In Progress', 'indeterminate'),
+          project: { key: 'DEV' },
+          subtasks: [
+            { key: 'DEV-103', fields: { summary: 'Markup', issuetype: { name: 'Sub-task' }, status: status('Done', 'done') } },
+            { key: 'DEV-104', fields: { summary: 'Styles', issuetype: { name: 'Sub-task' }, status: status('Open', 'new') } }
+          ]
+        }
+      },
+      'DEV-102': { key: 'DEV-102', fields: { summary: 'Payment page', issuetype: { name: 'Story' }, status: status('Done', 'done'), subtasks: [] } },
+      'DEV-103': { key: 'DEV-103', fields: { summary: 'Markup', issuetype: { name: 'Sub-task', subtask: true }, project: { key: 'DEV' } } }
+    };
+
+    beforeEach(() => {
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (options?.method) {
+          return { key: 'DEV-105' };
+        }
+        if (endpoint === '/rest/api/2/field') {
+          return [{ id: 'customfield_10005', name: 'Epic Link', custom: true, schema: { type: 'any', custom: 'com.pyxis.greenhopper.jira:gh-epic-link' } }];
+        }
+        if (endpoint === '/rest/api/2/issuetype') {
+          return [{ id: '1', name: 'Story', subtask: false }, { id: '5', name: 'Technical task', subtask: true }, { id: '6', name: 'Sub-task', subtask: true }];
+        }
+        if (endpoint.startsWith('/rest/api/2/search')) {
+          const jql = new URL(endpoint, baseUrl).searchParams.get('jql');
+          const found = jql.startsWith('cf[10005] = "DEV-100"') ? [issues['DEV-101'], issues['DEV-102']] : [];
+          return { startAt: 0, maxResults: 100, total: found.length, issues: found };
+        }
+        return issues[endpoint.match(/issue\/([A-Z]+-\d+)/)[1]];
+      });
+    });
+
+    test('should render an epic tree with status rollups', async () => {
+      const client = await connect(hierarchyInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-issue-hierarchy', arguments: { issueKey: 'DEV-100' } });
+
+      expect(result.content[0].text.split('\n')).toEqual([
+        'DEV-100 [Epic] Checkout (In Progress) - 2 of 4 done (50%), 1 in progress, 1 to do',
+        '├── DEV-101 [Story] Cart page (In Progress) - 1 of 2 done (50%), 0 in progress, 1 to do',
+        '│   ├── DEV-103 [Sub-task] Markup (Done)',
+        '│   └── DEV-104 [Sub-task] Styles (Open)',
+        '└── DEV-102 [Story] Payment page (Done)'
+      ]);
+    });
+
+    test('should list epic issues through the Epic Link field', async () => {
+      const client = await connect(hierarchyInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-epic-issues', arguments: { epicKey: 'DEV-100', format: 'json' } });
+      const data = JSON.parse(result.content[0].text);
+
+      expect(data.jql).toBe('cf[10005] = "DEV-100" ORDER BY key ASC');
+      expect(data.issues.map(issue => issue.key)).toEqual(['DEV-101', 'DEV-102']);
+    });
+
+    test('should create a sub-task in the parent project with the default sub-task type', async () => {
+      const client = await connect(hierarchyInstance, jiraRequest);
+      await client.callTool({ name: 'jira-create-subtask', arguments: { parentKey: 'DEV-101', summary: 'Tests' } });
+
+      const [, , , options] = jiraRequest.mock.calls.find(([, , , options]) => options?.method === 'POST');
+      expect(JSON.parse(options.body).fields).toEqual({
+        project: { key: 'DEV' },
+        parent: { key: 'DEV-101' },
+        issuetype: { name: 'Sub-task' },
+        summary: 'Tests'
+      });
+    });
+
+    test('should refuse to nest sub-tasks', async () => {
+      const client = await connect(hierarchyInstance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-create-subtask', arguments: { parentKey: 'DEV-103', summary: 'Deeper' } });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('sub-tasks cannot be nested');
+    });
+  });
+
+  describe('search pagination', () => {
+    const issues = Array.from({ length: 250 }, (_, i) => ({ key: `DEV-${i + 1}`, fields: { summary: `Issue ${i + 1}` } }));
+
+    beforeEach(() => {
+      // Jira caps pages at 100 issues regardless of maxResults
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint) => {
+        const params = new URL(endpoint, baseUrl).searchParams;
+        const startAt = Number(params.get('startAt'));
+        const maxResults = Math.min(Number(params.get('maxResults')), 100);
+        return { startAt, maxResults, total: issues.length, issues: issues.slice(startAt, startAt + maxResults) };
+      });
+    });
+
+    test('should walk every page and report progress', async () => {
+      const client = await connect(production, jiraRequest);
+      const progress = [];
+      const result = await client.callTool(
+        { name: 'jira-search-issues', arguments: { jql: 'project = DEV', fetchAll: true } },
+        undefined,
+        { onprogress: update => progress.push(update) }
+      );
+      const data = JSON.parse(result.content[0].text);
+
+      expect(data).toMatchObject({ total: 250, returned: 250, truncated: false, limit: 1000 });
+      expect(data.issues.at(-1).key).toBe('DEV-250');
+      expect(jiraRequest).toHaveBeenCalledTimes(3);
+      expect(progress.map(update => update.progress)).toEqual([100, 200, 250]);
+      expect(progress.at(-1).total).toBe(250);
+    });
+
+    test('should stop at the limit and mark the result truncated', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-search-issues',
+        arguments: { jql: 'project = DEV', limit: 120, startAt: 10, format: 'concise' }
+      });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Total: 250, Returned: 120, StartAt: 10');
+      expect(text).toContain('TRUNCATED: stopped at 120 issues; 120 more match (continue with startAt: 130)');
+      expect(jiraRequest.mock.calls.map(([, , endpoint]) => new URL(endpoint, production.baseUrl).searchParams.get('maxResults'))).toEqual(['100', '20']);
+    });
+
+    test('should cap limit at the configured ceiling', async () => {
+      const client = await connect({ ...production, search: { maxFetchAll: 150 } }, jiraRequest);
+      const result = await client.callTool({ name: 'jira-search-issues', arguments: { jql: 'project = DEV', limit: 500 } });
+      const data = JSON.parse(result.content[0].text);
+
+      expect(data).toMatchObject({ returned: 150, truncated: true, limit: 150 });
+    });
+  });
+
+  describe('response formats', () => {
+    test('should format comments as markdown', async () => {
+      jiraRequest = jest.fn(async () => ({
+        total: 1,
+        comments: [{ id: '100', author: { displayName: 'Jane' }, created: '2025-01-15T10:30:00.000+0000', body: 'Looks good' }]
+      }));
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-issue-comments', arguments: { issueKey: 'DEV-1', format: 'markdown' } });
+
+      expect(result.content[0].text).toBe([
+        'Total: 1, Returned: 1',
+        '',
+        '| ID | Author | Created | Body |',
+        '| --- | --- | --- | --- |',
+        '| 100 | Jane | 2025-01-15 10:30 | Looks good |'
+      ].join('\n'));
+    });
+
+    test('should request only essential issue fields for csv output', async () => {
+      jiraRequest = jest.fn(async () => ({ total: 1, issues: [{ key: 'DEV-1', fields: { summary: 'Fix login', status: { name: 'Open' } } }] }));
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-my-issues', arguments: { format: 'csv' } });
+
+      expect(jiraRequest.mock.calls[0][2]).toContain('&fields=key,summary,status,assignee,priority,updated,created');
+      expect(result.content[0].text.split('\n')[1]).toBe('DEV-1,Fix login,Open,Unassigned,N/A,N/A,N/A');
+    });
+
+    test('should keep concise output as the projects default', async () => {
+      jiraRequest = jest.fn(async () => [{ key: 'DEV', name: 'Development' }]);
+      const client = await connect(production, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-projects', arguments: {} });
+
+      expect(result.content[0].text).toBe('Returned: 1, StartAt: 0, HasMore: false\n\nDEV: Development');
+    });
+  });
+
+  describe('transitions', () => {
+    // Open -> In Progress -> In Review -> Done (or Closed, which needs a resolution), plus two ways back to Open from In Progress
+    const workflow = {
+      Open: [{ id: '11', name: 'Start Progress', to: { name: 'In Progress' } }],
+      'In Progress': [
+        { id: '21', name: 'Submit', to: { name: 'In Review' } },
+        { id: '22', name: 'Stop Progress', to: { name: 'Open' } },
+        { id: '23', name: 'Reopen', to: { name: 'Open' } }
+      ],
+      'In Review': [
+        { id: '31', name: 'Approve', to: { name: 'Done' }, fields: {} },
+        {
+          id: '32',
+          name: 'Close',
+          to: { name: 'Closed' },
+          fields: {
+            resolution: { name: 'Resolution', required: true, allowedValues: [{ id: '1', name: 'Fixed' }, { id: '2', name: 'Won\'t Fix' }] },
+            fixVersions: { name: 'Fix Version/s', required: false }
+          }
+        }
+      ],
+      Done: [],
+      Closed: []
+    };
+    let status;
+
+    beforeEach(() => {
+      status = 'Open';
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (endpoint.includes('/transitions')) {
+          if (options?.method === 'POST') {
+            const { transition } = JSON.parse(options.body);
+            status = workflow[status].find(t => t.id === transition.id).to.name;
+            return null;
+          }
+          return { transitions: workflow[status] };
+        }
+        return { key: 'DEV-1', fields: { summary: 'Fix login', status: { name: status } } };
+      });
+    });
+
+    const transition = async args => {
+      const client = await connect(production, jiraRequest);
+      return client.callTool({ name: 'jira-transition-issue', arguments: { issueKey: 'DEV-1', ...args } });
+    };
+
+    test('should resolve a target status name case-insensitively', async () => {
+      const result = await transition({ toStatus: 'in progress' });
+
+      expect(result.content[0].text).toBe('Issue DEV-1 transitioned successfully to In Progress');
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-1/transitions', {
+        method: 'POST',
+        body: JSON.stringify({ transition: { id: '11' } })
+      });
+    });
+
+    test('should accept a transition name', async () => {
+      status = 'In Progress';
+      await transition({ toStatus: 'Submit' });
+
+      expect(status).toBe('In Review');
+    });
+
+    test('should list the options when the target is ambiguous or unavailable', async () => {
+      status = 'In Progress';
+      const ambiguous = await transition({ toStatus: 'Open' });
+      expect(ambiguous.isError).toBe(true);
+      expect(ambiguous.content[0].text).toContain('"Open" matches several transitions');
+      expect(ambiguous.content[0].text).toContain('"Reopen" (ID 23) -> Open');
+
+      const unavailable = await transition({ toStatus: 'Done' });
+      expect(unavailable.content[0].text).toContain('No available transition leads to "Done"');
+      expect(unavailable.content[0].text).toContain('"Submit" (ID 21) -> In Review');
+      expect(status).toBe('In Progress');
+    });
+
+    test('should walk intermediate statuses listed in via', async () => {
+      const result = await transition({ toStatus: 'Done', via: ['In Progress', 'In Review'] });
+
+      expect(result.content[0].text).toBe('Issue DEV-1 transitioned successfully: In Progress -> In Review -> Done');
+      expect(status).toBe('Done');
+    });
+
+    test('should report completed steps when a path breaks', async () => {
+      const result = await transition({ toStatus: 'Done', via: ['In Progress'] });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Step 2 of 2 failed (completed: In Progress)');
+      expect(status).toBe('In Progress');
+    });
+
+    test('should require exactly one of transitionId and toStatus', async () => {
+      const result = await transition({ transitionId: '11', toStatus: 'In Progress' });
+
+      expect(result.content[0].text).toContain('Provide exactly one of transitionId or toStatus');
+      expect(jiraRequest).not.toHaveBeenCalled();
+    });
+
+    test('should send screen fields, update operations and a comment with the transition', async () => {
+      status = 'In Review';
+      const result = await transition({
+        toStatus: 'Closed',
+        fields: { resolution: { name: 'Fixed' } },
+        update: { fixVersions: [{ add: { name: '1.0' } }] },
+        comment: 'Shipped in 1.0'
+      });
+
+      expect(result.isError).toBeFalsy();
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-1/transitions?expand=transitions.fields');
+      expect(JSON.parse(jiraRequest.mock.calls.at(-1)[3].body)).toEqual({
+        transition: { id: '32' },
+        fields: { resolution: { name: 'Fixed' } },
+        update: { fixVersions: [{ add: { name: '1.0' } }], comment: [{ add: { body: 'Shipped in 1.0' } }] }
+      });
+    });
+
+    test('should refuse transitions missing required screen fields', async () => {
+      status = 'In Review';
+      const result = await transition({ toStatus: 'Closed', comment: 'Closing' });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Missing required field "resolution" (Resolution) - allowed: Fixed, Won\'t Fix');
+      expect(status).toBe('In Review');
+    });
+
+    test('should refuse values that are not allowed or fields not on the screen', async () => {
+      status = 'In Review';
+      const result = await transition({ toStatus: 'Closed', fields: { resolution: { name: 'Done' }, labels: ['x'] } });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Invalid value for "resolution" (Resolution): {"name":"Done"}');
+      expect(text).toContain('Field "labels" is not on the "Close" transition screen');
+      expect(status).toBe('In Review');
+    });
+
+    test('should report required fields in a dry run', async () => {
+      status = 'In Review';
+      const result = await transition({ toStatus: 'Closed', dryRun: true });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Screen fields: resolution (Resolution, required) - allowed: Fixed, Won\'t Fix; fixVersions (Fix Version/s)');
+      expect(text).toContain('Would be rejected: Missing required field "resolution"');
+    });
+
+    test('should preview the first step of a path', async () => {
+      const result = await transition({ toStatus: 'Done', via: ['In Progress', 'In Review'], dryRun: true });
+      const text = result.content[0].text;
+
+      expect(text).toContain('Transition "Start Progress" (ID 11)');
+      expect(text).toContain('Then: In Review -> Done');
+      expect(text).toContain('status: Open -> In Progress');
+      expect(status).toBe('Open');
+    });
+  });
+
+  describe('resources', () => {
+    beforeEach(() => {
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint) => {
+        if (endpoint.startsWith('/rest/api/2/search')) {
+          return {
+            total: 1,
+            issues: [{ key: 'DEV-1', fields: { summary: 'Fix login', status: { name: 'Open' }, issuetype: { name: 'Bug' } } }]
+          };
+        }
+        if (endpoint.startsWith('/rest/api/2/filter/')) {
+          return { id: '10200', name: 'My bugs', jql: 'type = Bug', owner: { displayName: 'Jane' } };
+        }
+        if (endpoint.startsWith('/rest/api/2/project/')) {
+          return { key: 'DEV', name: 'Development', lead: { displayName: 'Jane' }, components: [], issueTypes: [{ name: 'Bug' }] };
+        }
+        return { key: 'DEV-1', fields: { summary: 'Fix login' } };
+      });
+    });
+
+    test('should expose issue, project and filter templates', async () => {
+      const client = await connect(production, jiraRequest);
+      const { resourceTemplates } = await client.listResourceTemplates();
+
+      expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+        'jira://issue/{key}',
+        'jira://project/{key}',
+        'jira://filter/{id}'
+      ]);
+    });
+
+    test('should list the current user\'s open issues', async () => {
+      const client = await connect(production, jiraRequest);
+      const { resources } = await client.listResources();
+
+      expect(resources).toEqual([expect.objectContaining({ uri: 'jira://issue/DEV-1', name: 'DEV-1', title: 'DEV-1: Fix login' })]);
+      expect(decodeURIComponent(jiraRequest.mock.calls[0][2])).toContain('assignee = currentUser() AND resolution = Unresolved');
+    });
+
+    test('should read issues, projects and filters', async () => {
+      const client = await connect(production, jiraRequest);
+
+      const issue = await client.readResource({ uri: 'jira://issue/DEV-1' });
+      expect(JSON.parse(issue.contents[0].text).key).toBe('DEV-1');
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/issue/DEV-1');
+
+      const project = await client.readResource({ uri: 'jira://project/DEV' });
+      expect(JSON.parse(project.contents[0].text)).toMatchObject({ key: 'DEV', lead: 'Jane', issueTypes: ['Bug'] });
+
+      const filter = await client.readResource({ uri: 'jira://filter/10200' });
+      expect(JSON.parse(filter.contents[0].text)).toMatchObject({ name: 'My bugs', jql: 'type = Bug', total: 1, truncated: false });
+      expect(jiraRequest.mock.calls.at(-1)[2]).toContain(encodeURIComponent('type = Bug'));
+    });
+
+    test('should address non-default profiles by name', async () => {
+      const client = await connect({
+        ...production,
+        profiles: { production, staging },
+        defaultProfile: 'production'
+      }, jiraRequest);
+
+      await client.readResource({ uri: 'jira://staging/issue/DEV-1' });
+      expect(jiraRequest).toHaveBeenCalledWith(staging.baseUrl, staging.bearerToken, '/rest/api/2/issue/DEV-1');
+    });
+
+    test('should refuse resource keys that are not issue keys, project keys or filter IDs', async () => {
+      const client = await connect(production, jiraRequest);
+
+      await expect(client.readResource({ uri: 'jira://issue/..%2F..%2Fmyself' })).rejects.toThrow('Invalid issue key format');
+      await expect(client.readResource({ uri: 'jira://project/DEV%2F..%2F..%2Fserverinfo' })).rejects.toThrow('Invalid project key format');
+      await expect(client.readResource({ uri: 'jira://filter/1%3Fexpand%3Dall' })).rejects.toThrow('Invalid filter ID');
+      expect(jiraRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('prompts', () => {
+    beforeEach(() => {
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint) => {
+        if (endpoint.startsWith('/rest/api/2/search')) {
+          return {
+            total: 2,
+            issues: [
+              { key: 'DEV-1', fields: { summary: 'Fix login', status: { name: 'In Progress' }, issuetype: { name: 'Bug' } } },
+              { key: 'DEV-2', fields: { summary: 'Add export', status: { name: 'Done' }, issuetype: { name: 'Story' } } }
+            ]
+          };
+        }
+        if (endpoint.endsWith('/comment')) {
+          return { total: 1, comments: [{ author: { displayName: 'Jane' }, created: '2025-01-01T09:30:00.000Z', body: 'Seen on Safari only' }] };
+        }
+        if (endpoint.startsWith('/rest/api/2/project/')) {
+          return { key: 'DEV', name: 'Development', components: [{ name: 'Web' }], issueTypes: [{ name: 'Bug' }] };
+        }
+        return { key: 'DEV-1', fields: { summary: 'Fix login', description: 'Login fails', status: { name: 'Open' } } };
+      });
+    });
+
+    test('should register the workflow prompts', async () => {
+      const client = await connect(production, jiraRequest);
+      const { prompts } = await client.listPrompts();
+
+      expect(prompts.map(prompt => prompt.name)).toEqual(['standup', 'triage-issue', 'write-bug-report', 'sprint-summary']);
+    });
+
+    test('should pre-fetch the issue and its comments for triage', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.getPrompt({ name: 'triage-issue', arguments: { issueKey: 'DEV-1' } });
+      const text = result.messages[0].content.text;
+
+      expect(text).toContain('Summary: Fix login');
+      expect(text).toContain('Login fails');
+      expect(text).toContain('Jane (2025-01-01 09:30):\nSeen on Safari only');
+    });
+
+    test('should refuse triage of something that is not an issue key', async () => {
+      const client = await connect(production, jiraRequest);
+
+      await expect(client.getPrompt({ name: 'triage-issue', arguments: { issueKey: '../../myself' } })).rejects.toThrow('Invalid issue key format');
+      expect(jiraRequest).not.toHaveBeenCalled();
+    });
+
+    test('should build the standup from the current user\'s issues', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.getPrompt({ name: 'standup', arguments: { project: 'DEV', days: '3' } });
+
+      expect(decodeURIComponent(jiraRequest.mock.calls[0][2])).toContain('assignee = currentUser() AND (updated >= -3d OR resolution = Unresolved) AND project = "DEV"');
+      expect(result.messages[0].content.text).toContain('- DEV-1 [Bug] Fix login (Status: In Progress');
+    });
+
+    test('should count sprint issues by status', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.getPrompt({ name: 'sprint-summary', arguments: { project: 'DEV' } });
+
+      expect(decodeURIComponent(jiraRequest.mock.calls[0][2])).toContain('sprint in openSprints()');
+      expect(result.messages[0].content.text).toContain('Issues (2 of 2): In Progress: 1, Done: 1');
+    });
+
+    test('should quote the sprint name in the sprint summary JQL', async () => {
+      const client = await connect(production, jiraRequest);
+      await client.getPrompt({ name: 'sprint-summary', arguments: { project: 'DEV', sprint: 'Sprint "7" OR project = OPS' } });
+
+      expect(decodeURIComponent(jiraRequest.mock.calls[0][2])).toContain('project = "DEV" AND sprint = "Sprint \\"7\\" OR project = OPS" ORDER BY');
+    });
+
+    test('should refuse a project that is not a project key', async () => {
+      const client = await connect(production, jiraRequest);
+
+      await expect(client.getPrompt({ name: 'standup', arguments: { project: 'DEV" OR project = "OPS' } })).rejects.toThrow('Invalid project key format');
+      await expect(client.getPrompt({ name: 'sprint-summary', arguments: { project: 'dev ops' } })).rejects.toThrow('Invalid project key format');
+      expect(jiraRequest).not.toHaveBeenCalled();
+    });
+
+    test('should include project components in the bug report prompt', async () => {
+      const client = await connect(production, jiraRequest);
+      const result = await client.getPrompt({ name: 'write-bug-report', arguments: { projectKey: 'DEV', problem: 'Export button does nothing' } });
+      const text = result.messages[0].content.text;
+
+      expect(text).toContain('Export button does nothing');
+      expect(text).toContain('Components: Web');
+    });
+  });
+
+  describe('attachments', () => {
+    const attachments = {
+      10001: { id: '10001', filename: 'notes.txt', size: 11, mimeType: 'text/plain', author: { displayName: 'John Doe' }, created: '2025-01-15T10:00:00.000+0000' },
+      10002: { id: '10002', filename: 'screenshot.png', size: 2048, mimeType: 'image/png', author: { displayName: 'Jane Roe' }, created: '2025-01-16T09:30:00.000+0000' }
+    };
+    let tempDir;
+    let instance;
+
+    beforeEach(async () => {
+      tempDir = await mkdtemp(join(tmpdir(), 'jira-mcp-attachments-'));
+      instance = { ...production, attachments: { downloadDir: tempDir, maxInlineBytes: 1024, maxUploadBytes: 4096 } };
+      jiraRequest = jest.fn(async (baseUrl, bearerToken, endpoint, options) => {
+        if (options?.body instanceof FormData) {
+          return options.body.getAll('file').map((file, index) => ({
+            id: String(10003 + index), filename: file.name, size: file.size, mimeType: 'text/plain', author: { displayName: 'John Doe' }, created: '2025-01-17T08:00:00.000+0000'
+          }));
+        }
+        if (options?.method) {
+          return null;
+        }
+        if (options?.responseType === 'buffer') {
+          return Buffer.from(endpoint.endsWith('notes.txt') ? 'hello world' : 'PNG');
+        }
+        const attachmentId = endpoint.match(/^\/rest\/api\/2\/attachment\/(\d+)$/)?.[1];
+        return attachmentId ? attachments[attachmentId] : { key: 'DEV-1', fields: { attachment: Object.values(attachments) } };
+      });
+    });
+
+    afterEach(async () => {
+      await rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should list attachments with their metadata', async () => {
+      const client = await connect(instance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-get-attachments', arguments: { issueKey: 'DEV-1' } });
+
+      expect(result.content[0].text).toBe([
+        'Attachments of DEV-1: 2',
+        '',
+        '[10001] notes.txt (11 B, text/plain) - John Doe, 2025-01-15 10:00',
+        '[10002] screenshot.png (2.0 KB, image/png) - Jane Roe, 2025-01-16 09:30'
+      ].join('\n'));
+    });
+
+    test('should return small text attachments inline', async () => {
+      const client = await connect(instance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10001' } });
+
+      expect(result.content[0].text).toBe('notes.txt (11 B, text/plain):\n\nhello world');
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/secure/attachment/10001/notes.txt', expect.objectContaining({ responseType: 'buffer' }));
+    });
+
+    test('should save other attachments into the download directory without overwriting', async () => {
+      const client = await connect(instance, jiraRequest);
+
+      const saved = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10002', fileName: 'shots/login.png' } });
+      expect(saved.content[0].text).toBe(`Saved screenshot.png (2.0 KB, image/png) to ${join(tempDir, 'shots', 'login.png')}`);
+      expect(await readFile(join(tempDir, 'shots', 'login.png'), 'utf8')).toBe('PNG');
+
+      const again = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10002', fileName: 'shots/login.png' } });
+      expect(again.isError).toBe(true);
+      expect(again.content[0].text).toContain('already exists; pass overwrite: true');
+
+      const inline = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10002', output: 'inline' } });
+      expect(inline.content[0].text).toBe('Error: screenshot.png (2.0 KB, image/png) cannot be returned inline: image/png is not a text type. Use output: "file" instead.');
+    });
+
+    test('should refuse file names that leave the download directory', async () => {
+      const client = await connect(instance, jiraRequest);
+      const result = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10001', output: 'file', fileName: '../escape.txt' } });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain(`File name must point inside the download directory ${tempDir}`);
+      expect(jiraRequest).not.toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.stringContaining('/secure/attachment/'), expect.anything());
+    });
+
+    test('should not follow symbolic links out of the download directory', async () => {
+      const outsideDir = await mkdtemp(join(tmpdir(), 'jira-mcp-outside-'));
+      try {
+        await symlink(outsideDir, join(tempDir, 'linked'));
+        await writeFile(join(outsideDir, 'victim.png'), 'original');
+        await symlink(join(outsideDir, 'victim.png'), join(tempDir, 'victim.png'));
+        const client = await connect(instance, jiraRequest);
+
+        const viaDirectory = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10002', fileName: 'linked/new/escape.png' } });
+        expect(viaDirectory.content[0].text).toBe(`Error: File name must point inside the download directory ${tempDir}`);
+
+        const viaFile = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10002', fileName: 'victim.png', overwrite: true } });
+        expect(viaFile.content[0].text).toBe(`Error: ${join(tempDir, 'victim.png')} is a symbolic link; refusing to write through it`);
+
+        expect(await readdir(outsideDir)).toEqual(['victim.png']);
+        expect(await readFile(join(outsideDir, 'victim.png'), 'utf8')).toBe('original');
+      } finally {
+        await rm(outsideDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should refuse to download attachments over the size limit', async () => {
+      const client = await connect({ ...instance, attachments: { ...instance.attachments, maxUploadBytes: 1024 } }, jiraRequest);
+      const result = await client.callTool({ name: 'jira-download-attachment', arguments: { attachmentId: '10002' } });
+
+      expect(result.content[0].text).toBe('Error: screenshot.png is 2.0 KB, more than the 1.0 KB limit');
+      expect(jiraRequest).not.toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.stringContaining('/secure/attachment/'), expect.anything());
+    });
+
+    test('should upload inline text and base64 files in one request', async () => {
+      const client = await connect(instance, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-upload-attachment',
+        arguments: {
+          issueKey: 'DEV-1',
+          files: [
+            { fileName: 'notes.txt', content: 'hello world' },
+            { fileName: 'data.bin', content: Buffer.from([0, 1, 2, 255]).toString('base64'), encoding: 'base64' }
+          ]
+        }
+      });
+
+      expect(result.content[0].text).toBe([
+        'Uploaded 2 attachment(s) to DEV-1',
+        '',
+        '[10003] notes.txt (11 B, text/plain) - John Doe, 2025-01-17 08:00',
+        '[10004] data.bin (4 B, text/plain) - John Doe, 2025-01-17 08:00'
+      ].join('\n'));
+      expect(jiraRequest).toHaveBeenCalledTimes(1);
+      const [, , endpoint, options] = jiraRequest.mock.calls[0];
+      expect(endpoint).toBe('/rest/api/2/issue/DEV-1/attachments');
+      expect(options.headers).toEqual({ 'X-Atlassian-Token': 'no-check' });
+      const [notes, data] = options.body.getAll('file');
+      expect(await notes.text()).toBe('hello world');
+      expect([...new Uint8Array(await data.arrayBuffer())]).toEqual([0, 1, 2, 255]);
+    });
+
+    test('should check every file before uploading any', async () => {
+      const client = await connect({ ...instance, attachments: { ...instance.attachments, maxUploadBytes: 1024 } }, jiraRequest);
+      const result = await client.callTool({
+        name: 'jira-upload-attachment',
+        arguments: {
+          issueKey: 'DEV-1',
+          filePaths: ['package.json', 'missing.txt'],
+          files: [{ fileName: 'image.png', content: 'not base64!', encoding: 'base64' }]
+        }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe([
+        'Error: Nothing uploaded. Fix these files:',
+        '  - package.json is 1.4 KB, more than the 1.0 KB upload limit',
+        '  - missing.txt is not a readable file',
+        '  - Content of image.png is not valid base64'
+      ].join('\n'));
+      expect(jiraRequest).not.toHaveBeenCalled();
+    });
+
+    test('should preview an upload and require at least one file', async () => {
+      const client = await connect(instance, jiraRequest);
+
+      const preview = await client.callTool({ name: 'jira-upload-attachment', arguments: { issueKey: 'DEV-1', files: [{ fileName: 'a.txt', content: 'abc' }, { fileName: 'b.txt', content: 'de' }], dryRun: true } });
+      expect(preview.content[0].text).toContain('multipart/form-data: file "a.txt" (3 bytes), file "b.txt" (2 bytes)');
+      expect(jiraRequest).not.toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.anything(), expect.objectContaining({ method: 'POST' }));
+
+      const empty = await client.callTool({ name: 'jira-upload-attachment', arguments: { issueKey: 'DEV-1' } });
+      expect(empty.content[0].text).toBe('Error: Give at least one file: filePath, filePaths or files');
+      await expect(client.callTool({ name: 'jira-upload-attachment', arguments: { issueKey: 'DEV-1', files: [{ fileName: '../a.txt', content: 'x' }] } }))
+        .rejects.toThrow('File name must not contain path separators');
+    });
+
+    test('should preview and confirm attachment deletion', async () => {
+      const client = await connect({ ...instance, safety: { requireDeleteConfirmation: true } }, jiraRequest);
+
+      const preview = await client.callTool({ name: 'jira-delete-attachment', arguments: { attachmentId: '10002', dryRun: true } });
+      expect(preview.content[0].text).toContain('Permanently deletes screenshot.png (2.0 KB), attached by Jane Roe');
+      const confirmationToken = preview.content[0].text.match(/Confirmation token: (\w+)/)[1];
+
+      const deleted = await client.callTool({ name: 'jira-delete-attachment', arguments: { attachmentId: '10002', confirmationToken } });
+      expect(deleted.content[0].text).toBe('Attachment 10002 deleted successfully');
+      expect(jiraRequest).toHaveBeenCalledWith(production.baseUrl, production.bearerToken, '/rest/api/2/attachment/10002', { method: 'DELETE' });
+    });
+  });
+
+  describe('audit log', () => {
+    let tempDir;
+    const originalFetch = global.fetch;
+
+    beforeEach(async () => {
+      tempDir = await mkdtemp(join(tmpdir(), 'jira-mcp-audit-'));
+      configureAuditLog({ path: join(tempDir, 'audit.jsonl') });
+      global.fetch = jest.fn(async () => ({ ok: true, status: 204 }));
+    });
+
+    afterEach(async () => {
+      configureAuditLog({ path: null });
+      global.fetch = originalFetch;
+      await rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should attribute mutating calls to the tool and instance that made them', async () => {
+      const client = await connect({
+        ...production,
+        profiles: { production, staging },
+        defaultProfile: 'production'
+      }, realJiraRequest);
+
+      await client.callTool({ name: 'jira-assign-issue', arguments: { issueKey: 'DEV-4', username: 'jdoe', instance: 'staging' } });
+      const result = await client.callTool({ name: 'jira-audit-log', arguments: { format: 'json' } });
+      const [entry] = JSON.parse(result.content[0].text);
+
+      expect(entry).toMatchObject({
+        tool: 'jira-assign-issue',
+        instance: 'staging',
+        issueKey: 'DEV-4',
+        method: 'PUT',
+        baseUrl: staging.baseUrl,
+        endpoint: '/rest/api/2/issue/DEV-4/assignee',
+        body: { name: 'jdoe' },
+        status: 204
+      });
+    });
+
+    test('should report when audit logging is disabled', async () => {
+      configureAuditLog({ path: null });
+      const client = await connect(production, realJiraRequest);
+      const result = await client.callTool({ name: 'jira-audit-log', arguments: {} });
+
+      expect(result.content[0].text).toContain('Audit logging is disabled');
+    });
+  });
+});
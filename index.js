@@ -1,50 +1,64 @@
 #!/usr/bin/env node
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { loadConfig } from './lib/config.js';
-import { jiraRequest } from './lib/jira-client.js';
-import { registerIssueTools } from './tools/issues.js';
-import { registerProjectTools } from './tools/projects.js';
-import { registerWorklogTools } from './tools/worklogs.js';
-import { registerCommentTools } from './tools/comments.js';
-import { registerUserTools } from './tools/users.js';
-import { registerMetadataTools } from './tools/metadata.js';
+import { loadConfig, parseServerOptions } from './lib/config.js';
+import { jiraRequest, configureRetry } from './lib/jira-client.js';
+import { configureAuditLog } from './lib/audit-log.js';
+import { createMcpServer } from './lib/server.js';
+import { startHttpServer } from './lib/http-server.js';
 
 /* istanbul ignore next */
 async function main() {
   try {
+    // Parse transport options before loading config so flag typos fail fast
+    const serverOptions = parseServerOptions(process.argv.slice(2));
+
     // Load configuration
     const config = await loadConfig();
     const JIRA_BASE_URL = config.baseUrl;
-    const JIRA_BEARER_TOKEN = config.bearerToken;
+    const profileNames = Object.keys(config.profiles);
+    configureRetry(config.retry);
+    configureAuditLog(config.auditLog);
 
-    // Create MCP server
-    const mcpServer = new McpServer({
-      name: 'jira-bearer-auth',
-      version: '1.0.0'
-    }, {
-      capabilities: {
-        tools: {}
+    const logConnection = () => {
+      console.error(`Connected to Jira instance: ${JIRA_BASE_URL}`);
+      if (profileNames.length > 1) {
+        console.error(`Profiles: ${profileNames.join(', ')} (default: ${config.defaultProfile})`);
+      }
+      if (config.auditLog.path) {
+        console.error(`Audit log: ${config.auditLog.path}`);
       }
-    });
+    };
 
-    // Register all tools by category
-    registerIssueTools(mcpServer, jiraRequest, JIRA_BASE_URL, JIRA_BEARER_TOKEN);
-    registerProjectTools(mcpServer, jiraRequest, JIRA_BASE_URL, JIRA_BEARER_TOKEN);
-    registerWorklogTools(mcpServer, jiraRequest, JIRA_BASE_URL, JIRA_BEARER_TOKEN);
-    registerCommentTools(mcpServer, jiraRequest, JIRA_BASE_URL, JIRA_BEARER_TOKEN);
-    registerUserTools(mcpServer, jiraRequest, JIRA_BASE_URL, JIRA_BEARER_TOKEN);
-    registerMetadataTools(mcpServer, jiraRequest, JIRA_BASE_URL, JIRA_BEARER_TOKEN);
+    if (serverOptions.transport === 'http') {
+      // One MCP server per HTTP session, all sharing this process
+      await startHttpServer({
+        createServer: () => createMcpServer(config, jiraRequest),
+        host: serverOptions.host,
+        port: serverOptions.port,
+        allowedHosts: serverOptions.allowedHosts,
+        authToken: serverOptions.authToken,
+        maxSessions: serverOptions.maxSessions,
+        sessionIdleMs: serverOptions.sessionIdleMs
+      });
+
+      console.error(`Jira MCP Server (Bearer Auth) running on http://${serverOptions.host}:${serverOptions.port}/mcp`);
+      if (!serverOptions.authToken) {
+        console.error('Warning: MCP_AUTH_TOKEN is not set; anyone who can reach the endpoint acts with the Jira token');
+      }
+      logConnection();
+      return;
+    }
 
     // Set up stdio transport
+    const mcpServer = createMcpServer(config, jiraRequest);
     const transport = new StdioServerTransport();
 
     // Connect server to transport
     await mcpServer.connect(transport);
 
     console.error('Jira MCP Server (Bearer Auth) running on stdio transport');
-    console.error(`Connected to Jira instance: ${JIRA_BASE_URL}`);
+    logConnection();
   } catch (error) {
     console.error('Failed to start Jira MCP Server:', error instanceof Error ? error.message : String(error));
     process.exit(1);
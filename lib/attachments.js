@@ -0,0 +1,80 @@
+/**
+ * Attachment transfers
+ * Both directions go through jiraRequest: uploads as multipart/form-data,
+ * downloads as raw buffers with a size limit.
+ */
+
+import { renderSize } from './formatter.js';
+
+// Non-"text/" MIME types whose content is still readable text
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/javascript', 'application/x-yaml', 'application/yaml', 'application/x-sh', 'application/sql'];
+
+/**
+ * Check whether an attachment's MIME type is readable text
+ * @param {string} mimeType - MIME type reported by Jira (e.g., "text/plain; charset=UTF-8")
+ * @returns {boolean} True for text/* and common text-based application types
+ */
+export function isTextMimeType(mimeType = '') {
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') || TEXT_MIME_TYPES.includes(type) || type.endsWith('+json') || type.endsWith('+xml');
+}
+
+/**
+ * Upload files to an issue in one multipart request
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} issueKey - Issue key (e.g., "DEV-123")
+ * @param {Array<{fileName: string, content: Buffer|Uint8Array}>} files - Files to attach
+ * @returns {Promise<Object[]>} Created attachments as returned by Jira
+ */
+export async function uploadAttachments(jiraRequest, baseUrl, bearerToken, issueKey, files) {
+  const formData = new FormData();
+  for (const { fileName, content } of files) {
+    formData.append('file', new Blob([content]), fileName);
+  }
+
+  return jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/attachments`, {
+    method: 'POST',
+    headers: { 'X-Atlassian-Token': 'no-check' },
+    body: formData
+  });
+}
+
+/**
+ * Check an attachment's reported size against a limit before transferring it
+ * @param {Object} attachment - Attachment metadata (filename, size)
+ * @param {number} maxBytes - Largest size allowed
+ * @throws {Error} When the attachment is larger than maxBytes
+ */
+export function checkAttachmentSize(attachment, maxBytes) {
+  if (attachment.size > maxBytes) {
+    throw new Error(`${attachment.filename} is ${renderSize(attachment.size)}, more than the ${renderSize(maxBytes)} limit`);
+  }
+}
+
+/**
+ * Download an attachment's content
+ * The URL is built from baseUrl rather than the attachment's own content link,
+ * so the bearer token is only ever sent to the configured Jira host. The size
+ * Jira reports is checked first, and the transfer is cut off if the content
+ * turns out larger anyway.
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} attachment - Attachment metadata (id, filename, size)
+ * @param {number} [maxBytes] - Largest size allowed (default: unlimited)
+ * @returns {Promise<Buffer>} File content
+ * @throws {Error} When the attachment is too large or the download fails
+ */
+export async function downloadAttachment(jiraRequest, baseUrl, bearerToken, attachment, maxBytes = Infinity) {
+  checkAttachmentSize(attachment, maxBytes);
+  try {
+    return await jiraRequest(baseUrl, bearerToken, `/secure/attachment/${encodeURIComponent(attachment.id)}/${encodeURIComponent(attachment.filename)}`, {
+      responseType: 'buffer',
+      maxResponseBytes: maxBytes
+    });
+  } catch (error) {
+    throw new Error(`Failed to download attachment "${attachment.filename}": ${error.message}`);
+  }
+}
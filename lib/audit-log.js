@@ -0,0 +1,211 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFile, readFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+export const AUDITED_METHODS = ['POST', 'PUT', 'DELETE'];
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY_PATTERN = /password|token|secret|authorization|credential/i;
+const MAX_LOGGED_STRING_LENGTH = 1000;
+
+// Context of the tool call currently executing (tool name, profile, session)
+const toolContext = new AsyncLocalStorage();
+
+// Active audit settings (see configureAuditLog)
+const auditSettings = {
+  path: null
+};
+
+/**
+ * Enable or disable the audit log
+ * @param {Object} settings - Audit settings
+ * @param {string|null} settings.path - JSONL file to append to; null disables auditing
+ * @returns {Object} The settings now in effect
+ */
+export function configureAuditLog(settings = {}) {
+  auditSettings.path = settings.path || null;
+  return { ...auditSettings };
+}
+
+/**
+ * Run a function with tool call context available to the client layer
+ * @param {{tool: string, instance?: string, sessionId?: string, issueKey?: string}} context - Tool call context
+ * @param {Function} fn - Function to run
+ * @returns {any} Return value of fn
+ */
+export function runWithToolContext(context, fn) {
+  return toolContext.run(context, fn);
+}
+
+/**
+ * Get the context of the tool call currently executing
+ * @returns {Object|undefined} Tool call context, or undefined outside a tool call
+ */
+export function getToolContext() {
+  return toolContext.getStore();
+}
+
+/**
+ * Redact secrets and truncate long strings in a request body
+ * @param {any} body - Request body (JSON string, FormData, or other)
+ * @returns {any} Redacted copy safe to write to the audit log
+ */
+export function redactBody(body) {
+  if (body === undefined || body === null) {
+    return null;
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    const files = [];
+    for (const [, value] of body.entries()) {
+      files.push(typeof value === 'string' ? '(text)' : `${value.name} (${value.size} bytes)`);
+    }
+    return `[multipart/form-data: ${files.join(', ')}]`;
+  }
+
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return body.length > MAX_LOGGED_STRING_LENGTH ? `${body.slice(0, MAX_LOGGED_STRING_LENGTH)}...` : body;
+    }
+  }
+
+  const redact = (value, key) => {
+    if (key && SENSITIVE_KEY_PATTERN.test(key)) {
+      return REDACTED;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+    if (typeof value === 'string' && value.length > MAX_LOGGED_STRING_LENGTH) {
+      return `${value.slice(0, MAX_LOGGED_STRING_LENGTH)}...`;
+    }
+    return value;
+  };
+
+  return redact(parsed);
+}
+
+/**
+ * Find the issue key a request affected
+ * The request itself wins over the tool's issueKey argument: a tool such as
+ * jira-clone-issue is called with the source issue but writes to the copy.
+ * Order: issue key in the endpoint, key of a created issue, inward issue of a
+ * new link, then the calling tool's issueKey.
+ * @param {string} endpoint - API endpoint path
+ * @param {any} responseData - Parsed response (e.g., a created issue)
+ * @param {any} [body] - Request body as sent
+ * @returns {string|null} Issue key, if one can be determined
+ */
+export function extractIssueKey(endpoint, responseData, body) {
+  const match = endpoint.match(/\/issue\/([A-Z][A-Z0-9_]*-\d+)(?:[/?]|$)/);
+  if (match) {
+    return match[1];
+  }
+  if (typeof responseData?.key === 'string') {
+    return responseData.key;
+  }
+  if (endpoint.startsWith('/rest/api/2/issueLink') && typeof body === 'string') {
+    try {
+      const linkKey = JSON.parse(body).inwardIssue?.key;
+      if (typeof linkKey === 'string') {
+        return linkKey;
+      }
+    } catch {
+      // Not JSON; fall through to the tool context
+    }
+  }
+  return getToolContext()?.issueKey || null;
+}
+
+/**
+ * Append one mutating request to the audit log
+ * Failures are reported on stderr and never affect the request itself.
+ * @param {Object} request - Request details
+ * @param {string} request.baseUrl - Jira base URL
+ * @param {string} request.method - HTTP method
+ * @param {string} request.endpoint - API endpoint path
+ * @param {any} request.body - Request body as sent
+ * @param {number|null} request.status - HTTP status (null if no response was received)
+ * @param {number} request.durationMs - Time taken including retries
+ * @param {any} [request.responseData] - Parsed response, used to find created issue keys
+ * @param {string} [request.error] - Error message for failed requests
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEntry({ baseUrl, method, endpoint, body, status, durationMs, responseData, error }) {
+  if (!auditSettings.path || !AUDITED_METHODS.includes(method)) {
+    return;
+  }
+
+  const context = getToolContext() || {};
+  const entry = {
+    timestamp: new Date().toISOString(),
+    tool: context.tool || null,
+    instance: context.instance || null,
+    sessionId: context.sessionId || null,
+    issueKey: extractIssueKey(endpoint, responseData, body),
+    method,
+    baseUrl,
+    endpoint,
+    body: redactBody(body),
+    status,
+    durationMs,
+    ...(error && { error })
+  };
+
+  try {
+    await mkdir(dirname(auditSettings.path), { recursive: true });
+    await appendFile(auditSettings.path, `${JSON.stringify(entry)}\n`, 'utf8');
+  } catch (writeError) {
+    console.error(`Warning: Failed to write audit log ${auditSettings.path}:`, writeError.message);
+  }
+}
+
+/**
+ * Read recent audit log entries, newest first
+ * @param {Object} filters - Optional filters
+ * @param {number} [filters.limit] - Maximum number of entries to return (default: 20)
+ * @param {string} [filters.tool] - Only entries from this tool
+ * @param {string} [filters.issueKey] - Only entries affecting this issue
+ * @param {string} [filters.sessionId] - Only entries from this MCP session
+ * @param {string} [filters.since] - Only entries at or after this ISO 8601 timestamp
+ * @returns {Promise<Object[]>} Matching entries
+ */
+export async function readAuditEntries({ limit = 20, tool, issueKey, sessionId, since } = {}) {
+  if (!auditSettings.path || !existsSync(auditSettings.path)) {
+    return [];
+  }
+
+  const sinceTime = since ? Date.parse(since) : null;
+  const lines = (await readFile(auditSettings.path, 'utf8')).split('\n').filter(Boolean);
+  const entries = [];
+
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue; // Skip partially written lines
+    }
+    if (tool && entry.tool !== tool) continue;
+    if (issueKey && entry.issueKey !== issueKey) continue;
+    if (sessionId && entry.sessionId !== sessionId) continue;
+    if (sinceTime !== null && Date.parse(entry.timestamp) < sinceTime) continue;
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Check whether audit logging is enabled
+ * @returns {boolean} True if a log path is configured
+ */
+export function isAuditLogEnabled() {
+  return auditSettings.path !== null;
+}
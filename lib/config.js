@@ -1,39 +1,401 @@
 import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import { parseArgs } from 'util';
+import { MAX_RETRIES, RETRY_DELAY_BASE_MS, MAX_RETRY_DELAY_MS, MAX_RETRY_AFTER_MS, MAX_FETCH_ALL_RESULTS, MAX_BULK_EDIT_ISSUES, BULK_EDIT_CONCURRENCY, MAX_INLINE_ATTACHMENT_BYTES, MAX_UPLOAD_ATTACHMENT_BYTES, DEFAULT_ATTACHMENT_DIR } from './utils.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+export const TRANSPORTS = ['stdio', 'http'];
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3000;
+export const DEFAULT_MAX_SESSIONS = 100;
+export const DEFAULT_SESSION_IDLE_MINUTES = 30;
+
+/**
+ * Parse a positive integer option
+ * @param {string} name - Option name for error messages
+ * @param {string} raw - Raw value
+ * @returns {number} Parsed value
+ * @throws {Error} When the value is not a positive integer
+ */
+function parsePositiveInteger(name, raw) {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${name} "${raw}". Must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Parse transport options from command-line arguments and environment variables
+ * Priority: command-line flags > environment variables > defaults
+ * The shared secret is only read from MCP_AUTH_TOKEN so it never shows up in process listings.
+ * @param {string[]} argv - Arguments after the script name (e.g., process.argv.slice(2))
+ * @param {Object} env - Environment variables (MCP_TRANSPORT, MCP_HOST, MCP_PORT, MCP_ALLOWED_HOSTS,
+ *   MCP_AUTH_TOKEN, MCP_MAX_SESSIONS, MCP_SESSION_IDLE_MINUTES)
+ * @returns {{transport: string, host: string, port: number, allowedHosts: string[], authToken: string|null, maxSessions: number, sessionIdleMs: number}} Transport options
+ * @throws {Error} On unknown flags, unknown transport, invalid port or invalid session limits
+ */
+export function parseServerOptions(argv = [], env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      transport: { type: 'string' },
+      host: { type: 'string' },
+      port: { type: 'string' },
+      'allowed-hosts': { type: 'string' }
+    }
+  });
+
+  const transport = values.transport || env.MCP_TRANSPORT || 'stdio';
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport "${transport}". Expected one of: ${TRANSPORTS.join(', ')}`);
+  }
+
+  const host = values.host || env.MCP_HOST || DEFAULT_HTTP_HOST;
+  const rawPort = values.port || env.MCP_PORT || String(DEFAULT_HTTP_PORT);
+  const port = Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${rawPort}". Must be an integer between 0 and 65535`);
+  }
+
+  const allowedHosts = (values['allowed-hosts'] || env.MCP_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return {
+    transport,
+    host,
+    port,
+    allowedHosts,
+    authToken: env.MCP_AUTH_TOKEN || null,
+    maxSessions: parsePositiveInteger('MCP_MAX_SESSIONS', env.MCP_MAX_SESSIONS || String(DEFAULT_MAX_SESSIONS)),
+    sessionIdleMs: parsePositiveInteger('MCP_SESSION_IDLE_MINUTES', env.MCP_SESSION_IDLE_MINUTES || String(DEFAULT_SESSION_IDLE_MINUTES)) * 60 * 1000
+  };
+}
+
+export const CONFIG_PATH = join(__dirname, '..', 'config.json');
+export const DEFAULT_PROFILE_NAME = 'default';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Normalize the "jira" section of config.json into named profiles
+ * Accepts either a single instance ({ baseUrl, bearerToken }) or named profiles
+ * ({ defaultProfile, profiles: { name: { baseUrl, bearerToken, toolPrefix } } }).
+ * @param {Object} jiraConfig - The "jira" section of config.json
+ * @returns {{profiles: Object, defaultProfile: string}|null} Normalized profiles, or null if no credentials
+ * @throws {Error} On malformed profile definitions
+ */
+export function normalizeProfiles(jiraConfig) {
+  if (!jiraConfig) {
+    return null;
+  }
+
+  if (!jiraConfig.profiles) {
+    if (!jiraConfig.baseUrl || !jiraConfig.bearerToken) {
+      return null;
+    }
+    return {
+      profiles: {
+        [DEFAULT_PROFILE_NAME]: { baseUrl: jiraConfig.baseUrl, bearerToken: jiraConfig.bearerToken }
+      },
+      defaultProfile: DEFAULT_PROFILE_NAME
+    };
+  }
+
+  const names = Object.keys(jiraConfig.profiles);
+  if (names.length === 0) {
+    throw new Error('"jira.profiles" must define at least one profile');
+  }
+
+  const profiles = {};
+  const prefixes = new Set();
+  for (const name of names) {
+    const profile = jiraConfig.profiles[name];
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid profile name "${name}". Use letters, numbers, hyphens and underscores only`);
+    }
+    if (!profile?.baseUrl || !profile?.bearerToken) {
+      throw new Error(`Profile "${name}" must define baseUrl and bearerToken`);
+    }
+    if (profile.toolPrefix !== undefined) {
+      if (!PROFILE_NAME_PATTERN.test(profile.toolPrefix)) {
+        throw new Error(`Invalid toolPrefix "${profile.toolPrefix}" in profile "${name}"`);
+      }
+      if (prefixes.has(profile.toolPrefix)) {
+        throw new Error(`Duplicate toolPrefix "${profile.toolPrefix}" in profile "${name}"`);
+      }
+      prefixes.add(profile.toolPrefix);
+    }
+
+    profiles[name] = {
+      baseUrl: profile.baseUrl,
+      bearerToken: profile.bearerToken,
+      ...(profile.toolPrefix !== undefined && { toolPrefix: profile.toolPrefix })
+    };
+  }
+
+  const defaultProfile = jiraConfig.defaultProfile || names[0];
+  if (!profiles[defaultProfile]) {
+    throw new Error(`Default profile "${defaultProfile}" is not defined in "jira.profiles"`);
+  }
+
+  return { profiles, defaultProfile };
+}
+
+/**
+ * Parse a boolean environment variable
+ * @param {string} name - Variable name (for error messages)
+ * @param {string|undefined} value - Raw environment value
+ * @returns {boolean|undefined} Parsed value, or undefined when unset
+ * @throws {Error} On values other than "true" or "false"
+ */
+function parseBooleanEnv(name, value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`${name} must be "true" or "false", got "${value}"`);
+  }
+  return value === 'true';
+}
+
+/**
+ * Parse a comma-separated list environment variable
+ * @param {string|undefined} value - Raw environment value
+ * @returns {string[]|undefined} Trimmed non-empty entries, or undefined when unset
+ */
+function parseListEnv(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize the "tools" section of config.json, applying environment overrides
+ * Environment variables: JIRA_READ_ONLY, JIRA_ALLOW_TOOLS, JIRA_DENY_TOOLS (comma-separated globs)
+ * @param {Object} toolsConfig - The "tools" section of config.json
+ * @param {Object} env - Environment variables
+ * @returns {{readOnly: boolean, allowTools: string[], denyTools: string[]}} Tool policy
+ * @throws {Error} On malformed values
+ */
+export function normalizeToolPolicy(toolsConfig = {}, env = process.env) {
+  const readOnly = parseBooleanEnv('JIRA_READ_ONLY', env.JIRA_READ_ONLY) ?? toolsConfig.readOnly ?? false;
+  const allowTools = parseListEnv(env.JIRA_ALLOW_TOOLS) ?? toolsConfig.allowTools ?? [];
+  const denyTools = parseListEnv(env.JIRA_DENY_TOOLS) ?? toolsConfig.denyTools ?? [];
+
+  if (typeof readOnly !== 'boolean') {
+    throw new Error('"tools.readOnly" must be true or false');
+  }
+  for (const [key, list] of [['allowTools', allowTools], ['denyTools', denyTools]]) {
+    if (!Array.isArray(list) || !list.every(pattern => typeof pattern === 'string')) {
+      throw new Error(`"tools.${key}" must be an array of glob strings`);
+    }
+  }
+
+  return { readOnly, allowTools, denyTools };
+}
+
+/**
+ * Normalize the "safety" section of config.json, applying environment overrides
+ * Environment variables: JIRA_REQUIRE_DELETE_CONFIRMATION
+ * @param {Object} safetyConfig - The "safety" section of config.json
+ * @param {Object} env - Environment variables
+ * @returns {{requireDeleteConfirmation: boolean}} Safety settings
+ * @throws {Error} On malformed values
+ */
+export function normalizeSafety(safetyConfig = {}, env = process.env) {
+  const requireDeleteConfirmation = parseBooleanEnv('JIRA_REQUIRE_DELETE_CONFIRMATION', env.JIRA_REQUIRE_DELETE_CONFIRMATION)
+    ?? safetyConfig.requireDeleteConfirmation
+    ?? false;
+
+  if (typeof requireDeleteConfirmation !== 'boolean') {
+    throw new Error('"safety.requireDeleteConfirmation" must be true or false');
+  }
+
+  return { requireDeleteConfirmation };
+}
+
+/**
+ * Normalize the "retry" section of config.json, applying environment overrides
+ * Environment variables: JIRA_MAX_RETRIES
+ * @param {Object} retryConfig - The "retry" section of config.json
+ * @param {Object} env - Environment variables
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, maxRetryAfterMs: number}} Retry settings
+ * @throws {Error} On values that are not non-negative integers
+ */
+export function normalizeRetry(retryConfig = {}, env = process.env) {
+  const settings = {
+    maxRetries: env.JIRA_MAX_RETRIES !== undefined && env.JIRA_MAX_RETRIES !== ''
+      ? Number(env.JIRA_MAX_RETRIES)
+      : retryConfig.maxRetries ?? MAX_RETRIES,
+    baseDelayMs: retryConfig.baseDelayMs ?? RETRY_DELAY_BASE_MS,
+    maxDelayMs: retryConfig.maxDelayMs ?? MAX_RETRY_DELAY_MS,
+    maxRetryAfterMs: retryConfig.maxRetryAfterMs ?? MAX_RETRY_AFTER_MS
+  };
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`"retry.${key}" must be a non-negative integer`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Normalize the "search" section of config.json, applying environment overrides
+ * Environment variables: JIRA_MAX_FETCH_ALL
+ * @param {Object} searchConfig - The "search" section of config.json
+ * @param {Object} env - Environment variables
+ * @returns {{maxFetchAll: number}} Search settings
+ * @throws {Error} On values that are not positive integers
+ */
+export function normalizeSearch(searchConfig = {}, env = process.env) {
+  const maxFetchAll = env.JIRA_MAX_FETCH_ALL !== undefined && env.JIRA_MAX_FETCH_ALL !== ''
+    ? Number(env.JIRA_MAX_FETCH_ALL)
+    : searchConfig.maxFetchAll ?? MAX_FETCH_ALL_RESULTS;
+
+  if (!Number.isInteger(maxFetchAll) || maxFetchAll < 1) {
+    throw new Error('"search.maxFetchAll" must be a positive integer');
+  }
+
+  return { maxFetchAll };
+}
+
+/**
+ * Normalize the "bulk" section of config.json, applying environment overrides
+ * Environment variables: JIRA_BULK_MAX_ISSUES
+ * @param {Object} bulkConfig - The "bulk" section of config.json
+ * @param {Object} env - Environment variables
+ * @returns {{maxIssues: number, concurrency: number}} Bulk edit settings
+ * @throws {Error} On values that are not positive integers
+ */
+export function normalizeBulk(bulkConfig = {}, env = process.env) {
+  const settings = {
+    maxIssues: env.JIRA_BULK_MAX_ISSUES !== undefined && env.JIRA_BULK_MAX_ISSUES !== ''
+      ? Number(env.JIRA_BULK_MAX_ISSUES)
+      : bulkConfig.maxIssues ?? MAX_BULK_EDIT_ISSUES,
+    concurrency: bulkConfig.concurrency ?? BULK_EDIT_CONCURRENCY
+  };
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`"bulk.${key}" must be a positive integer`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Normalize the "attachments" section of config.json, applying environment overrides
+ * Environment variables: JIRA_ATTACHMENT_DIR, JIRA_MAX_UPLOAD_BYTES
+ * @param {Object} attachmentsConfig - The "attachments" section of config.json
+ * @param {Object} env - Environment variables
+ * @returns {{downloadDir: string, maxInlineBytes: number, maxUploadBytes: number}} Attachment settings (downloadDir is absolute)
+ * @throws {Error} On malformed values
+ */
+export function normalizeAttachments(attachmentsConfig = {}, env = process.env) {
+  const downloadDir = env.JIRA_ATTACHMENT_DIR || attachmentsConfig.downloadDir || DEFAULT_ATTACHMENT_DIR;
+  const maxInlineBytes = attachmentsConfig.maxInlineBytes ?? MAX_INLINE_ATTACHMENT_BYTES;
+  const maxUploadBytes = env.JIRA_MAX_UPLOAD_BYTES !== undefined && env.JIRA_MAX_UPLOAD_BYTES !== ''
+    ? Number(env.JIRA_MAX_UPLOAD_BYTES)
+    : attachmentsConfig.maxUploadBytes ?? MAX_UPLOAD_ATTACHMENT_BYTES;
+
+  if (typeof downloadDir !== 'string') {
+    throw new Error('"attachments.downloadDir" must be a directory path string');
+  }
+  if (!Number.isInteger(maxInlineBytes) || maxInlineBytes < 1) {
+    throw new Error('"attachments.maxInlineBytes" must be a positive integer');
+  }
+  if (!Number.isInteger(maxUploadBytes) || maxUploadBytes < 1) {
+    throw new Error('"attachments.maxUploadBytes" must be a positive integer');
+  }
+
+  return { downloadDir: resolve(downloadDir), maxInlineBytes, maxUploadBytes };
+}
+
+/**
+ * Normalize the "auditLog" section of config.json, applying environment overrides
+ * Environment variables: JIRA_AUDIT_LOG (path to a JSONL file; empty disables)
+ * @param {Object} auditConfig - The "auditLog" section of config.json
+ * @param {Object} env - Environment variables
+ * @returns {{path: string|null}} Audit settings (path is null when auditing is disabled)
+ * @throws {Error} On malformed values
+ */
+export function normalizeAuditLog(auditConfig = {}, env = process.env) {
+  const path = env.JIRA_AUDIT_LOG !== undefined ? env.JIRA_AUDIT_LOG : auditConfig.path ?? null;
+
+  if (path !== null && typeof path !== 'string') {
+    throw new Error('"auditLog.path" must be a file path string');
+  }
+
+  return { path: path ? resolve(path) : null };
+}
+
 /**
  * Load configuration from config.json or environment variables
  * Priority: config.json > environment variables
- * @returns {Promise<{baseUrl: string, bearerToken: string}>} Configuration object
+ * The default profile's credentials are also exposed as top-level baseUrl/bearerToken.
+ * Set JIRA_PROFILE to override which profile is the default.
+ * @param {string} configPath - Path to config.json (default: package root)
+ * @returns {Promise<{baseUrl: string, bearerToken: string, profiles: Object, defaultProfile: string, tools: Object, safety: Object, retry: Object, search: Object, bulk: Object, attachments: Object, auditLog: Object}>} Configuration object
+ * @throws {Error} On invalid "jira" profiles, an undefined JIRA_PROFILE, or invalid "tools", "safety", "retry", "search", "bulk", "attachments" or "auditLog" sections or their environment overrides
  */
-export async function loadConfig() {
-  const configPath = join(__dirname, '..', 'config.json');
+export async function loadConfig(configPath = CONFIG_PATH) {
+  let rawConfig = {};
 
   // Try to load from config.json first
   if (existsSync(configPath)) {
     try {
       const configData = await readFile(configPath, 'utf8');
-      const config = JSON.parse(configData);
-      if (config.jira?.baseUrl && config.jira?.bearerToken) {
-        return {
-          baseUrl: config.jira.baseUrl,
-          bearerToken: config.jira.bearerToken
-        };
-      }
+      rawConfig = JSON.parse(configData);
     } catch (error) {
       console.error('Warning: Failed to read config.json:', error.message);
     }
   }
 
+  // Outside the try above: a broken profile definition must not fall back to other credentials
+  let normalized = normalizeProfiles(rawConfig.jira);
+
   // Fallback to environment variables
-  if (process.env.JIRA_BASE_URL && process.env.JIRA_BEARER_TOKEN) {
-    return {
+  if (!normalized && process.env.JIRA_BASE_URL && process.env.JIRA_BEARER_TOKEN) {
+    normalized = normalizeProfiles({
       baseUrl: process.env.JIRA_BASE_URL,
       bearerToken: process.env.JIRA_BEARER_TOKEN
+    });
+  }
+
+  if (normalized) {
+    const { profiles } = normalized;
+    let { defaultProfile } = normalized;
+
+    if (process.env.JIRA_PROFILE) {
+      // A typo must not silently send requests to the configured default (possibly production)
+      if (!profiles[process.env.JIRA_PROFILE]) {
+        throw new Error(`JIRA_PROFILE "${process.env.JIRA_PROFILE}" is not defined (available: ${Object.keys(profiles).join(', ')})`);
+      }
+      defaultProfile = process.env.JIRA_PROFILE;
+    }
+
+    return {
+      baseUrl: profiles[defaultProfile].baseUrl,
+      bearerToken: profiles[defaultProfile].bearerToken,
+      profiles,
+      defaultProfile,
+      tools: normalizeToolPolicy(rawConfig.tools, process.env),
+      safety: normalizeSafety(rawConfig.safety, process.env),
+      retry: normalizeRetry(rawConfig.retry, process.env),
+      search: normalizeSearch(rawConfig.search, process.env),
+      bulk: normalizeBulk(rawConfig.bulk, process.env),
+      attachments: normalizeAttachments(rawConfig.attachments, process.env),
+      auditLog: normalizeAuditLog(rawConfig.auditLog, process.env)
     };
   }
 
@@ -0,0 +1,282 @@
+/**
+ * Walk issue links into a dependency graph and render it
+ * Edges always point the way the link type's outward wording reads:
+ * a "Blocks" link between DEV-1 and DEV-2 is the edge DEV-1 -> DEV-2, "blocks".
+ */
+
+// Fields needed to place an issue in the graph and follow its links
+export const GRAPH_FIELDS = ['summary', 'status', 'resolution', 'issuelinks'];
+
+// Link types whose source holds up its target, matched against the type name or its outward wording
+export const BLOCKING_LINK_TYPES = ['blocks'];
+
+/**
+ * Check whether an issue counts as finished
+ * @param {Object} fields - Issue fields (resolution and status)
+ * @returns {boolean} True when resolved or in a "done" status category
+ */
+function isResolved(fields = {}) {
+  return Boolean(fields.resolution) || fields.status?.statusCategory?.key === 'done';
+}
+
+/**
+ * Turn an issue (or the linked issue inside an issuelinks entry) into a graph node
+ * @param {Object} issue - Issue with summary and status
+ * @param {number} depth - Number of links from the nearest root
+ * @returns {Object} Node with key, summary, status, resolved and depth
+ */
+function toNode(issue, depth) {
+  return {
+    key: issue.key,
+    summary: issue.fields?.summary ?? '',
+    status: issue.fields?.status?.name || 'N/A',
+    resolved: isResolved(issue.fields),
+    depth
+  };
+}
+
+/**
+ * Follow issue links breadth-first from a set of root issues
+ * Issues beyond the depth limit are shown from the link data but not expanded.
+ * @param {Object[]} roots - Root issues fetched with GRAPH_FIELDS
+ * @param {Function} fetchIssues - Called with issue keys; resolves to those issues fetched with GRAPH_FIELDS
+ * @param {Object} options - Walk limits
+ * @param {number} options.depth - Maximum number of links to follow from a root
+ * @param {number} options.maxIssues - Maximum number of issues in the graph
+ * @param {string[]} [options.linkTypes] - Link type names to follow (case-insensitive); empty follows every type
+ * @returns {Promise<{nodes: Map<string, Object>, edges: Object[], truncated: boolean}>} Graph
+ */
+export async function walkDependencyGraph(roots, fetchIssues, { depth, maxIssues, linkTypes = [] }) {
+  const wantedTypes = linkTypes.map(type => type.toLowerCase());
+  const followsType = type => wantedTypes.length === 0 || wantedTypes.includes(type.name.toLowerCase());
+  const nodes = new Map();
+  const edges = new Map();
+  let truncated = roots.length > maxIssues;
+
+  let frontier = roots.slice(0, maxIssues);
+  for (const issue of frontier) {
+    nodes.set(issue.key, toNode(issue, 0));
+  }
+
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const discovered = [];
+
+    for (const issue of frontier) {
+      // Fetched details replace what the link data said about the issue
+      nodes.set(issue.key, toNode(issue, nodes.get(issue.key)?.depth ?? level));
+
+      for (const link of (issue.fields?.issuelinks || []).filter(link => followsType(link.type))) {
+        const outward = Boolean(link.outwardIssue);
+        const other = outward ? link.outwardIssue : link.inwardIssue;
+
+        if (!nodes.has(other.key)) {
+          if (nodes.size >= maxIssues) {
+            truncated = true;
+            continue;
+          }
+          nodes.set(other.key, toNode(other, level + 1));
+          discovered.push(other.key);
+        }
+
+        edges.set(link.id, {
+          id: link.id,
+          from: outward ? issue.key : other.key,
+          to: outward ? other.key : issue.key,
+          type: link.type.name,
+          label: link.type.outward
+        });
+      }
+    }
+
+    frontier = level + 1 < depth && discovered.length > 0 ? await fetchIssues(discovered) : [];
+  }
+
+  return { nodes, edges: [...edges.values()], truncated };
+}
+
+/**
+ * Find cycles in a graph
+ * Every back edge found by a depth-first search yields one cycle, so each
+ * strongly connected tangle is reported at least once.
+ * @param {Object} graph - Graph from walkDependencyGraph()
+ * @returns {string[][]} Cycles as issue keys, with the first key repeated at the end
+ */
+export function findCycles(graph) {
+  const outgoing = new Map([...graph.nodes.keys()].map(key => [key, []]));
+  for (const edge of graph.edges) {
+    outgoing.get(edge.from).push(edge.to);
+  }
+
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map(); // key -> 'active' while on the DFS path, 'done' afterwards
+  const path = [];
+
+  const visit = key => {
+    state.set(key, 'active');
+    path.push(key);
+    for (const next of outgoing.get(key)) {
+      if (state.get(next) === 'active') {
+        const cycle = path.slice(path.indexOf(next));
+        const id = [...cycle].sort().join(',');
+        if (!seen.has(id)) {
+          seen.add(id);
+          cycles.push([...cycle, next]);
+        }
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    path.pop();
+    state.set(key, 'done');
+  };
+
+  for (const key of graph.nodes.keys()) {
+    if (!state.has(key)) {
+      visit(key);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Find blocking links whose source is still open while its target is open too
+ * Other links ("relates to", "duplicates", "clones", ...) never count as blockers.
+ * @param {Object} graph - Graph from walkDependencyGraph()
+ * @param {string[]} [blockingTypes] - Link type names or outward wordings that block (case-insensitive)
+ * @returns {Object[]} Edges holding up unfinished work
+ */
+export function findUnresolvedBlockers(graph, blockingTypes = BLOCKING_LINK_TYPES) {
+  const blocking = blockingTypes.map(type => type.toLowerCase());
+  return graph.edges.filter(edge =>
+    (blocking.includes(edge.type.toLowerCase()) || blocking.includes(edge.label?.toLowerCase())) &&
+    !graph.nodes.get(edge.from).resolved &&
+    !graph.nodes.get(edge.to).resolved
+  );
+}
+
+/**
+ * Describe a graph's size, cycles and open blockers
+ * @param {Object} graph - Graph from walkDependencyGraph()
+ * @param {Object} analysis - Results of findCycles() and findUnresolvedBlockers()
+ * @param {string} title - What the graph was built from (e.g., "DEV-1")
+ * @returns {string[]} Summary lines
+ */
+export function describeGraph(graph, { cycles, blockers }, title) {
+  const nodeOf = key => graph.nodes.get(key);
+  const lines = [`Dependency graph of ${title} - issues: ${graph.nodes.size}, links: ${graph.edges.length}`];
+  lines.push(cycles.length > 0 ? `Cycles: ${cycles.map(cycle => cycle.join(' -> ')).join('; ')}` : 'Cycles: none');
+  if (blockers.length > 0) {
+    lines.push('Unresolved blockers:');
+    lines.push(...blockers.map(edge => `  ${edge.from} (${nodeOf(edge.from).status}) ${edge.label} ${edge.to} (${nodeOf(edge.to).status})`));
+  } else {
+    lines.push('Unresolved blockers: none');
+  }
+  if (graph.truncated) {
+    lines.push('TRUNCATED: the issue limit was reached; raise maxIssues or lower depth to see the rest');
+  }
+  return lines;
+}
+
+/**
+ * Collect the edges that lie on a cycle
+ * @param {string[][]} cycles - Cycles from findCycles()
+ * @returns {Set<string>} "FROM>TO" pairs
+ */
+function cycleEdgePairs(cycles) {
+  return new Set(cycles.flatMap(cycle => cycle.slice(1).map((to, index) => `${cycle[index]}>${to}`)));
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ * Open blockers get a red border, resolved issues a green fill, and links on cycles a thick arrow.
+ * @param {Object} graph - Graph from walkDependencyGraph()
+ * @param {Object} analysis - Results of findCycles() and findUnresolvedBlockers()
+ * @returns {string} Mermaid source
+ */
+export function renderMermaid(graph, { cycles, blockers }) {
+  const id = key => key.replace(/-/g, '_');
+  const onCycle = cycleEdgePairs(cycles);
+  const lines = ['flowchart LR'];
+
+  for (const node of graph.nodes.values()) {
+    lines.push(`  ${id(node.key)}["${node.key}: ${node.summary.replace(/"/g, '#quot;')} (${node.status})"]`);
+  }
+  for (const edge of graph.edges) {
+    const arrow = onCycle.has(`${edge.from}>${edge.to}`) ? '==>' : '-->';
+    lines.push(`  ${id(edge.from)} ${arrow}|${edge.label}| ${id(edge.to)}`);
+  }
+
+  const resolved = [...graph.nodes.values()].filter(node => node.resolved).map(node => id(node.key));
+  const blocking = [...new Set(blockers.map(edge => id(edge.from)))];
+  if (resolved.length > 0 || blocking.length > 0) {
+    lines.push('  classDef resolved fill:#e3f2e1,color:#555', '  classDef blocker stroke:#d32f2f,stroke-width:3px');
+  }
+  if (resolved.length > 0) {
+    lines.push(`  class ${resolved.join(',')} resolved`);
+  }
+  if (blocking.length > 0) {
+    lines.push(`  class ${blocking.join(',')} blocker`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a graph as Graphviz DOT
+ * Uses the same highlighting as renderMermaid().
+ * @param {Object} graph - Graph from walkDependencyGraph()
+ * @param {Object} analysis - Results of findCycles() and findUnresolvedBlockers()
+ * @returns {string} DOT source
+ */
+export function renderDot(graph, { cycles, blockers }) {
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const onCycle = cycleEdgePairs(cycles);
+  const blocking = new Set(blockers.map(edge => edge.from));
+  const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes.values()) {
+    const attributes = [`label=${quote(`${node.key}\n${node.summary}\n(${node.status})`).replace(/\n/g, '\\n')}`];
+    if (node.resolved) {
+      attributes.push('style=filled', 'fillcolor="#e3f2e1"');
+    }
+    if (blocking.has(node.key)) {
+      attributes.push('color="#d32f2f"', 'penwidth=2');
+    }
+    lines.push(`  ${quote(node.key)} [${attributes.join(', ')}];`);
+  }
+  for (const edge of graph.edges) {
+    const attributes = [`label=${quote(edge.label)}`];
+    if (onCycle.has(`${edge.from}>${edge.to}`)) {
+      attributes.push('color="#d32f2f"', 'penwidth=2');
+    }
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(', ')}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Render a graph as an adjacency list, one issue per line followed by its outgoing links
+ * @param {Object} graph - Graph from walkDependencyGraph()
+ * @param {Object} analysis - Result of findUnresolvedBlockers()
+ * @returns {string} Adjacency list
+ */
+export function renderAdjacency(graph, { blockers }) {
+  const blocking = new Set(blockers.map(edge => edge.from));
+  const lines = [];
+
+  for (const node of graph.nodes.values()) {
+    const flags = [node.resolved ? 'resolved' : null, blocking.has(node.key) ? 'unresolved blocker' : null].filter(Boolean);
+    lines.push(`${node.key}: ${node.summary} (${node.status})${flags.length > 0 ? ` [${flags.join(', ')}]` : ''}`);
+
+    const targets = new Map();
+    for (const edge of graph.edges.filter(edge => edge.from === node.key)) {
+      targets.set(edge.label, [...(targets.get(edge.label) || []), edge.to]);
+    }
+    for (const [label, keys] of targets) {
+      lines.push(`  ${label} -> ${keys.join(', ')}`);
+    }
+  }
+  return lines.join('\n');
+}
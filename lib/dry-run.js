@@ -0,0 +1,177 @@
+import { randomBytes } from 'crypto';
+
+export const CONFIRMATION_TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const MAX_RENDERED_LENGTH = 120;
+
+// Confirmation tokens issued by dry runs: token -> { requestKey, expiresAt }
+const confirmationTokens = new Map();
+
+/**
+ * Build the key a confirmation token is bound to
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint path
+ * @returns {string} Request key
+ */
+function requestKey(baseUrl, method, endpoint) {
+  return `${method} ${baseUrl}${endpoint}`;
+}
+
+/**
+ * Issue a one-time confirmation token for a request previewed by a dry run
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint path
+ * @returns {string} Confirmation token
+ */
+export function issueConfirmationToken(baseUrl, method, endpoint) {
+  const now = Date.now();
+  for (const [token, entry] of confirmationTokens) {
+    if (entry.expiresAt <= now) {
+      confirmationTokens.delete(token);
+    }
+  }
+
+  const token = randomBytes(8).toString('hex');
+  confirmationTokens.set(token, {
+    requestKey: requestKey(baseUrl, method, endpoint),
+    expiresAt: now + CONFIRMATION_TOKEN_TTL_MS
+  });
+  return token;
+}
+
+/**
+ * Consume a confirmation token; tokens are single-use and bound to one request
+ * @param {string} token - Token returned by a prior dry run
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint path
+ * @returns {boolean} True if the token was valid for this request
+ */
+export function consumeConfirmationToken(token, baseUrl, method, endpoint) {
+  const entry = token && confirmationTokens.get(token);
+  if (!entry) {
+    return false;
+  }
+  if (entry.requestKey !== requestKey(baseUrl, method, endpoint)) {
+    return false;
+  }
+  confirmationTokens.delete(token);
+  return entry.expiresAt > Date.now();
+}
+
+/**
+ * Render a Jira field value as short readable text
+ * @param {any} value - Field value (string, number, object, array)
+ * @returns {string} Readable representation
+ */
+export function renderFieldValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '(empty)';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(renderFieldValue).join(', ')}]`;
+  }
+  if (typeof value === 'object') {
+    const label = value.displayName || value.name || value.value || value.key;
+    if (label !== undefined) {
+      return String(label);
+    }
+  }
+
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > MAX_RENDERED_LENGTH ? `${text.slice(0, MAX_RENDERED_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Diff proposed field values against an issue's current fields
+ * @param {Object} currentFields - Current issue fields
+ * @param {Object} proposedFields - Field values about to be sent
+ * @returns {Array<{field: string, from: string, to: string}>} Changed fields only
+ */
+export function diffFields(currentFields = {}, proposedFields = {}) {
+  return Object.entries(proposedFields)
+    .map(([field, value]) => ({
+      field,
+      from: renderFieldValue(currentFields[field]),
+      to: renderFieldValue(value)
+    }))
+    .filter(change => change.from !== change.to);
+}
+
+/**
+ * Build a dry-run tool response describing a request without sending it
+ * When the request targets an existing issue, its current state is fetched
+ * (a read-only GET) so the preview can show what would change.
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} request - Request that would be sent
+ * @param {string} request.method - HTTP method
+ * @param {string} request.endpoint - API endpoint path
+ * @param {any} [request.body] - Request body (object, or a description string for non-JSON bodies)
+ * @param {string} [request.issueKey] - Existing issue affected by the request
+ * @param {Object} [request.proposedFields] - Field values to diff against the issue (default: body.fields)
+ * @param {string[]} [request.notes] - Extra human-readable lines describing the effect
+ * @param {boolean} [request.confirmable] - Issue a confirmation token for this request
+ * @param {string} [request.confirmationScope] - What the token is bound to besides the method (default: endpoint)
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function dryRunResponse(jiraRequest, baseUrl, bearerToken, { method, endpoint, body, issueKey, proposedFields = body?.fields || {}, notes = [], confirmable = false, confirmationScope = endpoint }) {
+  const lines = ['DRY RUN - no changes were made', '', `Request: ${method} ${endpoint}`];
+
+  if (body !== undefined) {
+    lines.push('Body:', typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+  }
+
+  const effect = [...notes];
+
+  if (issueKey) {
+    const fieldNames = ['summary', 'status', ...Object.keys(proposedFields)];
+    const current = await jiraRequest(
+      baseUrl,
+      bearerToken,
+      `/rest/api/2/issue/${encodeURIComponent(issueKey)}?fields=${[...new Set(fieldNames)].join(',')}`
+    );
+
+    effect.unshift(`Current: ${current.key}: ${current.fields?.summary} (Status: ${current.fields?.status?.name || 'N/A'})`);
+
+    if (Object.keys(proposedFields).length > 0) {
+      const changes = diffFields(current.fields, proposedFields);
+      if (changes.length === 0) {
+        effect.push('No field values would change');
+      } else {
+        effect.push(...changes.map(change => `${change.field}: ${change.from} -> ${change.to}`));
+      }
+    }
+
+    for (const [field, operations] of Object.entries(body?.update || {})) {
+      for (const operation of operations) {
+        for (const [verb, value] of Object.entries(operation)) {
+          effect.push(`${field}: ${verb} ${renderFieldValue(value)}`);
+        }
+      }
+    }
+  }
+
+  if (effect.length > 0) {
+    lines.push('', 'Effect:', ...effect.map(line => `  ${line}`));
+  }
+
+  if (confirmable) {
+    const token = issueConfirmationToken(baseUrl, method, confirmationScope);
+    lines.push(
+      '',
+      `Confirmation token: ${token} (valid for ${CONFIRMATION_TOKEN_TTL_MS / 60000} minutes, single use)`,
+      'Call the tool again with this confirmationToken and dryRun: false to apply the change.'
+    );
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: lines.join('\n')
+    }]
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Describe and validate payloads against Jira field metadata
+ * Create, edit and transition screens all describe their fields the same way:
+ * { [fieldId]: { name, required, hasDefaultValue, schema, allowedValues, operations } }
+ */
+
+const MAX_LISTED_VALUES = 20;
+
+/**
+ * Render a field's allowed values for messages
+ * @param {Object} meta - Field metadata
+ * @returns {string} Comma-separated allowed values, or empty string when unrestricted
+ */
+export function allowedValueNames(meta) {
+  const names = (meta.allowedValues || []).map(v => v.name ?? v.value ?? v.key ?? v.id);
+  if (names.length > MAX_LISTED_VALUES) {
+    return `${names.slice(0, MAX_LISTED_VALUES).join(', ')}, ... (${names.length - MAX_LISTED_VALUES} more)`;
+  }
+  return names.join(', ');
+}
+
+/**
+ * Check whether a value matches one of a field's allowed values by id, name, value or key
+ * @param {any} value - Value being set (e.g., { name: "Fixed" })
+ * @param {Object[]} allowedValues - Allowed values from field metadata
+ * @returns {boolean} True if allowed (values without id/name/value/key are not checked)
+ */
+export function isAllowedValue(value, allowedValues) {
+  if (!value || typeof value !== 'object') {
+    return true;
+  }
+  const keys = ['id', 'name', 'value', 'key'].filter(key => value[key] !== undefined);
+  if (keys.length === 0) {
+    return true;
+  }
+  return allowedValues.some(allowed => keys.every(key => String(allowed[key]) === String(value[key])));
+}
+
+/**
+ * Describe the fields on a screen
+ * @param {Object} screen - Field metadata keyed by field ID
+ * @returns {string[]} One line per field, required fields first
+ */
+export function describeScreenFields(screen) {
+  return Object.entries(screen || {})
+    .sort(([, a], [, b]) => Number(b.required) - Number(a.required))
+    .map(([id, meta]) => {
+      const allowed = allowedValueNames(meta);
+      return `${id} (${meta.name}${meta.required ? ', required' : ''})${allowed ? ` - allowed: ${allowed}` : ''}`;
+    });
+}
+
+/**
+ * Validate a payload against a screen's field metadata
+ * Reports every problem at once: missing required fields (unless Jira has a
+ * default), fields that are not on the screen, and values outside allowedValues.
+ * @param {Object} screen - Field metadata keyed by field ID
+ * @param {Object} payload - Values to send
+ * @param {Object} [payload.fields] - Field values (e.g., { priority: { name: "High" } })
+ * @param {Object} [payload.update] - Field operations (e.g., { labels: [{ add: "urgent" }] })
+ * @param {Object} context - How to describe the screen
+ * @param {string} context.screenName - e.g., 'the "Close" transition screen'
+ * @param {string[]} [context.ignoreUpdates] - update keys accepted regardless of the screen
+ * @param {boolean} [context.checkRequired] - Report missing required fields (default: true; off for edits)
+ * @returns {string[]} Problems found; empty when the payload looks valid
+ */
+export function validateScreenFields(screen, { fields = {}, update = {} }, { screenName, ignoreUpdates = [], checkRequired = true }) {
+  const problems = [];
+
+  for (const [id, meta] of Object.entries(checkRequired ? screen : {})) {
+    if (meta.required && !meta.hasDefaultValue && !(id in fields) && !(id in update)) {
+      const allowed = allowedValueNames(meta);
+      problems.push(`Missing required field "${id}" (${meta.name})${allowed ? ` - allowed: ${allowed}` : ''}`);
+    }
+  }
+
+  for (const id of [...Object.keys(fields), ...Object.keys(update).filter(id => !ignoreUpdates.includes(id))]) {
+    if (!screen[id]) {
+      problems.push(`Field "${id}" is not on ${screenName}`);
+    }
+  }
+
+  for (const [id, value] of Object.entries(fields)) {
+    const allowedValues = screen[id]?.allowedValues;
+    if (!allowedValues) {
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    const invalid = values.filter(v => !isAllowedValue(v, allowedValues));
+    if (invalid.length > 0) {
+      problems.push(`Invalid value for "${id}" (${screen[id].name}): ${invalid.map(v => JSON.stringify(v)).join(', ')} - allowed: ${allowedValueNames(screen[id])}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check update operations (add, remove, set, ...) against the verbs each field supports
+ * @param {Object} screen - Field metadata keyed by field ID
+ * @param {Object} update - Field operations (e.g., { labels: [{ add: "urgent" }] })
+ * @returns {string[]} Problems found; empty when every verb is supported
+ */
+export function validateOperations(screen, update = {}) {
+  const problems = [];
+  for (const [id, operations] of Object.entries(update)) {
+    const supported = screen[id]?.operations;
+    if (!supported) {
+      continue;
+    }
+    for (const verb of operations.flatMap(operation => Object.keys(operation))) {
+      if (!supported.includes(verb)) {
+        problems.push(`Field "${id}" (${screen[id].name}) does not support "${verb}" - supported: ${supported.join(', ') || '(none)'}`);
+      }
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,266 @@
+/**
+ * Resolve field display names ("Story Points", "Epic Link") to field IDs and
+ * turn simple values into the payload shapes Jira expects for each field type
+ */
+
+import { getCached } from './utils.js';
+
+// Field IDs look like "customfield_10002" or camelCase system IDs ("fixVersions", "duedate")
+const FIELD_ID_PATTERN = /^(customfield_\d+|[a-z][a-zA-Z0-9]*)$/;
+
+const EPIC_LINK_TYPE = 'com.pyxis.greenhopper.jira:gh-epic-link';
+const SPRINT_TYPE = 'com.pyxis.greenhopper.jira:gh-sprint';
+
+// Schema types whose values are objects identified by name, value or key
+const NAMED_TYPES = ['user', 'group', 'priority', 'issuetype', 'resolution', 'securitylevel', 'version', 'component'];
+const VALUE_TYPES = ['option'];
+const KEY_TYPES = ['project'];
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Get every field (system and custom) defined in Jira
+ * Cached for 5 minutes, shared with jira-get-custom-fields.
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @returns {Promise<Object[]>} Fields from /rest/api/2/field (id, name, custom, schema)
+ */
+export async function getFieldCatalog(jiraRequest, baseUrl, bearerToken) {
+  return getCached(`${baseUrl}:fields`, async () => {
+    return await jiraRequest(baseUrl, bearerToken, '/rest/api/2/field');
+  });
+}
+
+/**
+ * Find the Epic Link custom field
+ * @param {Object[]} catalog - Fields from getFieldCatalog()
+ * @returns {Object|undefined} The Epic Link field, or undefined when Jira Software is not installed
+ */
+export function findEpicLinkField(catalog) {
+  return catalog.find(field => field.schema?.custom === EPIC_LINK_TYPE);
+}
+
+/**
+ * Describe a field for error messages
+ * @param {Object} field - Field from the catalog
+ * @returns {string} e.g., "Story Points" (customfield_10002, number)
+ */
+function describeField(field) {
+  const type = field.schema?.type === 'array' ? `array of ${field.schema.items}` : field.schema?.type || 'unknown type';
+  return `"${field.name}" (${field.id}, ${type})`;
+}
+
+/**
+ * Find the field a key refers to
+ * Keys are matched against field IDs first, then field keys, then display names (case-insensitive).
+ * @param {Object[]} catalog - Fields from getFieldCatalog()
+ * @param {string} key - Field ID or display name
+ * @returns {Object|undefined} Matching field, or undefined for an ID-shaped key Jira did not list
+ * @throws {Error} When a display name matches no field or several fields
+ */
+export function findField(catalog, key) {
+  const byId = catalog.find(field => field.id === key || field.key === key);
+  if (byId) {
+    return byId;
+  }
+
+  const wanted = key.trim().toLowerCase();
+  const matches = catalog.filter(field => field.name?.toLowerCase() === wanted);
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  if (matches.length > 1) {
+    throw new Error(`Field name "${key}" is ambiguous; use one of these field IDs instead:\n${matches.map(field => `  ${describeField(field)}`).join('\n')}`);
+  }
+  if (FIELD_ID_PATTERN.test(key)) {
+    return undefined; // Let Jira decide; some system fields are not listed by /rest/api/2/field
+  }
+
+  const similar = catalog.filter(field => field.name?.toLowerCase().includes(wanted)).slice(0, MAX_SUGGESTIONS);
+  const hint = similar.length > 0
+    ? ` Did you mean: ${similar.map(describeField).join(', ')}?`
+    : ' Use jira-get-custom-fields to list available fields.';
+  throw new Error(`Unknown field "${key}".${hint}`);
+}
+
+/**
+ * Convert one simple value (string or number) to the shape of a schema type
+ * @param {Object} field - Field from the catalog
+ * @param {string} type - Schema type (or array item type)
+ * @param {any} value - Value to convert
+ * @returns {any} Converted value
+ */
+function coerceScalar(field, type, value) {
+  if (value === null || typeof value === 'object') {
+    return value; // Already shaped (or clearing the field)
+  }
+  if (NAMED_TYPES.includes(type)) {
+    return { name: String(value) };
+  }
+  if (VALUE_TYPES.includes(type)) {
+    return { value: String(value) };
+  }
+  if (KEY_TYPES.includes(type)) {
+    return { key: String(value) };
+  }
+  if (type === 'number') {
+    const number = Number(value);
+    if (value === '' || Number.isNaN(number)) {
+      throw new Error(`Field ${describeField(field)} expects a number, got ${JSON.stringify(value)}`);
+    }
+    return number;
+  }
+  return value;
+}
+
+/**
+ * Convert a simple value to the payload shape Jira expects for a field
+ * Values that are already objects are sent unchanged.
+ * @param {Object} field - Field from the catalog
+ * @param {any} value - Value given by the caller (e.g., "High", 5, ["backend", "api"])
+ * @returns {any} Payload value (e.g., { value: "High" }, 5, [{ name: "1.0" }])
+ * @throws {Error} When the value cannot be converted (e.g., a non-numeric sprint)
+ */
+export function coerceFieldValue(field, value) {
+  const schema = field.schema || {};
+
+  if (schema.custom === EPIC_LINK_TYPE) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value.key ?? value : value;
+  }
+  if (schema.custom === SPRINT_TYPE) {
+    const sprint = Array.isArray(value) && value.length === 1 ? value[0] : value;
+    const sprintId = sprint && typeof sprint === 'object' ? sprint.id : sprint;
+    if (sprintId === null) {
+      return null;
+    }
+    if (!/^\d+$/.test(String(sprintId))) {
+      throw new Error(`Field ${describeField(field)} expects a single sprint ID (e.g., 42), got ${JSON.stringify(value)}`);
+    }
+    return Number(sprintId);
+  }
+
+  if (schema.type === 'array') {
+    const values = Array.isArray(value) ? value : [value];
+    return values.map(item => coerceScalar(field, schema.items, item));
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return coerceScalar(field, schema.type, value);
+}
+
+/**
+ * Convert simple values using screen metadata (editmeta or createmeta) instead of the field catalog
+ * Operation values are converted per item for multi-value fields, except "set", which takes the whole value.
+ * @param {Object} screen - Field metadata keyed by field ID
+ * @param {Object} payload - Values to send
+ * @param {Object} [payload.fields] - Field values keyed by field ID
+ * @param {Object} [payload.update] - Field operations keyed by field ID
+ * @returns {{fields: Object, update: Object}} Converted payload; fields not on the screen are unchanged
+ * @throws {Error} When a value cannot be converted
+ */
+export function coercePayload(screen, { fields = {}, update = {} }) {
+  const coercedFields = Object.fromEntries(Object.entries(fields).map(([id, value]) => [
+    id,
+    screen[id] ? coerceFieldValue({ id, ...screen[id] }, value) : value
+  ]));
+
+  const coercedUpdate = Object.fromEntries(Object.entries(update).map(([id, operations]) => {
+    const meta = screen[id];
+    if (!meta) {
+      return [id, operations];
+    }
+    const field = { id, ...meta };
+    const itemField = meta.schema?.type === 'array' ? { ...field, schema: { ...meta.schema, type: meta.schema.items } } : field;
+    return [id, operations.map(operation => Object.fromEntries(Object.entries(operation).map(([verb, value]) => [
+      verb,
+      coerceFieldValue(verb === 'set' ? field : itemField, value)
+    ])))];
+  }));
+
+  return { fields: coercedFields, update: coercedUpdate };
+}
+
+/**
+ * Resolve display names used as keys (e.g., of an update object) without touching the values
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} values - Object keyed by field ID or display name
+ * @returns {Promise<{values: Object, resolved: string[]}>} Object keyed by field ID, and one line per renamed key
+ * @throws {Error} For unknown or ambiguous names
+ */
+export async function resolveFieldKeys(jiraRequest, baseUrl, bearerToken, values = {}) {
+  const entries = Object.entries(values);
+  if (entries.every(([key]) => FIELD_ID_PATTERN.test(key))) {
+    return { values: { ...values }, resolved: [] };
+  }
+
+  const catalog = await getFieldCatalog(jiraRequest, baseUrl, bearerToken);
+  const result = {};
+  const resolved = [];
+  for (const [key, value] of entries) {
+    const id = findField(catalog, key)?.id ?? key;
+    if (id in result) {
+      throw new Error(`Field ${id} is given twice`);
+    }
+    result[id] = value;
+    if (id !== key) {
+      resolved.push(`Field "${key}" resolved to ${id}`);
+    }
+  }
+  return { values: result, resolved };
+}
+
+/**
+ * Check whether a value is made only of strings and numbers
+ * @param {any} value - Field value
+ * @returns {boolean} True for primitives and arrays of primitives
+ */
+function isSimpleValue(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.every(item => item === null || typeof item !== 'object');
+}
+
+/**
+ * Resolve a fields object for create or update requests
+ * Keys may be field IDs or display names; simple values are converted to the
+ * shapes Jira expects. The field catalog is only fetched when a key is not an
+ * ID or a custom field is given a simple value, so raw payloads are sent as-is.
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} fields - Fields keyed by ID or display name
+ * @returns {Promise<{fields: Object, resolved: string[]}>} Payload fields keyed by ID, and one line per renamed field
+ * @throws {Error} For unknown or ambiguous names, fields given twice, or values that cannot be converted
+ */
+export async function resolveFields(jiraRequest, baseUrl, bearerToken, fields = {}) {
+  const entries = Object.entries(fields);
+  const needsCatalog = entries.some(([key, value]) =>
+    !FIELD_ID_PATTERN.test(key) || (key.startsWith('customfield_') && isSimpleValue(value))
+  );
+  if (!needsCatalog) {
+    return { fields: { ...fields }, resolved: [] };
+  }
+
+  const catalog = await getFieldCatalog(jiraRequest, baseUrl, bearerToken);
+  const result = {};
+  const sources = {};
+  const resolved = [];
+
+  for (const [key, value] of entries) {
+    const field = findField(catalog, key);
+    const id = field?.id ?? key;
+    if (id in result) {
+      throw new Error(`Field ${id} is set twice (as "${sources[id]}" and "${key}")`);
+    }
+    sources[id] = key;
+    result[id] = field ? coerceFieldValue(field, value) : value;
+    if (id !== key) {
+      resolved.push(`Field "${key}" resolved to ${id}`);
+    }
+  }
+
+  return { fields: result, resolved };
+}
@@ -0,0 +1,376 @@
+import { z } from 'zod';
+import { allowedValueNames } from './field-meta.js';
+
+export const FORMATS = ['json', 'concise', 'markdown', 'table', 'csv'];
+
+const MAX_MARKDOWN_CELL_LENGTH = 200;
+const MAX_TABLE_CELL_LENGTH = 50;
+const MAX_CONCISE_TEXT_LENGTH = 500;
+
+/**
+ * Build the `format` input schema shared by every tool that lists records
+ * @param {string} defaultFormat - Format used when the argument is omitted
+ * @returns {z.ZodDefault} Zod schema for the format argument
+ */
+export function formatSchema(defaultFormat = 'json') {
+  return z.enum(FORMATS).optional().default(defaultFormat).describe(
+    `Response format: "json" returns full JSON, "concise" returns readable text with essential fields only (recommended for large result sets to avoid token limits), "markdown" a Markdown table, "table" an aligned plain-text table, "csv" comma-separated values (default: "${defaultFormat}")`
+  );
+}
+
+/**
+ * Render a Jira user
+ * @param {Object} user - User object (displayName, name)
+ * @param {string} fallback - Text when there is no user
+ * @returns {string} Display name
+ */
+export function renderUser(user, fallback = 'N/A') {
+  return user?.displayName || user?.name || fallback;
+}
+
+/**
+ * Render a Jira timestamp as a date
+ * @param {string} value - ISO 8601 timestamp
+ * @returns {string} Date as YYYY-MM-DD, or N/A
+ */
+export function renderDate(value) {
+  return value ? new Date(value).toISOString().split('T')[0] : 'N/A';
+}
+
+/**
+ * Render a Jira timestamp as date and time (UTC)
+ * @param {string} value - ISO 8601 timestamp
+ * @returns {string} Timestamp as "YYYY-MM-DD HH:MM", or N/A
+ */
+export function renderDateTime(value) {
+  return value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : 'N/A';
+}
+
+/**
+ * Render a size in bytes for people
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g., "512 B", "12.3 KB", "4.0 MB"
+ */
+export function renderSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Render a named Jira object (status, priority, issue type)
+ * @param {Object} value - Object with a name
+ * @returns {string} Name, or N/A
+ */
+export function renderName(value) {
+  return value?.name || 'N/A';
+}
+
+/**
+ * Collapse whitespace and shorten text to one line
+ * @param {any} value - Cell value
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Single-line text
+ */
+function singleLine(value, maxLength) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
+/**
+ * Render a field's schema type
+ * @param {Object} field - Field metadata with schema
+ * @returns {string} e.g., "string", "array of component"
+ */
+function renderSchemaType(field) {
+  if (field.schema?.type === 'array') {
+    return `array of ${field.schema.items}`;
+  }
+  return field.schema?.type || 'N/A';
+}
+
+/**
+ * Render one side of a field change
+ * @param {string|null} value - Old or new value as text
+ * @returns {string} Quoted single-line value, or (empty)
+ */
+function renderChangeValue(value) {
+  return value === null || value === '' ? '(empty)' : `"${singleLine(value, MAX_CONCISE_TEXT_LENGTH)}"`;
+}
+
+/**
+ * Render the outcome of an audited request
+ * @param {Object} entry - Audit log entry
+ * @returns {string} HTTP status, prefixed with FAILED for errors
+ */
+function auditOutcome(entry) {
+  return entry.error ? `FAILED ${entry.status ?? ''}`.trim() : String(entry.status);
+}
+
+/**
+ * Column sets and concise layouts for each kind of record the tools return
+ * Each column is { header, value(record) }; concise(record) renders one record as text.
+ */
+export const VIEWS = {
+  issue: {
+    fields: ['key', 'summary', 'status', 'assignee', 'priority', 'updated', 'created'],
+    columns: [
+      { header: 'Key', value: issue => issue.key },
+      { header: 'Summary', value: issue => issue.fields?.summary ?? '' },
+      { header: 'Status', value: issue => renderName(issue.fields?.status) },
+      { header: 'Assignee', value: issue => renderUser(issue.fields?.assignee, 'Unassigned') },
+      { header: 'Priority', value: issue => renderName(issue.fields?.priority) },
+      { header: 'Created', value: issue => renderDate(issue.fields?.created) },
+      { header: 'Updated', value: issue => renderDate(issue.fields?.updated) }
+    ],
+    concise: issue => `${issue.key}: ${issue.fields?.summary}\n  Status: ${renderName(issue.fields?.status)} | Assignee: ${renderUser(issue.fields?.assignee, 'Unassigned')} | Priority: ${renderName(issue.fields?.priority)}\n  Created: ${renderDate(issue.fields?.created)} | Updated: ${renderDate(issue.fields?.updated)}`
+  },
+  comment: {
+    columns: [
+      { header: 'ID', value: comment => comment.id },
+      { header: 'Author', value: comment => renderUser(comment.author) },
+      { header: 'Created', value: comment => renderDateTime(comment.created) },
+      { header: 'Body', value: comment => comment.body ?? '' }
+    ],
+    concise: comment => `[${comment.id}] ${renderUser(comment.author)} (${renderDateTime(comment.created)}):\n  ${singleLine(comment.body, MAX_CONCISE_TEXT_LENGTH)}`
+  },
+  worklog: {
+    columns: [
+      { header: 'ID', value: worklog => worklog.id },
+      { header: 'Author', value: worklog => renderUser(worklog.author) },
+      { header: 'Started', value: worklog => renderDateTime(worklog.started) },
+      { header: 'Time Spent', value: worklog => worklog.timeSpent ?? '' },
+      { header: 'Comment', value: worklog => worklog.comment ?? '' }
+    ],
+    concise: worklog => `[${worklog.id}] ${renderUser(worklog.author)} logged ${worklog.timeSpent} (${renderDateTime(worklog.started)})${worklog.comment ? `: ${singleLine(worklog.comment, MAX_CONCISE_TEXT_LENGTH)}` : ''}`,
+    separator: '\n'
+  },
+  project: {
+    columns: [
+      { header: 'Key', value: project => project.key },
+      { header: 'Name', value: project => project.name }
+    ],
+    concise: project => `${project.key}: ${project.name}`,
+    separator: '\n'
+  },
+  version: {
+    columns: [
+      { header: 'ID', value: version => version.id },
+      { header: 'Name', value: version => version.name },
+      { header: 'Released', value: version => (version.released ? 'yes' : 'no') },
+      { header: 'Archived', value: version => (version.archived ? 'yes' : 'no') },
+      { header: 'Release Date', value: version => version.releaseDate || 'N/A' },
+      { header: 'Description', value: version => version.description ?? '' }
+    ],
+    concise: version => `${version.name} (ID: ${version.id})${version.released ? ' [released]' : ''}${version.archived ? ' [archived]' : ''}${version.releaseDate ? ` - ${version.releaseDate}` : ''}`,
+    separator: '\n'
+  },
+  component: {
+    columns: [
+      { header: 'ID', value: component => component.id },
+      { header: 'Name', value: component => component.name },
+      { header: 'Lead', value: component => component.lead || 'N/A' },
+      { header: 'Description', value: component => component.description ?? '' }
+    ],
+    concise: component => `${component.name} (ID: ${component.id})${component.lead ? ` - Lead: ${component.lead}` : ''}`,
+    separator: '\n'
+  },
+  issueType: {
+    columns: [
+      { header: 'ID', value: type => type.id },
+      { header: 'Name', value: type => type.name },
+      { header: 'Sub-task', value: type => (type.subtask ? 'yes' : 'no') }
+    ],
+    concise: type => `${type.name} (ID: ${type.id})${type.subtask ? ' [sub-task]' : ''}`,
+    separator: '\n'
+  },
+  linkType: {
+    columns: [
+      { header: 'ID', value: type => type.id },
+      { header: 'Name', value: type => type.name },
+      { header: 'Outward', value: type => type.outward },
+      { header: 'Inward', value: type => type.inward }
+    ],
+    concise: type => `${type.name} (ID: ${type.id}): "${type.outward}" / "${type.inward}"`,
+    separator: '\n'
+  },
+  issueLink: {
+    columns: [
+      { header: 'Link ID', value: link => link.id },
+      { header: 'Relation', value: link => link.relation },
+      { header: 'Issue', value: link => link.issue.key },
+      { header: 'Summary', value: link => link.issue.fields?.summary ?? '' },
+      { header: 'Status', value: link => link.issue.fields?.status?.name || 'N/A' }
+    ],
+    concise: link => `${link.relation} ${link.issue.key}: ${link.issue.fields?.summary ?? ''} (${link.issue.fields?.status?.name || 'N/A'}) [link ${link.id}]`,
+    separator: '\n'
+  },
+  attachment: {
+    columns: [
+      { header: 'ID', value: attachment => attachment.id },
+      { header: 'File', value: attachment => attachment.filename },
+      { header: 'Size', value: attachment => renderSize(attachment.size) },
+      { header: 'Type', value: attachment => attachment.mimeType ?? '' },
+      { header: 'Author', value: attachment => renderUser(attachment.author) },
+      { header: 'Created', value: attachment => renderDateTime(attachment.created) }
+    ],
+    concise: attachment => `[${attachment.id}] ${attachment.filename} (${renderSize(attachment.size)}, ${attachment.mimeType}) - ${renderUser(attachment.author)}, ${renderDateTime(attachment.created)}`,
+    separator: '\n'
+  },
+  remoteLink: {
+    columns: [
+      { header: 'ID', value: link => link.id },
+      { header: 'Title', value: link => link.object?.title ?? '' },
+      { header: 'URL', value: link => link.object?.url ?? '' },
+      { header: 'Relationship', value: link => link.relationship ?? '' },
+      { header: 'Global ID', value: link => link.globalId ?? '' }
+    ],
+    concise: link => `[${link.id}] ${link.object?.title} - ${link.object?.url}${link.relationship ? ` (${link.relationship})` : ''}${link.globalId ? `\n  Global ID: ${link.globalId}` : ''}`,
+    separator: '\n'
+  },
+  fieldMeta: {
+    columns: [
+      { header: 'Field ID', value: field => field.id },
+      { header: 'Name', value: field => field.name },
+      { header: 'Required', value: field => (field.required ? 'yes' : 'no') },
+      { header: 'Type', value: renderSchemaType },
+      { header: 'Allowed Values', value: field => allowedValueNames(field) }
+    ],
+    concise: field => {
+      const allowed = allowedValueNames(field);
+      return `${field.id} (${field.name}${field.required ? ', required' : ''}) - ${renderSchemaType(field)}${allowed ? `\n  Allowed: ${allowed}` : ''}`;
+    },
+    separator: '\n'
+  },
+  editField: {
+    columns: [
+      { header: 'Field ID', value: field => field.id },
+      { header: 'Name', value: field => field.name },
+      { header: 'Type', value: renderSchemaType },
+      { header: 'Operations', value: field => (field.operations || []).join(', ') },
+      { header: 'Allowed Values', value: field => allowedValueNames(field) }
+    ],
+    concise: field => {
+      const allowed = allowedValueNames(field);
+      return `${field.id} (${field.name}) - ${renderSchemaType(field)} [${(field.operations || []).join(', ')}]${allowed ? `\n  Allowed: ${allowed}` : ''}`;
+    },
+    separator: '\n'
+  },
+  change: {
+    columns: [
+      { header: 'Date', value: change => renderDateTime(change.created) },
+      { header: 'Author', value: change => renderUser(change.author) },
+      { header: 'Field', value: change => change.field },
+      { header: 'From', value: change => change.from ?? '' },
+      { header: 'To', value: change => change.to ?? '' }
+    ],
+    concise: change => `${renderDateTime(change.created)} ${renderUser(change.author)}: ${change.field} ${renderChangeValue(change.from)} -> ${renderChangeValue(change.to)}`,
+    separator: '\n'
+  },
+  bulkResult: {
+    columns: [
+      { header: 'Key', value: result => result.key },
+      { header: 'Result', value: result => result.outcome },
+      { header: 'Details', value: result => result.details ?? '' }
+    ],
+    concise: result => `${result.key}: ${result.outcome}${result.details ? ` - ${result.details}` : ''}`,
+    separator: '\n'
+  },
+  auditEntry: {
+    columns: [
+      { header: 'Timestamp', value: entry => entry.timestamp },
+      { header: 'Method', value: entry => entry.method },
+      { header: 'Endpoint', value: entry => entry.endpoint },
+      { header: 'Tool', value: entry => entry.tool || 'N/A' },
+      { header: 'Issue', value: entry => entry.issueKey || 'N/A' },
+      { header: 'Status', value: auditOutcome },
+      { header: 'Duration (ms)', value: entry => entry.durationMs }
+    ],
+    concise: entry => `${entry.timestamp} ${entry.method} ${entry.endpoint}\n  Tool: ${entry.tool || 'N/A'} | Issue: ${entry.issueKey || 'N/A'} | Status: ${auditOutcome(entry)} | Duration: ${entry.durationMs}ms`
+  }
+};
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ * @param {any} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render records as a Markdown table
+ * @param {Object[]} records - Records to render
+ * @param {Object[]} columns - Column definitions
+ * @returns {string} Markdown table
+ */
+function markdownTable(records, columns) {
+  const row = cells => `| ${cells.join(' | ')} |`;
+  const cell = value => singleLine(value, MAX_MARKDOWN_CELL_LENGTH).replace(/\|/g, '\\|');
+  return [
+    row(columns.map(column => column.header)),
+    row(columns.map(() => '---')),
+    ...records.map(record => row(columns.map(column => cell(column.value(record)))))
+  ].join('\n');
+}
+
+/**
+ * Render records as an aligned plain-text table
+ * @param {Object[]} records - Records to render
+ * @param {Object[]} columns - Column definitions
+ * @returns {string} Plain-text table
+ */
+function plainTable(records, columns) {
+  const rows = records.map(record => columns.map(column => singleLine(column.value(record), MAX_TABLE_CELL_LENGTH)));
+  const widths = columns.map((column, i) => Math.max(column.header.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((text, i) => text.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(column => column.header)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * Format a list of records in the requested output format
+ * @param {Object[]} records - Records to format (issues, comments, worklogs, ...)
+ * @param {string} format - One of FORMATS
+ * @param {Object} view - Entry from VIEWS describing the record type
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.summary] - Summary line placed above concise, markdown and table output
+ * @param {any} [options.raw] - Data returned as-is for json (default: records)
+ * @returns {string} Formatted text
+ */
+export function formatRecords(records, format, view, { summary, raw } = {}) {
+  let body;
+  switch (format) {
+    case 'json':
+      return JSON.stringify(raw !== undefined ? raw : records, null, 2);
+    case 'csv':
+      return [
+        view.columns.map(column => csvCell(column.header)).join(','),
+        ...records.map(record => view.columns.map(column => csvCell(column.value(record))).join(','))
+      ].join('\n');
+    case 'markdown':
+      body = markdownTable(records, view.columns);
+      break;
+    case 'table':
+      body = plainTable(records, view.columns);
+      break;
+    case 'concise':
+      body = records.map(view.concise).join(view.separator ?? '\n\n');
+      break;
+    default:
+      throw new Error(`Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+  }
+  if (summary === undefined) {
+    return body;
+  }
+  return body ? `${summary}\n\n${body}` : summary;
+}
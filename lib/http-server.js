@@ -0,0 +1,290 @@
+import { createServer } from 'http';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { DEFAULT_MAX_SESSIONS, DEFAULT_SESSION_IDLE_MINUTES } from './config.js';
+
+export const MCP_ENDPOINT = '/mcp';
+export const HEALTH_ENDPOINT = '/health';
+export const MAX_BODY_BYTES = 16 * 1024 * 1024; // 16 MB
+
+// Bind addresses whose local clients address the server by one of the loopback names
+// (0.0.0.0 and :: also listen on every other interface; those callers need --allowed-hosts)
+const LOOPBACK_BINDS = ['127.0.0.1', '::1', 'localhost', '0.0.0.0', '::'];
+const LOOPBACK_NAMES = ['127.0.0.1', 'localhost', '[::1]'];
+
+/**
+ * Build the Host header values the server answers to
+ * Browsers send the name they resolved, so a DNS-rebound page arrives with
+ * its own host name and is refused.
+ * @param {string} host - Interface the server is bound to
+ * @param {number} port - Port the server listens on
+ * @param {string[]} [extraHosts] - Additional names (e.g., behind a proxy); a name without ":port" is allowed
+ *   bare, as browsers send it for ports 80 and 443, and with the server's port
+ * @returns {string[]} Allowed Host header values
+ */
+export function buildAllowedHosts(host, port, extraHosts = []) {
+  const names = LOOPBACK_BINDS.includes(host) ? LOOPBACK_NAMES : [host.includes(':') ? `[${host}]` : host];
+  const allowed = names.map(name => `${name}:${port}`);
+  if (port === 80) {
+    allowed.push(...names);
+  }
+  for (const extra of extraHosts) {
+    allowed.push(...(/:\d+$/.test(extra) ? [extra] : [extra, `${extra}:${port}`]));
+  }
+  return [...new Set(allowed)];
+}
+
+/**
+ * Compare a request's bearer token with the shared secret in constant time
+ * @param {IncomingMessage} req - HTTP request
+ * @param {string} authToken - Expected token
+ * @returns {boolean} True when the Authorization header carries the token
+ */
+function hasValidToken(req, authToken) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return false;
+  }
+  // Hash both sides so the comparison does not depend on the token length
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1].trim()), digest(authToken));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<any>} Parsed body, or undefined when empty
+ * @throws {Error} On oversized or malformed bodies
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  if (size === 0) {
+    return undefined;
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Write a JSON response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} payload - Response body
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Write a JSON-RPC error response (used before a session exists)
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * Start an HTTP server exposing MCP over the Streamable HTTP transport
+ * Every MCP session gets its own transport and server instance so that
+ * several clients can share one process without sharing protocol state.
+ * Requests to /mcp must carry an allowed Host (and Origin, when a browser
+ * sends one) and, when authToken is set, "Authorization: Bearer <authToken>".
+ * Sessions idle for longer than sessionIdleMs are closed.
+ * @param {Object} options - Server options
+ * @param {Function} options.createServer - Factory returning a new, unconnected McpServer
+ * @param {string} options.host - Interface to bind (e.g., "127.0.0.1", "0.0.0.0")
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string[]} [options.allowedHosts] - Extra host names clients may use besides the bind address
+ * @param {string|null} [options.authToken] - Shared secret clients must send as a bearer token
+ * @param {number} [options.maxSessions] - Maximum number of open sessions
+ * @param {number} [options.sessionIdleMs] - Idle time after which a session is closed
+ * @returns {Promise<{httpServer: Server, sessions: Map, allowedHosts: string[], close: Function}>} Running server handle
+ */
+export async function startHttpServer({
+  createServer: createMcpServer,
+  host,
+  port,
+  allowedHosts: extraHosts = [],
+  authToken = null,
+  maxSessions = DEFAULT_MAX_SESSIONS,
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MINUTES * 60 * 1000
+}) {
+  const sessions = new Map();
+  let allowedHosts = [];
+  let allowedOrigins = [];
+
+  /**
+   * Close a session after sessionIdleMs without requests
+   * @param {string} id - Session ID
+   */
+  const touchSession = (id) => {
+    const session = sessions.get(id);
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      if (process.env.DEBUG === 'true') {
+        console.error(`[HTTP] Session ${id} idle, closing`);
+      }
+      session.transport.close().catch(() => {});
+    }, sessionIdleMs);
+    session.idleTimer.unref();
+  };
+
+  const httpServer = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === HEALTH_ENDPOINT && req.method === 'GET') {
+        sendJson(res, 200, { status: 'ok', transport: 'http', sessions: sessions.size });
+        return;
+      }
+
+      if (pathname !== MCP_ENDPOINT) {
+        sendJson(res, 404, { error: `Not found: ${pathname}` });
+        return;
+      }
+
+      if (!allowedHosts.includes(req.headers.host)) {
+        sendJsonRpcError(res, 403, -32000, `Forbidden: Invalid Host header: ${req.headers.host}`);
+        return;
+      }
+      // Non-browser clients send no Origin; browsers always do, and only pages served from an allowed host pass
+      if (req.headers.origin !== undefined && !allowedOrigins.includes(req.headers.origin)) {
+        sendJsonRpcError(res, 403, -32000, `Forbidden: Invalid Origin header: ${req.headers.origin}`);
+        return;
+      }
+      if (authToken && !hasValidToken(req, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      if (sessionId && sessions.has(sessionId)) {
+        touchSession(sessionId);
+      }
+
+      if (req.method === 'POST') {
+        let body;
+        try {
+          body = await readJsonBody(req);
+        } catch (error) {
+          sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+          return;
+        }
+
+        if (sessionId) {
+          if (!sessions.has(sessionId)) {
+            // 404 tells the client to start a new session, e.g. after the idle timeout closed it
+            sendJsonRpcError(res, 404, -32001, 'Session not found');
+            return;
+          }
+          await sessions.get(sessionId).transport.handleRequest(req, res, body);
+          return;
+        }
+
+        if (isInitializeRequest(body)) {
+          if (sessions.size >= maxSessions) {
+            sendJsonRpcError(res, 503, -32000, `Too many sessions (limit ${maxSessions}); close an existing session and try again`);
+            return;
+          }
+
+          const mcpServer = createMcpServer();
+          const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            // The Host check above already ran; the transport repeats it as a second line of defence.
+            // Origins are not passed on because the transport would also refuse clients that send none.
+            enableDnsRebindingProtection: true,
+            allowedHosts,
+            onsessioninitialized: (id) => {
+              sessions.set(id, { transport, mcpServer });
+              touchSession(id);
+              if (process.env.DEBUG === 'true') {
+                console.error(`[HTTP] Session ${id} initialized (${sessions.size} active)`);
+              }
+            }
+          });
+
+          transport.onclose = () => {
+            clearTimeout(sessions.get(transport.sessionId)?.idleTimer);
+            if (transport.sessionId && sessions.delete(transport.sessionId) && process.env.DEBUG === 'true') {
+              console.error(`[HTTP] Session ${transport.sessionId} closed (${sessions.size} active)`);
+            }
+          };
+
+          await mcpServer.connect(transport);
+          await transport.handleRequest(req, res, body);
+          return;
+        }
+
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      if (req.method === 'GET' || req.method === 'DELETE') {
+        if (!sessionId) {
+          sendJsonRpcError(res, 400, -32000, 'Bad Request: Missing session ID');
+          return;
+        }
+        if (!sessions.has(sessionId)) {
+          sendJsonRpcError(res, 404, -32001, 'Session not found');
+          return;
+        }
+        await sessions.get(sessionId).transport.handleRequest(req, res);
+        return;
+      }
+
+      res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+    } catch (error) {
+      console.error('Error handling MCP HTTP request:', error instanceof Error ? error.message : String(error));
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  // Built after listening so that port 0 resolves to the port actually chosen
+  allowedHosts = buildAllowedHosts(host, httpServer.address().port, extraHosts);
+  allowedOrigins = allowedHosts.flatMap(allowed => [`http://${allowed}`, `https://${allowed}`]);
+
+  /**
+   * Close all sessions and stop accepting connections
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    for (const { transport, idleTimer } of sessions.values()) {
+      clearTimeout(idleTimer);
+      await transport.close();
+    }
+    sessions.clear();
+    await new Promise((resolve) => httpServer.close(() => resolve()));
+  }
+
+  return { httpServer, sessions, allowedHosts, close };
+}
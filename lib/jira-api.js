@@ -0,0 +1,305 @@
+/**
+ * Jira REST calls shared by tools, resources and prompts
+ * Each helper takes the same (jiraRequest, baseUrl, bearerToken) triple the tool registrars receive.
+ */
+
+import { SEARCH_PAGE_SIZE, EDIT_META_CACHE_TTL_MS, getCached } from './utils.js';
+
+// Fields returned by searches that only need a one-line summary per issue
+export const SUMMARY_FIELDS = ['summary', 'status', 'assignee', 'priority', 'issuetype', 'updated'];
+
+/**
+ * Get a single issue
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} issueKey - Issue key (e.g., "DEV-123")
+ * @param {string[]} [fields] - Field names to return (default: all fields)
+ * @returns {Promise<Object>} Issue as returned by Jira
+ */
+export async function getIssue(jiraRequest, baseUrl, bearerToken, issueKey, fields) {
+  let endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}`;
+  if (fields && fields.length > 0) {
+    endpoint += `?fields=${fields.join(',')}`;
+  }
+  return jiraRequest(baseUrl, bearerToken, endpoint);
+}
+
+/**
+ * Get the comments on an issue
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} issueKey - Issue key (e.g., "DEV-123")
+ * @returns {Promise<Object>} Comment page with comments, total, startAt and maxResults
+ */
+export async function getComments(jiraRequest, baseUrl, bearerToken, issueKey) {
+  return jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/comment`);
+}
+
+/**
+ * Get an issue's change history as a flat, oldest-first list of field changes
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} issueKey - Issue key (e.g., "DEV-123")
+ * @returns {Promise<{key: string, summary: string, changes: Object[]}>} One change per changed field: id, created, author, field, from, to
+ */
+export async function getIssueHistory(jiraRequest, baseUrl, bearerToken, issueKey) {
+  const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}?fields=summary&expand=changelog`);
+  const changes = (data.changelog?.histories || []).flatMap(history => (history.items || []).map(item => ({
+    id: history.id,
+    created: history.created,
+    author: history.author || null,
+    field: item.field,
+    from: item.fromString ?? item.from ?? null,
+    to: item.toString ?? item.to ?? null
+  })));
+  changes.sort((a, b) => new Date(a.created) - new Date(b.created));
+  return { key: data.key, summary: data.fields?.summary, changes };
+}
+
+/**
+ * Search issues with JQL
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} query - Search parameters
+ * @param {string} query.jql - JQL query
+ * @param {number} [query.maxResults] - Maximum results (default: 50)
+ * @param {number} [query.startAt] - Starting index (default: 0)
+ * @param {string[]} [query.fields] - Field names to return (default: Jira's navigable fields)
+ * @returns {Promise<Object>} Search result with issues, total, startAt and maxResults
+ */
+export async function searchIssues(jiraRequest, baseUrl, bearerToken, { jql, maxResults = 50, startAt = 0, fields }) {
+  let endpoint = `/rest/api/2/search?jql=${encodeURIComponent(jql)}&maxResults=${maxResults}&startAt=${startAt}`;
+  if (fields && fields.length > 0) {
+    endpoint += `&fields=${fields.join(',')}`;
+  }
+  return jiraRequest(baseUrl, bearerToken, endpoint);
+}
+
+/**
+ * Walk search result pages until the budget is spent or the results run out
+ * Jira may return fewer issues per page than requested, so paging advances by what came back.
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} query - Search parameters
+ * @param {string} query.jql - JQL query
+ * @param {number} query.budget - Maximum number of issues to collect
+ * @param {number} [query.pageSize] - Issues requested per page (default: SEARCH_PAGE_SIZE)
+ * @param {number} [query.startAt] - Starting index (default: 0)
+ * @param {string[]} [query.fields] - Field names to return
+ * @param {Function} [query.onPage] - Called after each page with ({fetched, total})
+ * @returns {Promise<{issues: Object[], total: number, startAt: number, truncated: boolean}>} Combined result
+ */
+export async function searchAllIssues(jiraRequest, baseUrl, bearerToken, { jql, budget, pageSize = SEARCH_PAGE_SIZE, startAt = 0, fields, onPage }) {
+  const issues = [];
+  let total = 0;
+
+  while (issues.length < budget) {
+    const page = await searchIssues(jiraRequest, baseUrl, bearerToken, {
+      jql,
+      maxResults: Math.min(pageSize, budget - issues.length),
+      startAt: startAt + issues.length,
+      fields
+    });
+    total = page.total;
+    issues.push(...page.issues);
+
+    if (onPage) {
+      await onPage({ fetched: issues.length, total });
+    }
+    if (page.issues.length === 0 || startAt + issues.length >= total) {
+      break;
+    }
+  }
+
+  return { issues, total, startAt, truncated: startAt + issues.length < total };
+}
+
+/**
+ * Get a project, reduced to its essential details
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} projectKey - Project key (e.g., "DEV")
+ * @returns {Promise<Object>} Project summary (key, name, lead, first 10 components, issue types, counts)
+ */
+export async function getProjectSummary(jiraRequest, baseUrl, bearerToken, projectKey) {
+  const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/project/${encodeURIComponent(projectKey)}`);
+
+  // Extract only essential fields to minimize response size
+  const summary = {
+    key: data.key,
+    name: data.name,
+    description: data.description,
+    lead: data.lead?.displayName || data.lead?.name,
+    projectTypeKey: data.projectTypeKey,
+    archived: data.archived,
+    componentCount: data.components?.length || 0,
+    versionCount: data.versions?.length || 0,
+    issueTypeCount: data.issueTypes?.length || 0,
+    components: data.components?.slice(0, 10).map(c => `${c.name}${c.description ? ': ' + c.description : ''}`),
+    issueTypes: data.issueTypes?.map(t => t.name)
+  };
+
+  if (data.components?.length > 10) {
+    summary.components.push(`... and ${data.components.length - 10} more components`);
+  }
+
+  return summary;
+}
+
+/**
+ * Get a saved filter
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} filterId - Filter ID (e.g., "10200")
+ * @returns {Promise<Object>} Filter as returned by Jira (id, name, jql, owner, ...)
+ */
+export async function getFilter(jiraRequest, baseUrl, bearerToken, filterId) {
+  return jiraRequest(baseUrl, bearerToken, `/rest/api/2/filter/${encodeURIComponent(filterId)}`);
+}
+
+/**
+ * Get all issue types (cached for 5 minutes)
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @returns {Promise<Object[]>} Issue types (id, name, subtask, ...)
+ */
+export async function getIssueTypes(jiraRequest, baseUrl, bearerToken) {
+  return getCached(`${baseUrl}:issue-types`, async () => {
+    return await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issuetype');
+  });
+}
+
+/**
+ * Get an attachment's metadata
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Object>} Attachment (id, filename, size, mimeType, author, created, content)
+ */
+export async function getAttachment(jiraRequest, baseUrl, bearerToken, attachmentId) {
+  return jiraRequest(baseUrl, bearerToken, `/rest/api/2/attachment/${encodeURIComponent(attachmentId)}`);
+}
+
+/**
+ * Get all issue link types (cached for 5 minutes)
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @returns {Promise<Object[]>} Link types (id, name, inward, outward)
+ */
+export async function getLinkTypes(jiraRequest, baseUrl, bearerToken) {
+  return getCached(`${baseUrl}:link-types`, async () => {
+    const data = await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issueLinkType');
+    return data.issueLinkTypes || [];
+  });
+}
+
+/**
+ * Collect every value of a paged "values" endpoint (startAt/maxResults/isLast)
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} endpoint - Endpoint without paging parameters
+ * @returns {Promise<Object[]>} All values
+ */
+async function getAllValues(jiraRequest, baseUrl, bearerToken, endpoint) {
+  const values = [];
+  for (;;) {
+    const page = await jiraRequest(baseUrl, bearerToken, `${endpoint}?startAt=${values.length}&maxResults=${SEARCH_PAGE_SIZE}`);
+    values.push(...(page.values || []));
+    if (page.isLast !== false || !page.values?.length || (page.total !== undefined && values.length >= page.total)) {
+      return values;
+    }
+  }
+}
+
+/**
+ * Get the issue types that can be created in a project, or the create screen of one of them
+ * Uses the paged createmeta endpoints of Jira 9 (/issue/createmeta/{project}/issuetypes) and
+ * falls back to the legacy expand=projects.issuetypes.fields form when the server answers 404.
+ * Results are cached for 5 minutes.
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} projectKey - Project key (e.g., "DEV")
+ * @param {string} [issueTypeName] - Issue type name (case-insensitive); omit to list issue types only
+ * @returns {Promise<{issueTypes: Object[], issueType: Object|null, fields: Object|null}>} Issue types, and the chosen type with its fields keyed by field ID
+ * @throws {Error} When the project or issue type is not available for creation
+ */
+export async function getCreateMetadata(jiraRequest, baseUrl, bearerToken, projectKey, issueTypeName) {
+  const cacheKey = `${baseUrl}:createmeta:${projectKey}:${issueTypeName?.toLowerCase() ?? ''}`;
+  return getCached(cacheKey, async () => {
+    const project = encodeURIComponent(projectKey);
+    let issueTypes;
+    let loadFields;
+
+    try {
+      issueTypes = await getAllValues(jiraRequest, baseUrl, bearerToken, `/rest/api/2/issue/createmeta/${project}/issuetypes`);
+      loadFields = async issueType => {
+        const values = await getAllValues(jiraRequest, baseUrl, bearerToken, `/rest/api/2/issue/createmeta/${project}/issuetypes/${encodeURIComponent(issueType.id)}`);
+        return Object.fromEntries(values.map(({ fieldId, ...meta }) => [fieldId, meta]));
+      };
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      const legacy = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/createmeta?projectKeys=${project}&expand=projects.issuetypes.fields`);
+      if (!legacy.projects?.length) {
+        throw new Error(`Project ${projectKey} was not found, or you cannot create issues in it`);
+      }
+      issueTypes = legacy.projects[0].issuetypes || [];
+      loadFields = async issueType => issueType.fields || {};
+    }
+
+    if (!issueTypeName) {
+      return { issueTypes, issueType: null, fields: null };
+    }
+
+    const issueType = issueTypes.find(type => type.name?.toLowerCase() === issueTypeName.toLowerCase());
+    if (!issueType) {
+      throw new Error(`Issue type "${issueTypeName}" cannot be created in project ${projectKey}. Available issue types: ${issueTypes.map(type => type.name).join(', ') || '(none)'}`);
+    }
+    return { issueTypes, issueType, fields: await loadFields(issueType) };
+  });
+}
+
+/**
+ * Get the fields that can be edited on an issue (cached for 1 minute)
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} issueKey - Issue key (e.g., "DEV-123")
+ * @returns {Promise<Object>} Field metadata keyed by field ID (name, required, schema, operations, allowedValues)
+ */
+export async function getEditMetadata(jiraRequest, baseUrl, bearerToken, issueKey) {
+  return getCached(`${baseUrl}:editmeta:${issueKey}`, async () => {
+    const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/editmeta`);
+    return data.fields || {};
+  }, EDIT_META_CACHE_TTL_MS);
+}
+
+/**
+ * Reduce an issue to the fields shown in one-line summaries
+ * @param {Object} issue - Issue from a search result
+ * @returns {{key: string, summary: string, status: string, assignee: string, priority: string, type: string, updated: string}} Issue summary
+ */
+export function summarizeIssue(issue) {
+  return {
+    key: issue.key,
+    summary: issue.fields?.summary,
+    status: issue.fields?.status?.name || 'N/A',
+    assignee: issue.fields?.assignee?.displayName || 'Unassigned',
+    priority: issue.fields?.priority?.name || 'N/A',
+    type: issue.fields?.issuetype?.name || 'N/A',
+    updated: issue.fields?.updated
+  };
+}
@@ -1,23 +1,146 @@
-import { HTTP_STATUS, REQUEST_TIMEOUT_MS, MAX_RETRIES, RETRY_DELAY_BASE_MS, sleep } from './utils.js';
+import {
+  HTTP_STATUS,
+  REQUEST_TIMEOUT_MS,
+  MAX_RETRIES,
+  RETRY_DELAY_BASE_MS,
+  MAX_RETRY_DELAY_MS,
+  MAX_RETRY_AFTER_MS,
+  sleep
+} from './utils.js';
+import { AUDITED_METHODS, recordAuditEntry, redactBody } from './audit-log.js';
+
+// Status codes worth retrying; 429 and 503 may carry a Retry-After header
+const RETRYABLE_STATUSES = [
+  HTTP_STATUS.TOO_MANY_REQUESTS,
+  HTTP_STATUS.BAD_GATEWAY,
+  HTTP_STATUS.SERVICE_UNAVAILABLE,
+  HTTP_STATUS.GATEWAY_TIMEOUT
+];
+const RETRY_AFTER_STATUSES = [HTTP_STATUS.TOO_MANY_REQUESTS, HTTP_STATUS.SERVICE_UNAVAILABLE];
+
+// Network errors are only retried for methods that are safe to repeat
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Active retry settings (see configureRetry)
+const retrySettings = {
+  maxRetries: MAX_RETRIES,
+  baseDelayMs: RETRY_DELAY_BASE_MS,
+  maxDelayMs: MAX_RETRY_DELAY_MS,
+  maxRetryAfterMs: MAX_RETRY_AFTER_MS
+};
 
 /**
- * Makes authenticated request to Jira REST API with timeout and retry logic
+ * Override retry settings for all subsequent requests
+ * @param {Object} settings - Settings to change
+ * @param {number} [settings.maxRetries] - Retries after the first attempt
+ * @param {number} [settings.baseDelayMs] - Base delay for exponential backoff
+ * @param {number} [settings.maxDelayMs] - Cap for a single backoff delay
+ * @param {number} [settings.maxRetryAfterMs] - Longest Retry-After to wait for; longer waits fail immediately
+ * @returns {Object} The settings now in effect
+ */
+export function configureRetry(settings = {}) {
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined) {
+      retrySettings[key] = value;
+    }
+  }
+  return { ...retrySettings };
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in milliseconds (for HTTP dates)
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Compute an exponential backoff delay with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds, between 0 and min(maxDelayMs, baseDelayMs * 2^attempt)
+ */
+export function getBackoffDelay(attempt) {
+  const ceiling = Math.min(retrySettings.maxDelayMs, retrySettings.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Check whether a fetch error is a transient network failure
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True for connection resets, refusals and similar
+ */
+function isRetryableNetworkError(error) {
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_NETWORK_ERRORS.includes(code);
+}
+
+/**
+ * Read a binary response body, refusing bodies over a size limit
+ * The body is streamed so an oversized file is abandoned as soon as it passes the limit.
+ * @param {Response} response - Successful fetch response
+ * @param {number} [maxBytes] - Largest body accepted (default: unlimited)
+ * @returns {Promise<Buffer>} Body content
+ * @throws {Error} When the body is larger than maxBytes
+ */
+async function readBinaryBody(response, maxBytes = Infinity) {
+  const tooLarge = () => new Error(`Response is larger than the ${maxBytes} byte limit`);
+  if (Number(response.headers?.get('content-length')) > maxBytes) {
+    throw tooLarge();
+  }
+  if (!response.body) {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > maxBytes) {
+      throw tooLarge();
+    }
+    return buffer;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw tooLarge(); // Leaving the loop cancels the stream
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Send one request, retrying transient failures
  * @param {string} baseUrl - Jira base URL
  * @param {string} bearerToken - Bearer authentication token
- * @param {string} endpoint - API endpoint path (e.g., '/rest/api/2/issue/DEV-123')
- * @param {Object} options - Fetch options
- * @param {number} retries - Number of retries remaining (default: MAX_RETRIES)
- * @returns {Promise<Object|null>} Parsed JSON response or null for 204 responses
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} options - Fetch options, plus responseType and maxResponseBytes (see jiraRequest)
+ * @param {number} retries - Number of retries remaining
+ * @returns {Promise<{status: number, data: Object|Buffer|null}>} Final HTTP status and parsed response
  * @throws {Error} On HTTP errors with specific messages or timeout
  */
-export async function jiraRequest(baseUrl, bearerToken, endpoint, options = {}, retries = MAX_RETRIES) {
+async function sendRequest(baseUrl, bearerToken, endpoint, options, retries) {
+  const { responseType, maxResponseBytes, ...fetchOptions } = options;
   const url = `${baseUrl}${endpoint}`;
+  const method = (options.method || 'GET').toUpperCase();
+  const attempt = Math.max(0, retrySettings.maxRetries - retries);
+  // fetch sets the multipart Content-Type (with its boundary) for FormData bodies itself
+  const isMultipart = options.body instanceof FormData;
 
   // Debug logging
   if (process.env.DEBUG === 'true') {
-    console.error(`[${options.method || 'GET'}] ${url}`);
+    console.error(`[${method}] ${url}`);
     if (options.body) {
-      console.error(`[BODY] ${options.body}`);
+      console.error(`[BODY] ${isMultipart ? redactBody(options.body) : options.body}`);
     }
   }
 
@@ -26,25 +149,38 @@ export async function jiraRequest(baseUrl, bearerToken, endpoint, options = {},
   const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
 
   try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        'Authorization': `Bearer ${bearerToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'jira-mcp-bearer/1.0.0',
-        ...options.headers,
-      },
-    });
+    let response;
+    try {
+      response = await fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal,
+        headers: {
+          'Authorization': `Bearer ${bearerToken}`,
+          ...(!isMultipart && { 'Content-Type': 'application/json' }),
+          'User-Agent': 'jira-mcp-bearer/1.0.0',
+          ...options.headers,
+        },
+      });
+    } catch (error) {
+      // Retry dropped connections, but only where repeating the request is harmless
+      if (isRetryableNetworkError(error) && IDEMPOTENT_METHODS.includes(method) && retries > 0) {
+        const delay = getBackoffDelay(attempt);
+        if (process.env.DEBUG === 'true') {
+          console.error(`[RETRY] ${error.code || error.cause?.code} on ${method}, retrying in ${delay}ms (${retries} retries left)`);
+        }
+        await sleep(delay);
+        return sendRequest(baseUrl, bearerToken, endpoint, options, retries - 1);
+      }
+      throw error;
+    }
 
     if (!response.ok) {
       // Specific error messages based on status code
       let errorMessage;
-      const isRetryable = [
-        HTTP_STATUS.BAD_GATEWAY,
-        HTTP_STATUS.SERVICE_UNAVAILABLE,
-        HTTP_STATUS.GATEWAY_TIMEOUT
-      ].includes(response.status);
+      const isRetryable = RETRYABLE_STATUSES.includes(response.status);
+      const retryAfterMs = RETRY_AFTER_STATUSES.includes(response.status)
+        ? parseRetryAfter(response.headers?.get('retry-after'))
+        : null;
 
       switch (response.status) {
         case HTTP_STATUS.UNAUTHORIZED:
@@ -70,8 +206,9 @@ export async function jiraRequest(baseUrl, bearerToken, endpoint, options = {},
       }
 
       // Try to get more details from response body
+      let errorBody;
       try {
-        const errorBody = await response.json();
+        errorBody = await response.json();
         if (errorBody.errorMessages && errorBody.errorMessages.length > 0) {
           errorMessage += `\n\nError details:\n${errorBody.errorMessages.map(msg => `  - ${msg}`).join('\n')}`;
         }
@@ -85,24 +222,37 @@ export async function jiraRequest(baseUrl, bearerToken, endpoint, options = {},
         // Ignore JSON parse errors
       }
 
-      // Retry logic for transient errors
+      // Retry transient errors, honoring Retry-After when the server sends one
       if (isRetryable && retries > 0) {
-        const delay = RETRY_DELAY_BASE_MS * (MAX_RETRIES - retries + 1);
-        if (process.env.DEBUG === 'true') {
-          console.error(`[RETRY] ${response.status} error, retrying in ${delay}ms (${retries} retries left)`);
+        if (retryAfterMs !== null && retryAfterMs > retrySettings.maxRetryAfterMs) {
+          errorMessage += `\n\nJira asked to retry after ${Math.ceil(retryAfterMs / 1000)} seconds, which exceeds the ${retrySettings.maxRetryAfterMs / 1000} second limit.`;
+        } else {
+          const delay = retryAfterMs ?? getBackoffDelay(attempt);
+          if (process.env.DEBUG === 'true') {
+            console.error(`[RETRY] ${response.status} error, retrying in ${delay}ms (${retries} retries left)`);
+          }
+          await sleep(delay);
+          return sendRequest(baseUrl, bearerToken, endpoint, options, retries - 1);
         }
-        await sleep(delay);
-        return jiraRequest(baseUrl, bearerToken, endpoint, options, retries - 1);
       }
 
       console.error(`Jira API error for ${endpoint}:`, errorMessage);
       const error = new Error(errorMessage);
       error.status = response.status;
+      error.body = errorBody; // Partial results, e.g. the issues a bulk create did manage to create
       throw error;
     }
 
     if (response.status === 204) {
-      return null;
+      return { status: response.status, data: null };
+    }
+
+    if (responseType === 'buffer') {
+      const buffer = await readBinaryBody(response, maxResponseBytes);
+      if (process.env.DEBUG === 'true') {
+        console.error(`[RESPONSE] ${response.status} - ${buffer.length} bytes`);
+      }
+      return { status: response.status, data: buffer };
     }
 
     const data = await response.json();
@@ -111,7 +261,7 @@ export async function jiraRequest(baseUrl, bearerToken, endpoint, options = {},
       console.error(`[RESPONSE] ${response.status} - ${JSON.stringify(data).length} bytes`);
     }
 
-    return data;
+    return { status: response.status, data };
   } catch (error) {
     if (error.name === 'AbortError') {
       console.error(`Request timeout for ${endpoint} after ${REQUEST_TIMEOUT_MS}ms`);
@@ -122,3 +272,43 @@ export async function jiraRequest(baseUrl, bearerToken, endpoint, options = {},
     clearTimeout(timeout);
   }
 }
+
+/**
+ * Makes authenticated request to Jira REST API with timeout and retry logic
+ * Retries 429/502/503/504 responses (honoring Retry-After on 429 and 503) with
+ * jittered exponential backoff, and network errors for idempotent methods only.
+ * POST, PUT and DELETE requests are recorded in the audit log when it is enabled.
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer authentication token
+ * @param {string} endpoint - API endpoint path (e.g., '/rest/api/2/issue/DEV-123')
+ * @param {Object} options - Fetch options (a FormData body is sent as multipart/form-data)
+ * @param {string} [options.responseType] - "buffer" to return the raw body (e.g., attachment content) instead of parsed JSON
+ * @param {number} [options.maxResponseBytes] - With responseType "buffer": fail once the body grows past this size
+ * @param {number} retries - Number of retries remaining (default: configured maxRetries)
+ * @returns {Promise<Object|Buffer|null>} Parsed JSON response (or a Buffer with responseType "buffer"), or null for 204 responses
+ * @throws {Error} On HTTP errors with specific messages or timeout
+ */
+export async function jiraRequest(baseUrl, bearerToken, endpoint, options = {}, retries = retrySettings.maxRetries) {
+  const method = (options.method || 'GET').toUpperCase();
+  if (!AUDITED_METHODS.includes(method)) {
+    return (await sendRequest(baseUrl, bearerToken, endpoint, options, retries)).data;
+  }
+
+  const start = Date.now();
+  try {
+    const { status, data } = await sendRequest(baseUrl, bearerToken, endpoint, options, retries);
+    await recordAuditEntry({ baseUrl, method, endpoint, body: options.body, status, durationMs: Date.now() - start, responseData: data });
+    return data;
+  } catch (error) {
+    await recordAuditEntry({
+      baseUrl,
+      method,
+      endpoint,
+      body: options.body,
+      status: error.status ?? null,
+      durationMs: Date.now() - start,
+      error: error.message
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,201 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { registerIssueTools } from '../tools/issues.js';
+import { registerProjectTools } from '../tools/projects.js';
+import { registerWorklogTools } from '../tools/worklogs.js';
+import { registerCommentTools } from '../tools/comments.js';
+import { registerUserTools } from '../tools/users.js';
+import { registerMetadataTools } from '../tools/metadata.js';
+import { registerAuditTools } from '../tools/audit.js';
+import { registerBulkTools } from '../tools/bulk.js';
+import { registerHierarchyTools } from '../tools/hierarchy.js';
+import { registerLinkTools } from '../tools/links.js';
+import { registerRemoteLinkTools } from '../tools/remote-links.js';
+import { registerAttachmentTools } from '../tools/attachments.js';
+import { registerJiraResources } from '../resources/jira.js';
+import { registerJiraPrompts } from '../prompts/jira.js';
+import { matchesGlob } from './utils.js';
+import { runWithToolContext } from './audit-log.js';
+
+// Tool registration functions, one per category
+const TOOL_REGISTRARS = [
+  registerIssueTools,
+  registerProjectTools,
+  registerWorklogTools,
+  registerCommentTools,
+  registerUserTools,
+  registerMetadataTools,
+  registerHierarchyTools,
+  registerLinkTools,
+  registerRemoteLinkTools,
+  registerAttachmentTools,
+  registerBulkTools,
+  registerAuditTools
+];
+
+// Policy used when config has no "tools" section: everything enabled
+const DEFAULT_TOOL_POLICY = { readOnly: false, allowTools: [], denyTools: [] };
+
+/**
+ * Decide whether a tool should be registered under the configured tool policy
+ * Tools count as mutating unless annotated with readOnlyHint: true.
+ * Glob lists match either the base tool name or the registered (prefixed) name.
+ * @param {string[]} names - Base name and registered name of the tool
+ * @param {Object} toolConfig - Tool definition passed to registerTool
+ * @param {{readOnly: boolean, allowTools: string[], denyTools: string[]}} policy - Tool policy from loadConfig()
+ * @returns {boolean} True if the tool should be registered
+ */
+export function isToolEnabled(names, toolConfig, policy = DEFAULT_TOOL_POLICY) {
+  const matchesAny = patterns => patterns.some(pattern => names.some(name => matchesGlob(name, pattern)));
+
+  if (policy.readOnly && toolConfig.annotations?.readOnlyHint !== true) {
+    return false;
+  }
+  if (policy.allowTools.length > 0 && !matchesAny(policy.allowTools)) {
+    return false;
+  }
+  return !matchesAny(policy.denyTools);
+}
+
+/**
+ * Wrap a tool handler so the client layer knows which tool call a request belongs to
+ * @param {string} name - Registered tool name
+ * @param {string} instance - Profile the handler talks to
+ * @param {Function} handler - Tool handler
+ * @returns {Function} Wrapped handler
+ */
+function withToolContext(name, instance, handler) {
+  return (args, extra) => runWithToolContext({
+    tool: name,
+    instance,
+    sessionId: extra?.sessionId,
+    issueKey: typeof args?.issueKey === 'string' ? args.issueKey : undefined
+  }, () => handler(args, extra));
+}
+
+/**
+ * Run every tool registrar against a collector instead of a real server
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {{baseUrl: string, bearerToken: string}} profile - Jira instance the handlers talk to
+ * @param {Object} [options] - Tool options passed to every registrar (e.g., safety settings)
+ * @returns {Map<string, {config: Object, handler: Function}>} Tool definitions keyed by name
+ */
+export function collectTools(jiraRequest, profile, options = {}) {
+  const tools = new Map();
+  const collector = {
+    registerTool(name, config, handler) {
+      tools.set(name, { config, handler });
+    }
+  };
+
+  for (const register of TOOL_REGISTRARS) {
+    register(collector, jiraRequest, profile.baseUrl, profile.bearerToken, options);
+  }
+
+  return tools;
+}
+
+/**
+ * Register tools for profiles that share the unprefixed tool names
+ * A single profile registers as-is; several profiles add an optional
+ * `instance` argument to every tool that selects the profile per call.
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {Object} profiles - Profiles keyed by name
+ * @param {string[]} names - Names of the profiles to expose
+ * @param {string} defaultName - Profile used when `instance` is omitted
+ * @param {Object} policy - Tool policy from loadConfig()
+ * @param {Object} options - Tool options passed to every registrar
+ */
+function registerSharedTools(mcpServer, jiraRequest, profiles, names, defaultName, policy, options) {
+  if (names.length === 1) {
+    for (const [name, { config, handler }] of collectTools(jiraRequest, profiles[names[0]], options)) {
+      if (isToolEnabled([name], config, policy)) {
+        mcpServer.registerTool(name, config, withToolContext(name, names[0], handler));
+      }
+    }
+    return;
+  }
+
+  const toolsByProfile = new Map(names.map(profileName => [profileName, collectTools(jiraRequest, profiles[profileName], options)]));
+  const instanceSchema = z.enum(names).optional()
+    .describe(`Jira instance profile to use (default: "${defaultName}")`);
+
+  for (const [name, { config }] of toolsByProfile.get(defaultName)) {
+    if (!isToolEnabled([name], config, policy)) {
+      continue;
+    }
+    mcpServer.registerTool(name, {
+      ...config,
+      inputSchema: { ...config.inputSchema, instance: instanceSchema }
+    }, async ({ instance = defaultName, ...args }, extra) => {
+      const { handler } = toolsByProfile.get(instance).get(name);
+      return withToolContext(name, instance, handler)(args, extra);
+    });
+  }
+}
+
+/**
+ * Create an MCP server with all Jira tools, resources and prompts registered
+ * Each transport session needs its own server instance, so this is called once
+ * for stdio and once per session for HTTP.
+ * Profiles with a `toolPrefix` get their own copy of every tool (e.g., "staging-jira-get-issue");
+ * the remaining profiles are reachable through the `instance` argument.
+ * Tools excluded by the tool policy (read-only mode, allow/deny globs) are not registered at all.
+ * Resources are read-only and always registered: the default profile under jira://, the others
+ * under jira://{profile}/. Prompts fetch their data from the default profile.
+ * @param {Object} config - Configuration from loadConfig()
+ * @param {Function} jiraRequest - Jira API request function
+ * @returns {McpServer} Configured MCP server (not yet connected)
+ */
+export function createMcpServer(config, jiraRequest) {
+  const mcpServer = new McpServer({
+    name: 'jira-bearer-auth',
+    version: '1.0.0'
+  }, {
+    capabilities: {
+      tools: {},
+      resources: {},
+      prompts: {}
+    }
+  });
+
+  const profiles = config.profiles || {
+    default: { baseUrl: config.baseUrl, bearerToken: config.bearerToken }
+  };
+  const defaultProfile = config.defaultProfile || Object.keys(profiles)[0];
+  const policy = config.tools || DEFAULT_TOOL_POLICY;
+  const options = { safety: config.safety || {}, search: config.search || {}, bulk: config.bulk || {}, attachments: config.attachments || {}, auditLog: config.auditLog || {} };
+
+  const sharedNames = Object.keys(profiles).filter(name => profiles[name].toolPrefix === undefined);
+  if (sharedNames.length > 0) {
+    const defaultName = sharedNames.includes(defaultProfile) ? defaultProfile : sharedNames[0];
+    registerSharedTools(mcpServer, jiraRequest, profiles, sharedNames, defaultName, policy, options);
+  }
+
+  for (const [profileName, profile] of Object.entries(profiles)) {
+    if (profile.toolPrefix === undefined) {
+      continue;
+    }
+    for (const [name, { config: toolConfig, handler }] of collectTools(jiraRequest, profile, options)) {
+      const prefixedName = `${profile.toolPrefix}${name}`;
+      if (!isToolEnabled([name, prefixedName], toolConfig, policy)) {
+        continue;
+      }
+      mcpServer.registerTool(prefixedName, {
+        ...toolConfig,
+        description: `[${profileName}] ${toolConfig.description}`
+      }, withToolContext(prefixedName, profileName, handler));
+    }
+  }
+
+  for (const [profileName, profile] of Object.entries(profiles)) {
+    registerJiraResources(mcpServer, jiraRequest, profile.baseUrl, profile.bearerToken, {
+      ...(profileName !== defaultProfile && { profileName })
+    });
+  }
+
+  registerJiraPrompts(mcpServer, jiraRequest, profiles[defaultProfile].baseUrl, profiles[defaultProfile].bearerToken);
+
+  return mcpServer;
+}
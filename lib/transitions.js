@@ -0,0 +1,79 @@
+/**
+ * Resolve workflow transitions by ID, target status or transition name,
+ * and check transition screen fields before posting
+ */
+
+import { describeScreenFields, validateScreenFields } from './field-meta.js';
+
+/**
+ * Describe transitions for error messages and previews
+ * @param {Object[]} transitions - Transitions from /rest/api/2/issue/{key}/transitions
+ * @returns {string} One line per transition: "Name" (ID n) -> Status
+ */
+export function describeTransitions(transitions) {
+  if (transitions.length === 0) {
+    return '  (none - the issue has no available transitions)';
+  }
+  return transitions.map(t => `  "${t.name}" (ID ${t.id}) -> ${t.to?.name || 'N/A'}`).join('\n');
+}
+
+/**
+ * Pick the transition to perform from an issue's available transitions
+ * A target is matched case-insensitively against the status each transition
+ * leads to first, then against transition names.
+ * @param {Object[]} transitions - Available transitions
+ * @param {Object} target - What to resolve (exactly one of transitionId or toStatus)
+ * @param {string} [target.transitionId] - Transition ID
+ * @param {string} [target.toStatus] - Target status name or transition name
+ * @returns {Object} The matching transition
+ * @throws {Error} When nothing matches or the match is ambiguous, listing the valid options
+ */
+export function resolveTransition(transitions, { transitionId, toStatus }) {
+  if (transitionId !== undefined) {
+    const transition = transitions.find(t => t.id === transitionId);
+    if (!transition) {
+      throw new Error(`Transition ${transitionId} is not currently available for this issue. Available transitions:\n${describeTransitions(transitions)}`);
+    }
+    return transition;
+  }
+
+  const wanted = toStatus.trim().toLowerCase();
+  const byStatus = transitions.filter(t => t.to?.name?.toLowerCase() === wanted);
+  const matches = byStatus.length > 0 ? byStatus : transitions.filter(t => t.name?.toLowerCase() === wanted);
+
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  if (matches.length > 1) {
+    throw new Error(`"${toStatus}" matches several transitions; pass transitionId to choose one:\n${describeTransitions(matches)}`);
+  }
+  throw new Error(`No available transition leads to "${toStatus}". Available transitions:\n${describeTransitions(transitions)}\nIf the status is reachable through intermediate statuses, list them in "via".`);
+}
+
+/**
+ * Describe the fields on a transition's screen
+ * @param {Object} transition - Transition fetched with expand=transitions.fields
+ * @returns {string[]} One line per screen field, required fields first
+ */
+export function describeTransitionFields(transition) {
+  return describeScreenFields(transition.fields);
+}
+
+/**
+ * Validate a transition payload against the transition's screen
+ * Comments are always accepted on transitions, so update.comment is not checked.
+ * @param {Object} transition - Transition fetched with expand=transitions.fields
+ * @param {Object} payload - Values to send with the transition
+ * @param {Object} [payload.fields] - Field values (e.g., { resolution: { name: "Fixed" } })
+ * @param {Object} [payload.update] - Field operations (e.g., { fixVersions: [{ add: { name: "1.0" } }] })
+ * @returns {string[]} Problems found; empty when the payload looks valid
+ */
+export function validateTransitionFields(transition, payload) {
+  if (!transition.fields) {
+    return []; // Jira did not describe the screen, so there is nothing to check against
+  }
+  return validateScreenFields(transition.fields, payload, {
+    screenName: `the "${transition.name}" transition screen`,
+    ignoreUpdates: ['comment']
+  });
+}
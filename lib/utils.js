@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import { resolve } from 'path';
+import { resolve, relative, isAbsolute, sep } from 'path';
 
 // Constants
 export const HTTP_STATUS = {
@@ -15,8 +15,20 @@ export const HTTP_STATUS = {
 
 export const REQUEST_TIMEOUT_MS = 30000; // 30 seconds
 export const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes for static data
+export const EDIT_META_CACHE_TTL_MS = 60 * 1000; // 1 minute for per-issue edit screens
 export const MAX_RETRIES = 3;
 export const RETRY_DELAY_BASE_MS = 1000; // Exponential backoff base delay
+export const MAX_RETRY_DELAY_MS = 30000; // Cap for a single backoff delay
+export const MAX_RETRY_AFTER_MS = 60000; // Longest Retry-After we are willing to wait
+export const SEARCH_PAGE_SIZE = 100; // Page size when walking all search results
+export const MAX_FETCH_ALL_RESULTS = 1000; // Default ceiling for fetchAll searches
+export const MAX_BULK_EDIT_ISSUES = 100; // Default ceiling for issues changed by one bulk edit
+export const BULK_EDIT_CONCURRENCY = 5; // Requests in flight at once during a bulk edit
+export const MAX_GRAPH_ISSUES = 200; // Default ceiling for issues in a dependency graph
+export const GRAPH_BATCH_SIZE = 50; // Issue keys per JQL search while walking links
+export const MAX_INLINE_ATTACHMENT_BYTES = 64 * 1024; // Largest text attachment returned inline
+export const DEFAULT_ATTACHMENT_DIR = 'jira-attachments'; // Download sandbox, relative to the working directory
+export const MAX_UPLOAD_ATTACHMENT_BYTES = 10 * 1024 * 1024; // Largest file accepted by jira-upload-attachment
 
 // Simple in-memory cache for static data
 const cache = new Map();
@@ -46,6 +58,26 @@ export async function getCached(key, fetchFn, ttl = CACHE_TTL_MS) {
   return data;
 }
 
+/**
+ * Map over items with at most `limit` calls in flight at once
+ * @param {any[]} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<any[]>} Results in the same order as items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 /**
  * Sleep utility for retry delays
  * @param {number} ms - Milliseconds to sleep
@@ -55,6 +87,25 @@ export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Match a name against a glob pattern
+ * Supports "*" (any sequence of characters) and "?" (any single character).
+ * @param {string} name - Name to test (e.g., "jira-delete-issue")
+ * @param {string} pattern - Glob pattern (e.g., "jira-get-*")
+ * @returns {boolean} True if the whole name matches the pattern
+ */
+export function matchesGlob(name, pattern) {
+  const regex = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${regex}$`).test(name);
+}
+
 // Validation schemas
 export const issueKeySchema = z.string().regex(
   /^[A-Z]+-\d+$/,
@@ -72,13 +123,33 @@ export const summarySchema = z.string().min(1, 'Summary cannot be empty').max(25
 
 export const maxResultsSchema = z.number().int().min(1).max(50, 'Maximum 50 results allowed');
 
+export const dryRunSchema = z.boolean().optional().default(false).describe('Preview the exact request (method, endpoint, body) and its effect on the current issue without changing anything (default: false)');
+
+/**
+ * Quote a value for use in JQL
+ * @param {string} value - Value such as a project key or sprint name
+ * @returns {string} Double-quoted value with backslashes and double quotes escaped
+ */
+export function quoteJql(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
 /**
  * Validates file path to prevent path traversal attacks
  * @param {string} filePath - Path to validate
  * @returns {boolean} True if path is safe
  */
 export function isValidFilePath(filePath) {
-  const resolved = resolve(filePath);
-  const cwd = resolve(process.cwd());
-  return resolved.startsWith(cwd);
+  return isWithinDirectory(filePath, process.cwd());
+}
+
+/**
+ * Check whether a path stays inside a directory once resolved
+ * @param {string} filePath - Path to check (relative paths resolve against the current directory)
+ * @param {string} directory - Directory the path must stay in
+ * @returns {boolean} True if the path is the directory itself or inside it
+ */
+export function isWithinDirectory(filePath, directory) {
+  const path = relative(resolve(directory), resolve(filePath));
+  return path === '' || (path !== '..' && !path.startsWith(`..${sep}`) && !isAbsolute(path));
 }
@@ -0,0 +1,206 @@
+import { z } from 'zod';
+import { issueKeySchema, projectKeySchema, quoteJql } from '../lib/utils.js';
+import { renderDate, renderDateTime } from '../lib/formatter.js';
+import { getIssue, getComments, searchIssues, getProjectSummary, summarizeIssue, SUMMARY_FIELDS } from '../lib/jira-api.js';
+
+const MAX_PROMPT_ISSUES = 50;
+const MAX_PROMPT_COMMENTS = 10;
+const MAX_TEXT_LENGTH = 2000;
+
+const TRIAGE_FIELDS = ['summary', 'description', 'status', 'priority', 'issuetype', 'components', 'labels', 'reporter', 'assignee', 'created', 'updated'];
+
+/**
+ * Truncate long free text (descriptions, comments) so prompts stay small
+ * @param {string} text - Text to shorten
+ * @returns {string} Text of at most MAX_TEXT_LENGTH characters
+ */
+function truncate(text) {
+  if (!text) {
+    return '(none)';
+  }
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}... [truncated]` : text;
+}
+
+/**
+ * Render search results as one line per issue
+ * @param {Object[]} issues - Issues from a search result
+ * @returns {string} Issue lines, or a placeholder when there are none
+ */
+function issueLines(issues) {
+  if (issues.length === 0) {
+    return '(no issues)';
+  }
+  return issues.map(issue => {
+    const summary = summarizeIssue(issue);
+    return `- ${summary.key} [${summary.type}] ${summary.summary} (Status: ${summary.status}, Priority: ${summary.priority}, Assignee: ${summary.assignee}, Updated: ${renderDate(summary.updated)})`;
+  }).join('\n');
+}
+
+/**
+ * Build a prompt result with a single user message
+ * @param {string} description - Prompt result description
+ * @param {string} text - Message text
+ * @returns {Object} MCP prompt result
+ */
+function userPrompt(description, text) {
+  return {
+    description,
+    messages: [{
+      role: 'user',
+      content: { type: 'text', text }
+    }]
+  };
+}
+
+/**
+ * Register prompts for common Jira workflows
+ * Each prompt pre-fetches the data it needs so the model starts with full context.
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ */
+export function registerJiraPrompts(mcpServer, jiraRequest, baseUrl, bearerToken) {
+  // Standup update
+  mcpServer.registerPrompt('standup', {
+    title: 'Prepare my standup',
+    description: 'Draft a standup update from your recently updated and open Jira issues',
+    argsSchema: {
+      project: projectKeySchema.optional().describe('Only include issues from this project (e.g., "DEV")'),
+      days: z.string().regex(/^\d+$/).optional().describe('Look back this many days for updated issues (default: 1)')
+    }
+  }, async ({ project, days = '1' }) => {
+    let jql = `assignee = currentUser() AND (updated >= -${days}d OR resolution = Unresolved)`;
+    if (project) {
+      jql += ` AND project = ${quoteJql(project)}`;
+    }
+    jql += ' ORDER BY updated DESC';
+
+    const data = await searchIssues(jiraRequest, baseUrl, bearerToken, { jql, maxResults: MAX_PROMPT_ISSUES, fields: SUMMARY_FIELDS });
+
+    return userPrompt('Standup update', [
+      `Prepare my standup update. Below are my Jira issues that are still open or were updated in the last ${days} day(s).`,
+      '',
+      'Write three short sections:',
+      '1. Yesterday - what moved forward (issues updated recently, especially status changes or resolutions)',
+      '2. Today - what I will most likely work on next (open issues in progress first, then highest priority)',
+      '3. Blockers - anything that looks stuck or blocked; say "None" if nothing stands out',
+      '',
+      'Reference issues by key. Keep it brief enough to read aloud in under a minute.',
+      '',
+      `My issues (${data.issues.length} of ${data.total}):`,
+      issueLines(data.issues)
+    ].join('\n'));
+  });
+
+  // Issue triage
+  mcpServer.registerPrompt('triage-issue', {
+    title: 'Triage an issue',
+    description: 'Summarize an issue and its comments and suggest priority, component and next steps',
+    argsSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")')
+    }
+  }, async ({ issueKey }) => {
+    const [issue, comments] = await Promise.all([
+      getIssue(jiraRequest, baseUrl, bearerToken, issueKey, TRIAGE_FIELDS),
+      getComments(jiraRequest, baseUrl, bearerToken, issueKey)
+    ]);
+    const fields = issue.fields || {};
+    const recentComments = (comments.comments || []).slice(-MAX_PROMPT_COMMENTS);
+
+    return userPrompt(`Triage ${issue.key}`, [
+      `Triage Jira issue ${issue.key}.`,
+      '',
+      'Please:',
+      '1. Summarize the problem and the discussion so far in a few sentences',
+      '2. Suggest a priority and component, explaining why if they differ from the current values',
+      '3. List any information missing for someone to start work (reproduction steps, versions, acceptance criteria)',
+      '4. Recommend the next step and who should take it',
+      '',
+      `Key: ${issue.key}`,
+      `Summary: ${fields.summary}`,
+      `Type: ${fields.issuetype?.name || 'N/A'}`,
+      `Status: ${fields.status?.name || 'N/A'}`,
+      `Priority: ${fields.priority?.name || 'N/A'}`,
+      `Components: ${(fields.components || []).map(c => c.name).join(', ') || 'None'}`,
+      `Labels: ${(fields.labels || []).join(', ') || 'None'}`,
+      `Reporter: ${fields.reporter?.displayName || 'N/A'}`,
+      `Assignee: ${fields.assignee?.displayName || 'Unassigned'}`,
+      `Created: ${renderDate(fields.created)}`,
+      '',
+      'Description:',
+      truncate(fields.description),
+      '',
+      `Comments (last ${recentComments.length} of ${comments.total ?? recentComments.length}):`,
+      recentComments.length > 0
+        ? recentComments.map(c => `--- ${c.author?.displayName || 'Unknown'} (${renderDateTime(c.created)}):\n${truncate(c.body)}`).join('\n\n')
+        : '(no comments)'
+    ].join('\n'));
+  });
+
+  // Bug report
+  mcpServer.registerPrompt('write-bug-report', {
+    title: 'Write a bug report',
+    description: 'Turn a rough problem description into a well-structured Jira bug for a project',
+    argsSchema: {
+      projectKey: projectKeySchema.describe('Project to file the bug in (e.g., "DEV")'),
+      problem: z.string().describe('What went wrong, in your own words')
+    }
+  }, async ({ projectKey, problem }) => {
+    const project = await getProjectSummary(jiraRequest, baseUrl, bearerToken, projectKey);
+
+    return userPrompt(`Bug report for ${project.key}`, [
+      `Write a bug report for the ${project.name} (${project.key}) Jira project from this description:`,
+      '',
+      problem,
+      '',
+      'Use this structure:',
+      '- Summary: one line, specific, under 100 characters',
+      '- Steps to Reproduce: numbered',
+      '- Expected Result',
+      '- Actual Result',
+      '- Environment: versions, browser, OS, if known',
+      '- Suggested component and priority',
+      '',
+      'Ask me for anything essential that is missing instead of inventing it.',
+      'When I approve the report, create it with jira-create-issue (issue type "Bug"), previewing it with dryRun first.',
+      '',
+      `Issue types: ${(project.issueTypes || []).join(', ') || 'N/A'}`,
+      `Components: ${(project.components || []).join('; ') || 'None'}`
+    ].join('\n'));
+  });
+
+  // Sprint summary
+  mcpServer.registerPrompt('sprint-summary', {
+    title: 'Summarize a sprint',
+    description: 'Summarize progress, risks and workload for the open sprint (or a named sprint) in a project',
+    argsSchema: {
+      project: projectKeySchema.describe('Project key (e.g., "DEV")'),
+      sprint: z.string().min(1).optional().describe('Sprint name (default: the project\'s open sprints)')
+    }
+  }, async ({ project, sprint }) => {
+    const sprintClause = sprint ? `sprint = ${quoteJql(sprint)}` : 'sprint in openSprints()';
+    const jql = `project = ${quoteJql(project)} AND ${sprintClause} ORDER BY status ASC, priority DESC`;
+    const data = await searchIssues(jiraRequest, baseUrl, bearerToken, { jql, maxResults: MAX_PROMPT_ISSUES * 2, fields: SUMMARY_FIELDS });
+
+    const byStatus = {};
+    for (const issue of data.issues) {
+      const status = summarizeIssue(issue).status;
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    }
+    const statusCounts = Object.entries(byStatus).map(([status, count]) => `${status}: ${count}`).join(', ');
+
+    return userPrompt(`Sprint summary for ${project}`, [
+      `Summarize ${sprint ? `sprint "${sprint}"` : 'the open sprint'} for project ${project}.`,
+      '',
+      'Cover:',
+      '1. Overall progress (done vs. remaining)',
+      '2. Risks: high-priority issues not started, issues that look stuck',
+      '3. Workload per assignee',
+      '4. Anything that should be raised at the sprint review',
+      '',
+      `Issues (${data.issues.length} of ${data.total}): ${statusCounts || 'none'}`,
+      issueLines(data.issues)
+    ].join('\n'));
+  });
+}
@@ -0,0 +1,125 @@
+import { z } from 'zod';
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { issueKeySchema, projectKeySchema } from '../lib/utils.js';
+import { getIssue, searchIssues, getProjectSummary, getFilter, summarizeIssue, SUMMARY_FIELDS } from '../lib/jira-api.js';
+
+// JQL behind the issue template's resource list
+export const MY_OPEN_ISSUES_JQL = 'assignee = currentUser() AND resolution = Unresolved ORDER BY updated DESC';
+
+const MAX_LISTED_ISSUES = 50;
+const MAX_FILTER_ISSUES = 50;
+
+const filterIdSchema = z.string().regex(/^\d+$/, 'Invalid filter ID. Must be numeric (e.g., 10200)');
+
+/**
+ * Decode a URI template variable and check it before it goes into an endpoint
+ * @param {ZodType} schema - Schema the decoded value must match
+ * @param {string} value - Raw value from the resource URI
+ * @returns {string} Decoded value
+ * @throws {Error} When the value does not match the schema
+ */
+function parseUriParam(schema, value) {
+  const result = schema.safeParse(decodeURIComponent(value));
+  if (!result.success) {
+    throw new Error(result.error.issues[0].message);
+  }
+  return result.data;
+}
+
+/**
+ * Build a JSON resource result
+ * @param {URL} uri - Resource URI that was read
+ * @param {any} data - Data to serialize
+ * @returns {Object} MCP resource read result
+ */
+function jsonContents(uri, data) {
+  return {
+    contents: [{
+      uri: uri.href,
+      mimeType: 'application/json',
+      text: JSON.stringify(data, null, 2)
+    }]
+  };
+}
+
+/**
+ * Register Jira resource templates (issues, projects, filters)
+ * URIs are jira://issue/{key}, jira://project/{key} and jira://filter/{id}; profiles
+ * other than the default are addressed as jira://{profile}/issue/{key} and so on.
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} [options] - Resource options
+ * @param {string} [options.profileName] - Profile to put in URIs and resource names (omit for the default profile)
+ */
+export function registerJiraResources(mcpServer, jiraRequest, baseUrl, bearerToken, options = {}) {
+  const { profileName } = options;
+  const uriBase = profileName ? `jira://${profileName}/` : 'jira://';
+  const namePrefix = profileName ? `${profileName}-` : '';
+  const titleSuffix = profileName ? ` (${profileName})` : '';
+
+  // Issue, listing the current user's open issues
+  mcpServer.registerResource(`${namePrefix}issue`, new ResourceTemplate(`${uriBase}issue/{key}`, {
+    list: async () => {
+      const data = await searchIssues(jiraRequest, baseUrl, bearerToken, {
+        jql: MY_OPEN_ISSUES_JQL,
+        maxResults: MAX_LISTED_ISSUES,
+        fields: SUMMARY_FIELDS
+      });
+      return {
+        resources: data.issues.map(issue => {
+          const summary = summarizeIssue(issue);
+          return {
+            uri: `${uriBase}issue/${issue.key}`,
+            name: issue.key,
+            title: `${issue.key}: ${summary.summary}`,
+            description: `${summary.type} | Status: ${summary.status} | Priority: ${summary.priority}`,
+            mimeType: 'application/json'
+          };
+        })
+      };
+    }
+  }), {
+    title: `Jira issue${titleSuffix}`,
+    description: 'A Jira issue with all fields. Listing returns your open issues.',
+    mimeType: 'application/json'
+  }, async (uri, { key }) => {
+    const data = await getIssue(jiraRequest, baseUrl, bearerToken, parseUriParam(issueKeySchema, key));
+    return jsonContents(uri, data);
+  });
+
+  // Project
+  mcpServer.registerResource(`${namePrefix}project`, new ResourceTemplate(`${uriBase}project/{key}`, { list: undefined }), {
+    title: `Jira project${titleSuffix}`,
+    description: 'Jira project details: lead, components and issue types',
+    mimeType: 'application/json'
+  }, async (uri, { key }) => {
+    const summary = await getProjectSummary(jiraRequest, baseUrl, bearerToken, parseUriParam(projectKeySchema, key));
+    return jsonContents(uri, summary);
+  });
+
+  // Saved filter with its first page of matching issues
+  mcpServer.registerResource(`${namePrefix}filter`, new ResourceTemplate(`${uriBase}filter/{id}`, { list: undefined }), {
+    title: `Jira filter${titleSuffix}`,
+    description: `A saved Jira filter with its JQL and up to ${MAX_FILTER_ISSUES} matching issues`,
+    mimeType: 'application/json'
+  }, async (uri, { id }) => {
+    const filter = await getFilter(jiraRequest, baseUrl, bearerToken, parseUriParam(filterIdSchema, id));
+    const data = await searchIssues(jiraRequest, baseUrl, bearerToken, {
+      jql: filter.jql,
+      maxResults: MAX_FILTER_ISSUES,
+      fields: SUMMARY_FIELDS
+    });
+    return jsonContents(uri, {
+      id: filter.id,
+      name: filter.name,
+      description: filter.description,
+      owner: filter.owner?.displayName || filter.owner?.name,
+      jql: filter.jql,
+      total: data.total,
+      truncated: data.total > data.issues.length,
+      issues: data.issues.map(summarizeIssue)
+    });
+  });
+}
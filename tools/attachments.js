@@ -0,0 +1,333 @@
+import { z } from 'zod';
+import { readFile, open, mkdir, stat, realpath } from 'fs/promises';
+import { constants } from 'fs';
+import { basename, dirname, resolve } from 'path';
+import { issueKeySchema, dryRunSchema, isValidFilePath, isWithinDirectory, MAX_INLINE_ATTACHMENT_BYTES, MAX_UPLOAD_ATTACHMENT_BYTES, DEFAULT_ATTACHMENT_DIR } from '../lib/utils.js';
+import { dryRunResponse, consumeConfirmationToken } from '../lib/dry-run.js';
+import { getIssue, getAttachment } from '../lib/jira-api.js';
+import { uploadAttachments, downloadAttachment, checkAttachmentSize, isTextMimeType } from '../lib/attachments.js';
+import { formatSchema, formatRecords, renderSize, renderUser, VIEWS } from '../lib/formatter.js';
+
+const attachmentIdSchema = z.string().regex(/^\d+$/, 'Attachment ID must be numeric');
+const uploadPathSchema = z.string().refine(isValidFilePath, {
+  message: 'File path must be within the current working directory to prevent path traversal attacks'
+});
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Check every file of an upload before anything is read or sent
+ * Files on disk are measured with stat, so an oversized file is refused without reading it.
+ * @param {string[]} filePaths - Paths of files on disk
+ * @param {Object[]} files - Inline files ({fileName, content, encoding})
+ * @param {number} maxUploadBytes - Largest size allowed per file
+ * @returns {Promise<Array<{fileName: string, size: number, read: Function}>>} Uploads; read() resolves to the content
+ * @throws {Error} Listing every problem found, or when no file was given
+ */
+async function collectUploads(filePaths, files, maxUploadBytes) {
+  if (filePaths.length === 0 && files.length === 0) {
+    throw new Error('Give at least one file: filePath, filePaths or files');
+  }
+
+  const uploads = [];
+  const problems = [];
+  const checkSize = (fileName, size) => {
+    if (size > maxUploadBytes) {
+      problems.push(`${fileName} is ${renderSize(size)}, more than the ${renderSize(maxUploadBytes)} upload limit`);
+    }
+  };
+
+  for (const filePath of filePaths) {
+    const fileStat = await stat(filePath).catch(() => null);
+    if (!fileStat?.isFile()) {
+      problems.push(`${filePath} is not a readable file`);
+      continue;
+    }
+    checkSize(filePath, fileStat.size);
+    uploads.push({ fileName: basename(filePath), size: fileStat.size, read: () => readFile(filePath) });
+  }
+
+  for (const { fileName, content, encoding } of files) {
+    const compact = encoding === 'base64' ? content.replace(/\s/g, '') : content;
+    if (encoding === 'base64' && (compact.length % 4 !== 0 || !BASE64_PATTERN.test(compact))) {
+      problems.push(`Content of ${fileName} is not valid base64`);
+      continue;
+    }
+    const buffer = Buffer.from(compact, encoding === 'base64' ? 'base64' : 'utf8');
+    checkSize(fileName, buffer.length);
+    uploads.push({ fileName, size: buffer.length, read: async () => buffer });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Nothing uploaded. Fix these files:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return uploads;
+}
+
+/**
+ * Create the directories for a download target without leaving the download directory
+ * Symbolic links are resolved before anything is created, so a link inside the
+ * directory cannot redirect the file elsewhere.
+ * @param {string} target - Absolute path of the file to write
+ * @param {string} downloadDir - Absolute download directory
+ * @throws {Error} When the target's directory resolves outside the download directory
+ */
+async function prepareDownloadTarget(target, downloadDir) {
+  const outside = () => new Error(`File name must point inside the download directory ${downloadDir}`);
+  if (!isWithinDirectory(target, downloadDir) || target === downloadDir) {
+    throw outside();
+  }
+
+  await mkdir(downloadDir, { recursive: true });
+  const realDownloadDir = await realpath(downloadDir);
+  const parent = dirname(target);
+
+  let existing = parent;
+  while (!(await stat(existing).then(() => true, () => false))) {
+    existing = dirname(existing);
+  }
+  if (!isWithinDirectory(await realpath(existing), realDownloadDir)) {
+    throw outside();
+  }
+  await mkdir(parent, { recursive: true });
+  if (!isWithinDirectory(await realpath(parent), realDownloadDir)) {
+    throw outside();
+  }
+}
+
+/**
+ * Write a downloaded file without following a symbolic link at the target
+ * @param {string} target - Absolute path of the file to write
+ * @param {Buffer} content - File content
+ * @param {boolean} overwrite - Replace an existing regular file
+ * @throws {Error} When the file exists (without overwrite) or is a symbolic link
+ */
+async function writeDownload(target, content, overwrite) {
+  const flags = constants.O_WRONLY | constants.O_CREAT | constants.O_NOFOLLOW | (overwrite ? constants.O_TRUNC : constants.O_EXCL);
+  let handle;
+  try {
+    handle = await open(target, flags, 0o644);
+    await handle.writeFile(content);
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`${target} already exists; pass overwrite: true or another fileName`);
+    }
+    if (error.code === 'ELOOP') {
+      throw new Error(`${target} is a symbolic link; refusing to write through it`);
+    }
+    throw error;
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Register all attachment-related tools
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} [options] - Tool options from loadConfig()
+ * @param {Object} [options.attachments] - Attachment settings (downloadDir, maxInlineBytes, maxUploadBytes; the last also caps downloads)
+ * @param {Object} [options.safety] - Safety settings (requireDeleteConfirmation)
+ */
+export function registerAttachmentTools(mcpServer, jiraRequest, baseUrl, bearerToken, options = {}) {
+  const downloadDir = resolve(options.attachments?.downloadDir ?? DEFAULT_ATTACHMENT_DIR);
+  const maxInlineBytes = options.attachments?.maxInlineBytes ?? MAX_INLINE_ATTACHMENT_BYTES;
+  const maxUploadBytes = options.attachments?.maxUploadBytes ?? MAX_UPLOAD_ATTACHMENT_BYTES;
+
+  // List attachments
+  mcpServer.registerTool('jira-get-attachments', {
+    description: 'List the attachments of an issue with their IDs, sizes, types, authors and dates',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      format: formatSchema('concise')
+    }
+  }, async ({ issueKey, format }) => {
+    try {
+      const issue = await getIssue(jiraRequest, baseUrl, bearerToken, issueKey, ['attachment']);
+      const attachments = issue.fields.attachment || [];
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(attachments, format, VIEWS.attachment, {
+            summary: `Attachments of ${issueKey}: ${attachments.length}`,
+            raw: attachments
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Download attachment
+  // Writes local files (inside the configured download directory only), so it is not read-only
+  mcpServer.registerTool('jira-download-attachment', {
+    description: `Download an attachment by ID (see jira-get-attachments). Small text attachments (up to ${renderSize(maxInlineBytes)}) can be returned inline; other files are saved into the download directory ${downloadDir}. Attachments over ${renderSize(maxUploadBytes)} are refused.`,
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      attachmentId: attachmentIdSchema.describe('Attachment ID (e.g., "10001")'),
+      output: z.enum(['auto', 'inline', 'file']).optional().default('auto').describe('"inline" returns the text content, "file" saves into the download directory, "auto" inlines small text attachments and saves the rest (default: "auto")'),
+      fileName: z.string().min(1).optional().describe('File name inside the download directory (default: the attachment\'s name); subdirectories are allowed, paths leaving the directory are refused'),
+      overwrite: z.boolean().optional().default(false).describe('Replace an existing file of the same name (default: false)')
+    }
+  }, async ({ attachmentId, output, fileName, overwrite }) => {
+    try {
+      const attachment = await getAttachment(jiraRequest, baseUrl, bearerToken, attachmentId);
+      checkAttachmentSize(attachment, maxUploadBytes);
+      const isText = isTextMimeType(attachment.mimeType);
+      const fitsInline = isText && attachment.size <= maxInlineBytes;
+      const description = `${attachment.filename} (${renderSize(attachment.size)}, ${attachment.mimeType})`;
+
+      if (output === 'inline' && !fitsInline) {
+        const reason = isText ? `it is larger than the ${renderSize(maxInlineBytes)} inline limit` : `${attachment.mimeType} is not a text type`;
+        throw new Error(`${description} cannot be returned inline: ${reason}. Use output: "file" instead.`);
+      }
+
+      if (output === 'inline' || (output === 'auto' && fitsInline)) {
+        const content = await downloadAttachment(jiraRequest, baseUrl, bearerToken, attachment, maxUploadBytes);
+        return {
+          content: [{
+            type: 'text',
+            text: `${description}:\n\n${content.toString('utf8')}`
+          }]
+        };
+      }
+
+      const target = resolve(downloadDir, fileName ?? basename(attachment.filename));
+      await prepareDownloadTarget(target, downloadDir);
+      const content = await downloadAttachment(jiraRequest, baseUrl, bearerToken, attachment, maxUploadBytes);
+      await writeDownload(target, content, overwrite);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Saved ${description} to ${target}`
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Upload attachments
+  mcpServer.registerTool('jira-upload-attachment', {
+    description: `Upload one or more attachments to a Jira issue in a single request: files from disk (filePath/filePaths, within the current directory) and/or inline content given as text or base64. Each file may be at most ${renderSize(maxUploadBytes)}.`,
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      filePath: uploadPathSchema.optional().describe('File path to upload (must be within current directory)'),
+      filePaths: z.array(uploadPathSchema).optional().describe('Several file paths to upload (each within current directory)'),
+      files: z.array(z.object({
+        fileName: z.string().min(1).refine(name => !/[\\/]/.test(name), {
+          message: 'File name must not contain path separators'
+        }).describe('Attachment file name (e.g., "report.csv")'),
+        content: z.string().describe('File content'),
+        encoding: z.enum(['text', 'base64']).optional().default('text').describe('How content is encoded: "text" (UTF-8) or "base64" for binary files (default: "text")')
+      })).optional().describe('Inline files to upload'),
+      format: formatSchema('concise'),
+      dryRun: dryRunSchema
+    }
+  }, async ({ issueKey, filePath, filePaths = [], files = [], format, dryRun }) => {
+    try {
+      const uploads = await collectUploads([...(filePath ? [filePath] : []), ...filePaths], files, maxUploadBytes);
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/attachments`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint,
+          body: `multipart/form-data: ${uploads.map(upload => `file "${upload.fileName}" (${upload.size} bytes)`).join(', ')}`,
+          issueKey
+        });
+      }
+
+      const contents = [];
+      for (const upload of uploads) {
+        contents.push({ fileName: upload.fileName, content: await upload.read() });
+      }
+      const data = await uploadAttachments(jiraRequest, baseUrl, bearerToken, issueKey, contents);
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(data, format, VIEWS.attachment, {
+            summary: `Uploaded ${data.length} attachment(s) to ${issueKey}`,
+            raw: data
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Delete attachment
+  mcpServer.registerTool('jira-delete-attachment', {
+    description: 'Delete an attachment by ID (see jira-get-attachments). Run with dryRun first to preview; if the server requires delete confirmation, pass the confirmationToken returned by the dry run.',
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      attachmentId: attachmentIdSchema.describe('Attachment ID (e.g., "10001")'),
+      dryRun: dryRunSchema,
+      confirmationToken: z.string().optional().describe('Token returned by a prior dry run (required when delete confirmation is enabled)')
+    }
+  }, async ({ attachmentId, dryRun, confirmationToken }) => {
+    try {
+      const endpoint = `/rest/api/2/attachment/${attachmentId}`;
+
+      if (dryRun) {
+        const attachment = await getAttachment(jiraRequest, baseUrl, bearerToken, attachmentId);
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'DELETE',
+          endpoint,
+          notes: [`Permanently deletes ${attachment.filename} (${renderSize(attachment.size)}), attached by ${renderUser(attachment.author)}`],
+          confirmable: true
+        });
+      }
+
+      if (options.safety?.requireDeleteConfirmation && !consumeConfirmationToken(confirmationToken, baseUrl, 'DELETE', endpoint)) {
+        throw new Error('Deletion requires confirmation. Call jira-delete-attachment with dryRun: true first, then pass the returned confirmationToken.');
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
+        method: 'DELETE'
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Attachment ${attachmentId} deleted successfully`
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+}
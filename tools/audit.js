@@ -0,0 +1,52 @@
+import { z } from 'zod';
+import { readAuditEntries, isAuditLogEnabled } from '../lib/audit-log.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
+
+/**
+ * Register audit log tools
+ * Entries are written by the client layer (lib/jira-client.js) for every POST, PUT and DELETE.
+ * @param {McpServer} mcpServer - MCP server instance
+ */
+export function registerAuditTools(mcpServer) {
+  // Query audit log
+  mcpServer.registerTool('jira-audit-log', {
+    description: 'Show recent changes this server made in Jira (every POST/PUT/DELETE), newest first. Useful for reviewing what an agent session did.',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      limit: z.number().int().min(1).max(500).optional().default(20).describe('Maximum number of entries to return (default: 20, max: 500)'),
+      tool: z.string().optional().describe('Only entries from this tool (e.g., "jira-update-issue")'),
+      issueKey: z.string().optional().describe('Only entries affecting this issue (e.g., "DEV-123")'),
+      sessionId: z.string().optional().describe('Only entries from this MCP session (HTTP transport)'),
+      since: z.string().datetime({ offset: true }).optional().describe('Only entries at or after this ISO 8601 timestamp (e.g., "2025-10-08T14:30:00Z")'),
+      format: formatSchema('concise')
+    }
+  }, async ({ limit, tool, issueKey, sessionId, since, format }) => {
+    try {
+      if (!isAuditLogEnabled()) {
+        return {
+          content: [{
+            type: 'text',
+            text: 'Audit logging is disabled. Set "auditLog.path" in config.json or JIRA_AUDIT_LOG to enable it.'
+          }]
+        };
+      }
+
+      const entries = await readAuditEntries({ limit, tool, issueKey, sessionId, since });
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(entries, format, VIEWS.auditEntry, { summary: `Returned: ${entries.length}` })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+}
@@ -0,0 +1,374 @@
+import { z } from 'zod';
+import { projectKeySchema, summarySchema, jqlSchema, dryRunSchema, mapWithConcurrency, MAX_BULK_EDIT_ISSUES, BULK_EDIT_CONCURRENCY } from '../lib/utils.js';
+import { dryRunResponse, consumeConfirmationToken } from '../lib/dry-run.js';
+import { resolveFields } from '../lib/fields.js';
+import { searchAllIssues } from '../lib/jira-api.js';
+import { resolveTransition } from '../lib/transitions.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
+
+const MAX_BULK_CREATE = 50; // Jira's default jira.bulk.create.max.issues.per.request
+
+/**
+ * Render the errors Jira reported for one element of a bulk request
+ * @param {Object} error - Entry from the bulk response's errors array
+ * @returns {string} Error messages and field errors on one line
+ */
+function describeBulkError(error) {
+  const messages = [
+    ...(error.elementErrors?.errorMessages || []),
+    ...Object.entries(error.elementErrors?.errors || {}).map(([field, message]) => `${field}: ${message}`)
+  ];
+  return messages.join('; ') || `Jira returned status ${error.status}`;
+}
+
+/**
+ * Group batch items into waves so every item is created after the batch item it references as parent
+ * @param {Object[]} items - Issue specs; a numeric parent is the index of an earlier item
+ * @returns {number[][]} Item indexes per wave
+ */
+function planWaves(items) {
+  const depths = [];
+  const waves = [];
+  items.forEach((item, index) => {
+    depths[index] = typeof item.parent === 'number' ? depths[item.parent] + 1 : 0;
+    (waves[depths[index]] ||= []).push(index);
+  });
+  return waves;
+}
+
+/**
+ * Register tools that create or change many issues at once
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} [options] - Tool options from loadConfig()
+ * @param {Object} [options.bulk] - Bulk edit settings (maxIssues, concurrency)
+ */
+export function registerBulkTools(mcpServer, jiraRequest, baseUrl, bearerToken, options = {}) {
+  const maxIssues = options.bulk?.maxIssues ?? MAX_BULK_EDIT_ISSUES;
+  const concurrency = options.bulk?.concurrency ?? BULK_EDIT_CONCURRENCY;
+
+  // Create issues in bulk
+  mcpServer.registerTool('jira-create-issues-bulk', {
+    description: `Create up to ${MAX_BULK_CREATE} issues in one call. Sub-tasks can reference an earlier item in the same batch as their parent; parents are created first. Reports success or field errors per item and returns the created keys in input order.`,
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      projectKey: projectKeySchema.optional().describe('Default project key for items that do not set their own (e.g., "DEV")'),
+      issues: z.array(z.object({
+        projectKey: projectKeySchema.optional().describe('Project key (default: the batch projectKey)'),
+        issueType: z.string().min(1).describe('Issue type name (e.g., "Story", "Sub-task")'),
+        summary: summarySchema.describe('Issue summary/title (max 255 characters)'),
+        description: z.string().optional().describe('Issue description'),
+        fields: z.record(z.any()).optional().describe('Additional fields keyed by field ID or display name (see jira-create-issue)'),
+        parent: z.union([z.string(), z.number().int().min(0)]).optional().describe('Parent for sub-tasks: an existing issue key (e.g., "DEV-10") or the 0-based index of an earlier item in this batch')
+      })).min(1).max(MAX_BULK_CREATE).describe(`Issues to create, in order (max ${MAX_BULK_CREATE})`),
+      dryRun: dryRunSchema
+    }
+  }, async ({ projectKey, issues, dryRun }) => {
+    try {
+      issues.forEach((item, index) => {
+        if (!item.projectKey && !projectKey) {
+          throw new Error(`Item [${index}] has no projectKey and no batch projectKey was given`);
+        }
+        if (typeof item.parent === 'number' && item.parent >= index) {
+          throw new Error(`Item [${index}] references parent [${item.parent}]; a parent must be an earlier item in the batch`);
+        }
+      });
+
+      // Resolve field names up front; an item whose fields cannot be resolved fails on its own
+      const results = [];
+      const payloads = await Promise.all(issues.map(async (item, index) => {
+        try {
+          const { fields, resolved } = await resolveFields(jiraRequest, baseUrl, bearerToken, item.fields);
+          const payload = {
+            fields: {
+              project: { key: item.projectKey || projectKey },
+              issuetype: { name: item.issueType },
+              summary: item.summary
+            }
+          };
+          if (item.description) {
+            payload.fields.description = item.description;
+          }
+          Object.assign(payload.fields, fields);
+          if (typeof item.parent === 'string') {
+            payload.fields.parent = { key: item.parent };
+          }
+          return { payload, resolved };
+        } catch (error) {
+          results[index] = { error: error.message };
+          return null;
+        }
+      }));
+
+      const waves = planWaves(issues);
+
+      if (dryRun) {
+        const issueUpdates = payloads.map((entry, index) => {
+          const parent = issues[index].parent;
+          if (!entry || typeof parent !== 'number') {
+            return entry?.payload ?? null;
+          }
+          return { fields: { ...entry.payload.fields, parent: { key: `<key of item [${parent}]>` } } };
+        });
+        const notes = [`Creates ${issues.length} issue(s) in ${waves.length} request(s)`];
+        if (waves.length > 1) {
+          notes.push(...waves.map((wave, n) => `Request ${n + 1}: items ${wave.map(index => `[${index}]`).join(', ')}`));
+        }
+        payloads.forEach((entry, index) => {
+          notes.push(...(entry?.resolved || []).map(line => `[${index}] ${line}`));
+          if (results[index]?.error) {
+            notes.push(`[${index}] Would fail: ${results[index].error}`);
+          }
+        });
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint: '/rest/api/2/issue/bulk',
+          body: { issueUpdates },
+          notes
+        });
+      }
+
+      for (const wave of waves) {
+        const batch = [];
+        for (const index of wave) {
+          const parent = issues[index].parent;
+          if (results[index]) {
+            continue;
+          }
+          if (typeof parent === 'number') {
+            if (!results[parent]?.key) {
+              results[index] = { error: `Skipped: parent item [${parent}] was not created` };
+              continue;
+            }
+            payloads[index].payload.fields.parent = { key: results[parent].key };
+          }
+          batch.push(index);
+        }
+        if (batch.length === 0) {
+          continue;
+        }
+
+        let data;
+        try {
+          data = await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issue/bulk', {
+            method: 'POST',
+            body: JSON.stringify({ issueUpdates: batch.map(index => payloads[index].payload) })
+          });
+        } catch (error) {
+          if (!Array.isArray(error.body?.errors)) {
+            batch.forEach(index => { results[index] = { error: error.message }; });
+            continue;
+          }
+          data = error.body; // Some items failed; Jira still created the others
+        }
+
+        // Created issues come back in request order, skipping the failed elements
+        const failures = new Map((data.errors || []).map(error => [error.failedElementNumber, error]));
+        const created = [...(data.issues || [])];
+        batch.forEach((index, element) => {
+          results[index] = failures.has(element)
+            ? { error: describeBulkError(failures.get(element)) }
+            : { key: created.shift()?.key };
+        });
+      }
+
+      const createdKeys = results.filter(result => result.key).map(result => result.key);
+      const lines = issues.map((item, index) => {
+        const result = results[index];
+        if (result.key) {
+          const parent = typeof item.parent === 'number' ? results[item.parent].key : item.parent;
+          return `[${index}] ${result.key} - ${item.summary}${parent ? ` (parent: ${parent})` : ''}`;
+        }
+        return `[${index}] FAILED - ${item.summary}: ${result.error}`;
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: [
+            `Created ${createdKeys.length} of ${issues.length} issues${createdKeys.length > 0 ? `: ${createdKeys.join(', ')}` : ''}`,
+            '',
+            ...lines
+          ].join('\n')
+        }],
+        isError: createdKeys.length === 0
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Apply one change to every issue matched by JQL
+  mcpServer.registerTool('jira-bulk-edit', {
+    description: `Apply one change to every issue matched by a JQL query: set fields, add or remove labels, assign, transition and/or comment. Previews the matching issues by default and returns a confirmationToken; run again with dryRun: false and that token to apply. The token only applies the previewed change to the previewed issues. Refuses queries matching more than ${maxIssues} issues.`,
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      jql: jqlSchema.describe('JQL query selecting the issues to change (e.g., "project = DEV AND sprint in openSprints()")'),
+      fields: z.record(z.any()).optional().describe('Fields to set, keyed by field ID or display name (see jira-update-issue)'),
+      addLabels: z.array(z.string().min(1)).optional().describe('Labels to add'),
+      removeLabels: z.array(z.string().min(1)).optional().describe('Labels to remove'),
+      assignee: z.string().optional().describe('Username to assign ("-1" to unassign)'),
+      toStatus: z.string().min(1).optional().describe('Transition each issue to this status (or transition name); issues already in it are left alone'),
+      comment: z.string().min(1).optional().describe('Comment to add to each issue'),
+      format: formatSchema('table'),
+      dryRun: z.boolean().optional().default(true).describe('List the matching issues and the change without applying it (default: true)'),
+      confirmationToken: z.string().optional().describe('Token returned by the preview (required with dryRun: false)')
+    }
+  }, async ({ jql, fields, addLabels = [], removeLabels = [], assignee, toStatus, comment, format, dryRun, confirmationToken }, extra) => {
+    try {
+      if (!fields && addLabels.length === 0 && removeLabels.length === 0 && assignee === undefined && !toStatus && !comment) {
+        throw new Error('Nothing to change: pass fields, addLabels, removeLabels, assignee, toStatus or comment');
+      }
+
+      const { fields: resolvedFields, resolved } = await resolveFields(jiraRequest, baseUrl, bearerToken, fields);
+      const labels = [...addLabels.map(label => ({ add: label })), ...removeLabels.map(label => ({ remove: label }))];
+      const editBody = {};
+      if (Object.keys(resolvedFields).length > 0) {
+        editBody.fields = resolvedFields;
+      }
+      if (labels.length > 0) {
+        editBody.update = { labels };
+      }
+
+      const operation = [
+        ...resolved,
+        ...Object.entries(resolvedFields).map(([id, value]) => `Set ${id} = ${JSON.stringify(value)}`),
+        ...(addLabels.length > 0 ? [`Add labels: ${addLabels.join(', ')}`] : []),
+        ...(removeLabels.length > 0 ? [`Remove labels: ${removeLabels.join(', ')}`] : []),
+        ...(assignee !== undefined ? [assignee === '-1' ? 'Unassign' : `Assign to ${assignee}`] : []),
+        ...(toStatus ? [`Transition to "${toStatus}"`] : []),
+        ...(comment ? [`Add comment: ${JSON.stringify(comment.length > 100 ? `${comment.slice(0, 100)}...` : comment)}`] : [])
+      ];
+
+      const { issues, total } = await searchAllIssues(jiraRequest, baseUrl, bearerToken, {
+        jql,
+        budget: maxIssues,
+        fields: VIEWS.issue.fields
+      });
+
+      if (total > maxIssues) {
+        throw new Error(`JQL matches ${total} issues, more than the bulk edit limit of ${maxIssues}. Narrow the query or raise bulk.maxIssues.`);
+      }
+      if (issues.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: 'JQL matches no issues; nothing to change'
+          }]
+        };
+      }
+
+      // Requests sent for each issue, in order
+      const steps = [
+        ...(editBody.fields || editBody.update ? [{ method: 'PUT', endpoint: '/rest/api/2/issue/{issueKey}', body: editBody }] : []),
+        ...(assignee !== undefined ? [{ method: 'PUT', endpoint: '/rest/api/2/issue/{issueKey}/assignee' }] : []),
+        ...(toStatus ? [{ method: 'POST', endpoint: '/rest/api/2/issue/{issueKey}/transitions' }] : []),
+        ...(comment ? [{ method: 'POST', endpoint: '/rest/api/2/issue/{issueKey}/comment' }] : [])
+      ];
+      // The confirmation token is bound to the matched issues and the change, not to the JQL
+      const confirmationScope = JSON.stringify({
+        issues: issues.map(issue => issue.key).sort(),
+        change: { editBody, assignee, toStatus, comment }
+      });
+
+      if (dryRun) {
+        const preview = await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          ...steps[0],
+          notes: [
+            `JQL matches ${issues.length} issue(s): ${issues.map(issue => issue.key).join(', ')}`,
+            ...steps.slice(1).map(step => `Then ${step.method} ${step.endpoint}`),
+            ...operation
+          ],
+          confirmable: true,
+          confirmationScope
+        });
+        preview.content.push({ type: 'text', text: formatRecords(issues, format, VIEWS.issue) });
+        return preview;
+      }
+
+      if (!consumeConfirmationToken(confirmationToken, baseUrl, steps[0].method, confirmationScope)) {
+        throw new Error('Bulk edit requires confirmation. Call jira-bulk-edit with dryRun: true first, then pass the returned confirmationToken. If the JQL now matches different issues, preview again.');
+      }
+
+      const progressToken = extra?._meta?.progressToken;
+      let completed = 0;
+
+      const results = await mapWithConcurrency(issues, concurrency, async issue => {
+        const endpoint = `/rest/api/2/issue/${encodeURIComponent(issue.key)}`;
+        const done = [];
+        let result;
+        try {
+          if (editBody.fields || editBody.update) {
+            await jiraRequest(baseUrl, bearerToken, endpoint, { method: 'PUT', body: JSON.stringify(editBody) });
+            done.push('edited');
+          }
+          if (assignee !== undefined) {
+            await jiraRequest(baseUrl, bearerToken, `${endpoint}/assignee`, {
+              method: 'PUT',
+              body: JSON.stringify({ name: assignee === '-1' ? null : assignee })
+            });
+            done.push(assignee === '-1' ? 'unassigned' : `assigned to ${assignee}`);
+          }
+          if (toStatus) {
+            if (issue.fields?.status?.name?.toLowerCase() === toStatus.trim().toLowerCase()) {
+              done.push(`already ${issue.fields.status.name}`);
+            } else {
+              const { transitions } = await jiraRequest(baseUrl, bearerToken, `${endpoint}/transitions`);
+              const transition = resolveTransition(transitions, { toStatus });
+              await jiraRequest(baseUrl, bearerToken, `${endpoint}/transitions`, {
+                method: 'POST',
+                body: JSON.stringify({ transition: { id: transition.id } })
+              });
+              done.push(`transitioned to ${transition.to?.name || toStatus}`);
+            }
+          }
+          if (comment) {
+            await jiraRequest(baseUrl, bearerToken, `${endpoint}/comment`, { method: 'POST', body: JSON.stringify({ body: comment }) });
+            done.push('commented');
+          }
+          result = { key: issue.key, outcome: 'OK', details: done.join(', ') };
+        } catch (error) {
+          const completedSteps = done.length > 0 ? ` (completed: ${done.join(', ')})` : '';
+          result = { key: issue.key, outcome: 'FAILED', details: `${error.message}${completedSteps}` };
+        }
+
+        completed++;
+        if (progressToken !== undefined) {
+          // A failed notification (e.g., the client went away) must not abort a partly applied edit
+          await extra.sendNotification({
+            method: 'notifications/progress',
+            params: { progressToken, progress: completed, total: issues.length, message: `Processed ${completed} of ${issues.length} issues` }
+          }).catch(() => {});
+        }
+        return result;
+      });
+
+      const failed = results.filter(result => result.outcome === 'FAILED').length;
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(results, format, VIEWS.bulkResult, {
+            summary: `Updated ${issues.length - failed} of ${issues.length} issues${failed > 0 ? ` (${failed} failed)` : ''}`
+          })
+        }],
+        isError: failed === issues.length
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+}
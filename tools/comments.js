@@ -1,4 +1,8 @@
 import { z } from 'zod';
+import { dryRunSchema } from '../lib/utils.js';
+import { dryRunResponse } from '../lib/dry-run.js';
+import { getComments } from '../lib/jira-api.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
 
 /**
  * Register all comment-related tools
@@ -11,16 +15,21 @@ export function registerCommentTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Get issue comments
   mcpServer.registerTool('jira-get-issue-comments', {
     description: 'Get all comments for a specific Jira issue',
+    annotations: { readOnlyHint: true },
     inputSchema: {
-      issueKey: z.string().describe('Issue key (e.g., "DEV-123")')
+      issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
+      format: formatSchema('json')
     }
-  }, async ({ issueKey }) => {
+  }, async ({ issueKey, format }) => {
     try {
-      const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/comment`);
+      const data = await getComments(jiraRequest, baseUrl, bearerToken, issueKey);
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(data, null, 2)
+          text: formatRecords(data.comments, format, VIEWS.comment, {
+            summary: `Total: ${data.total}, Returned: ${data.comments.length}`,
+            raw: data
+          })
         }]
       };
     } catch (error) {
@@ -37,13 +46,21 @@ export function registerCommentTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Add comment
   mcpServer.registerTool('jira-add-comment', {
     description: 'Add a comment to a Jira issue',
+    annotations: { readOnlyHint: false, destructiveHint: false },
     inputSchema: {
       issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
-      body: z.string().describe('Comment text')
+      body: z.string().describe('Comment text'),
+      dryRun: dryRunSchema
     }
-  }, async ({ issueKey, body }) => {
+  }, async ({ issueKey, body, dryRun }) => {
     try {
-      const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/comment`, {
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/comment`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, { method: 'POST', endpoint, body: { body }, issueKey });
+      }
+
+      const data = await jiraRequest(baseUrl, bearerToken, endpoint, {
         method: 'POST',
         body: JSON.stringify({ body })
       });
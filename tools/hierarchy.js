@@ -0,0 +1,315 @@
+import { z } from 'zod';
+import { issueKeySchema, summarySchema, dryRunSchema, MAX_FETCH_ALL_RESULTS } from '../lib/utils.js';
+import { dryRunResponse } from '../lib/dry-run.js';
+import { getIssue, getIssueTypes, searchAllIssues } from '../lib/jira-api.js';
+import { getFieldCatalog, findEpicLinkField, resolveFields } from '../lib/fields.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
+
+// Fields needed to place an issue in a hierarchy; subtasks come back with their own status
+const HIERARCHY_FIELDS = ['summary', 'status', 'issuetype', 'subtasks'];
+
+/**
+ * Build the JQL selecting the issues in an epic
+ * Uses the Epic Link custom field when Jira Software provides one, and the
+ * parent field otherwise (team-managed projects and newer Jira versions).
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string} epicKey - Epic issue key
+ * @returns {Promise<string>} JQL query
+ */
+async function epicIssuesJql(jiraRequest, baseUrl, bearerToken, epicKey) {
+  const epicLink = findEpicLinkField(await getFieldCatalog(jiraRequest, baseUrl, bearerToken));
+  const clause = epicLink ? `cf[${epicLink.id.replace('customfield_', '')}]` : 'parent';
+  return `${clause} = "${epicKey}" ORDER BY key ASC`;
+}
+
+/**
+ * Map a status to its category
+ * @param {Object} status - Status with statusCategory
+ * @returns {string} "done", "inProgress" or "toDo"
+ */
+function statusCategory(status) {
+  switch (status?.statusCategory?.key) {
+    case 'done':
+      return 'done';
+    case 'indeterminate':
+      return 'inProgress';
+    default:
+      return 'toDo';
+  }
+}
+
+/**
+ * Turn an issue (or an entry of fields.subtasks) into a tree node
+ * @param {Object} issue - Issue with summary, status and issuetype
+ * @returns {Object} Node with key, summary, type, status, category and children
+ */
+function toNode(issue) {
+  return {
+    key: issue.key,
+    summary: issue.fields?.summary,
+    type: issue.fields?.issuetype?.name || 'N/A',
+    status: issue.fields?.status?.name || 'N/A',
+    category: statusCategory(issue.fields?.status),
+    children: (issue.fields?.subtasks || []).map(toNode)
+  };
+}
+
+/**
+ * Add status rollups of all descendants to a node and its children
+ * @param {Object} node - Tree node
+ * @returns {Object} The node's rollup: total, done, inProgress and toDo
+ */
+function addRollups(node) {
+  const rollup = { total: 0, done: 0, inProgress: 0, toDo: 0 };
+  for (const child of node.children) {
+    const childRollup = addRollups(child);
+    rollup.total += 1 + childRollup.total;
+    rollup[child.category] += 1;
+    for (const category of ['done', 'inProgress', 'toDo']) {
+      rollup[category] += childRollup[category];
+    }
+  }
+  node.rollup = rollup;
+  return rollup;
+}
+
+/**
+ * Describe a rollup in words
+ * @param {Object} rollup - Rollup from addRollups
+ * @returns {string} e.g., "2 of 5 done (40%), 1 in progress, 2 to do"
+ */
+function describeRollup(rollup) {
+  return `${rollup.done} of ${rollup.total} done (${Math.round((rollup.done / rollup.total) * 100)}%), ${rollup.inProgress} in progress, ${rollup.toDo} to do`;
+}
+
+/**
+ * Render a tree as indented text
+ * @param {Object} node - Tree node with rollups
+ * @param {string} [prefix] - Indentation carried from the parent
+ * @param {boolean} [isLast] - Whether the node is its parent's last child
+ * @param {boolean} [isRoot] - Whether the node is the root
+ * @returns {string[]} One line per node
+ */
+function renderTree(node, prefix = '', isLast = true, isRoot = true) {
+  const branch = isRoot ? '' : (isLast ? '└── ' : '├── ');
+  const rollup = node.rollup.total > 0 ? ` - ${describeRollup(node.rollup)}` : '';
+  const lines = [`${prefix}${branch}${node.key} [${node.type}] ${node.summary} (${node.status})${rollup}`];
+  const childPrefix = isRoot ? '' : `${prefix}${isLast ? '    ' : '│   '}`;
+  node.children.forEach((child, index) => {
+    lines.push(...renderTree(child, childPrefix, index === node.children.length - 1, false));
+  });
+  return lines;
+}
+
+/**
+ * Register tools for sub-tasks, epics and issue hierarchies
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} [options] - Tool options from loadConfig()
+ * @param {Object} [options.search] - Search settings (maxFetchAll caps epic and sub-task lists)
+ */
+export function registerHierarchyTools(mcpServer, jiraRequest, baseUrl, bearerToken, options = {}) {
+  const maxFetchAll = options.search?.maxFetchAll ?? MAX_FETCH_ALL_RESULTS;
+
+  // Create sub-task
+  mcpServer.registerTool('jira-create-subtask', {
+    description: 'Create a sub-task under an existing issue, in the parent\'s project',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      parentKey: issueKeySchema.describe('Parent issue key (e.g., "DEV-123")'),
+      summary: summarySchema.describe('Sub-task summary/title (max 255 characters)'),
+      description: z.string().optional().describe('Sub-task description'),
+      issueType: z.string().min(1).optional().describe('Sub-task issue type name (default: "Sub-task", or the first sub-task type Jira lists)'),
+      fields: z.record(z.any()).optional().describe('Additional fields keyed by field ID or display name (see jira-create-issue)'),
+      dryRun: dryRunSchema
+    }
+  }, async ({ parentKey, summary, description, issueType, fields, dryRun }) => {
+    try {
+      const parent = await getIssue(jiraRequest, baseUrl, bearerToken, parentKey, ['project', 'issuetype']);
+      if (parent.fields.issuetype?.subtask) {
+        throw new Error(`${parentKey} is itself a sub-task; sub-tasks cannot be nested`);
+      }
+
+      let typeName = issueType;
+      if (!typeName) {
+        const subtaskTypes = (await getIssueTypes(jiraRequest, baseUrl, bearerToken)).filter(type => type.subtask);
+        if (subtaskTypes.length === 0) {
+          throw new Error('Jira has no sub-task issue types; enable sub-tasks or pass issueType');
+        }
+        typeName = (subtaskTypes.find(type => type.name.toLowerCase() === 'sub-task') || subtaskTypes[0]).name;
+      }
+
+      const { fields: extraFields, resolved } = await resolveFields(jiraRequest, baseUrl, bearerToken, fields);
+      const issueData = {
+        fields: {
+          project: { key: parent.fields.project.key },
+          parent: { key: parentKey },
+          issuetype: { name: typeName },
+          summary
+        }
+      };
+      if (description) {
+        issueData.fields.description = description;
+      }
+      Object.assign(issueData.fields, extraFields);
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint: '/rest/api/2/issue',
+          body: issueData,
+          notes: [`Creates a ${typeName} under ${parentKey}`, ...resolved]
+        });
+      }
+
+      const data = await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issue', {
+        method: 'POST',
+        body: JSON.stringify(issueData)
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(data, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // List sub-tasks
+  mcpServer.registerTool('jira-get-subtasks', {
+    description: 'List the sub-tasks of an issue',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Parent issue key (e.g., "DEV-123")'),
+      format: formatSchema('concise')
+    }
+  }, async ({ issueKey, format }) => {
+    try {
+      const data = await searchAllIssues(jiraRequest, baseUrl, bearerToken, {
+        jql: `parent = "${issueKey}" ORDER BY key ASC`,
+        budget: maxFetchAll,
+        fields: VIEWS.issue.fields
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(data.issues, format, VIEWS.issue, {
+            summary: `Sub-tasks of ${issueKey}: ${data.total}${data.truncated ? ` (showing the first ${data.issues.length})` : ''}`,
+            raw: data
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // List issues in an epic
+  mcpServer.registerTool('jira-get-epic-issues', {
+    description: 'List all issues in an epic. The Epic Link field is found automatically (falling back to the parent field where epics use it).',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      epicKey: issueKeySchema.describe('Epic issue key (e.g., "DEV-100")'),
+      format: formatSchema('concise')
+    }
+  }, async ({ epicKey, format }) => {
+    try {
+      const jql = await epicIssuesJql(jiraRequest, baseUrl, bearerToken, epicKey);
+      const data = await searchAllIssues(jiraRequest, baseUrl, bearerToken, {
+        jql,
+        budget: maxFetchAll,
+        fields: VIEWS.issue.fields
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(data.issues, format, VIEWS.issue, {
+            summary: `Issues in epic ${epicKey}: ${data.total}${data.truncated ? ` (showing the first ${data.issues.length})` : ''}`,
+            raw: { jql, ...data }
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Hierarchy tree
+  mcpServer.registerTool('jira-get-issue-hierarchy', {
+    description: 'Show an issue as a tree (epic -> issues -> sub-tasks, or issue -> sub-tasks) with status rollups: how many descendants are done, in progress and to do.',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Epic or issue key (e.g., "DEV-100")'),
+      format: z.enum(['concise', 'json']).optional().default('concise').describe('Response format: "concise" returns an indented tree, "json" the nested nodes with rollups (default: "concise")')
+    }
+  }, async ({ issueKey, format }) => {
+    try {
+      const rootIssue = await getIssue(jiraRequest, baseUrl, bearerToken, issueKey, HIERARCHY_FIELDS);
+      const root = toNode(rootIssue);
+      let truncated = false;
+
+      if (root.type.toLowerCase() === 'epic') {
+        const jql = await epicIssuesJql(jiraRequest, baseUrl, bearerToken, issueKey);
+        const data = await searchAllIssues(jiraRequest, baseUrl, bearerToken, { jql, budget: maxFetchAll, fields: HIERARCHY_FIELDS });
+        root.children = data.issues.map(toNode);
+        truncated = data.truncated;
+      }
+      addRollups(root);
+
+      if (format === 'json') {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ ...root, truncated }, null, 2)
+          }]
+        };
+      }
+
+      const lines = renderTree(root);
+      if (truncated) {
+        lines.push('', `TRUNCATED: only the first ${maxFetchAll} issues of the epic are shown`);
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: lines.join('\n')
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+}
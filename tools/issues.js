@@ -1,7 +1,100 @@
 import { z } from 'zod';
-import { issueKeySchema, projectKeySchema, jqlSchema, summarySchema, maxResultsSchema, isValidFilePath } from '../lib/utils.js';
-import { readFile } from 'fs/promises';
-import { basename } from 'path';
+import { issueKeySchema, projectKeySchema, jqlSchema, summarySchema, maxResultsSchema, dryRunSchema, MAX_FETCH_ALL_RESULTS, MAX_UPLOAD_ATTACHMENT_BYTES } from '../lib/utils.js';
+import { dryRunResponse, consumeConfirmationToken } from '../lib/dry-run.js';
+import { getIssue, getIssueHistory, getCreateMetadata, getEditMetadata, searchIssues, searchAllIssues } from '../lib/jira-api.js';
+import { formatSchema, formatRecords, renderSize, VIEWS } from '../lib/formatter.js';
+import { resolveTransition, describeTransitionFields, validateTransitionFields } from '../lib/transitions.js';
+import { resolveFields, resolveFieldKeys, coercePayload, coerceFieldValue } from '../lib/fields.js';
+import { validateScreenFields, validateOperations } from '../lib/field-meta.js';
+import { uploadAttachments, downloadAttachment } from '../lib/attachments.js';
+
+// Fields read from an issue being cloned; custom fields are copied too, so the whole issue is read
+const CLONE_FIELDS = ['*all'];
+
+/**
+ * Build the create payload for a copy of an issue
+ * @param {Object} source - Issue fetched with CLONE_FIELDS
+ * @param {Object} options - What to copy
+ * @param {string} options.projectKey - Project to create the copy in
+ * @param {string} options.summary - Summary for the copy
+ * @param {boolean} options.includeLabels - Copy labels
+ * @param {boolean} options.includeComponents - Copy components (by name, so they must exist in the target project)
+ * @param {string} [options.parentKey] - Parent for sub-tasks
+ * @returns {Object} Body for POST /rest/api/2/issue
+ */
+function buildClonePayload(source, { projectKey, summary, includeLabels, includeComponents, parentKey }) {
+  const fields = {
+    project: { key: projectKey },
+    issuetype: { name: source.fields.issuetype.name },
+    summary
+  };
+  if (source.fields.description) {
+    fields.description = source.fields.description;
+  }
+  if (source.fields.priority) {
+    fields.priority = { name: source.fields.priority.name };
+  }
+  if (includeLabels && source.fields.labels?.length > 0) {
+    fields.labels = source.fields.labels;
+  }
+  if (includeComponents && source.fields.components?.length > 0) {
+    fields.components = source.fields.components.map(component => ({ name: component.name }));
+  }
+  if (parentKey) {
+    fields.parent = { key: parentKey };
+  }
+  return { fields };
+}
+
+/**
+ * Reduce a field value as Jira returns it to the shape it accepts on create
+ * Objects keep only what identifies them (id, else name, else key); cascading selects keep their child.
+ * @param {any} value - Value read from an issue
+ * @returns {any} Value for a create request
+ */
+function toCreateValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(toCreateValue);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value.id !== undefined) {
+    return value.child ? { id: value.id, child: toCreateValue(value.child) } : { id: value.id };
+  }
+  if (value.name !== undefined) {
+    return { name: value.name };
+  }
+  return value.key !== undefined ? { key: value.key } : value;
+}
+
+/**
+ * Copy the custom field values of an issue that the target create screen accepts
+ * @param {Object} source - Issue fetched with CLONE_FIELDS
+ * @param {Object} createFields - Create screen fields keyed by field ID (from getCreateMetadata)
+ * @param {Object} [overrides] - Values set explicitly for the copy; those fields are neither copied nor reported
+ * @returns {{fields: Object, notCopied: string[]}} Values to create with, and one line per custom field left behind
+ */
+function copyCustomFields(source, createFields, overrides = {}) {
+  const fields = {};
+  const notCopied = [];
+  for (const [id, value] of Object.entries(source.fields)) {
+    if (!id.startsWith('customfield_') || Object.hasOwn(overrides, id) || value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+    const meta = createFields[id];
+    if (!meta) {
+      notCopied.push(`Field ${id} is not on the create screen`);
+      continue;
+    }
+    try {
+      fields[id] = coerceFieldValue({ id, ...meta }, toCreateValue(value));
+    } catch (error) {
+      notCopied.push(error.message);
+    }
+  }
+  return { fields, notCopied };
+}
 
 /**
  * Register all issue-related tools
@@ -9,18 +102,23 @@ import { basename } from 'path';
  * @param {Function} jiraRequest - Jira API request function
  * @param {string} baseUrl - Jira base URL
  * @param {string} bearerToken - Bearer token
+ * @param {Object} [options] - Tool options from loadConfig()
+ * @param {Object} [options.safety] - Safety settings (requireDeleteConfirmation)
+ * @param {Object} [options.search] - Search settings (maxFetchAll)
+ * @param {Object} [options.attachments] - Attachment settings (maxUploadBytes caps attachments copied by jira-clone-issue)
  */
-export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken) {
+export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken, options = {}) {
   // Get my issues (shorthand for assignee = currentUser())
   mcpServer.registerTool('jira-get-my-issues', {
     description: 'Get issues assigned to the current user. Shorthand for "assignee = currentUser()" JQL query.',
+    annotations: { readOnlyHint: true },
     inputSchema: {
       maxResults: maxResultsSchema.optional().default(50).describe('Maximum number of results to return (max 50)'),
       startAt: z.number().int().min(0).optional().default(0).describe('Starting index for pagination (default: 0)'),
       status: z.string().optional().describe('Optional status filter (e.g., "Open", "In Progress")'),
       project: z.string().optional().describe('Optional project key filter (e.g., "DEV")'),
-      fields: z.array(z.string()).optional().describe('Optional array of field names to return (e.g., ["summary", "status", "priority"]). If omitted, returns all fields.'),
-      format: z.enum(['json', 'concise']).optional().default('json').describe('Response format: "json" returns full JSON (default), "concise" returns readable text with essential fields only (recommended for large result sets to avoid token limits)')
+      fields: z.array(z.string()).optional().describe('Optional array of field names to return (e.g., ["summary", "status", "priority"]). If omitted, returns all fields. Custom fields are always returned as JSON.'),
+      format: formatSchema('json')
     }
   }, async ({ maxResults, startAt, status, project, fields, format }) => {
     try {
@@ -37,47 +135,24 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
 
       jql += ' ORDER BY updated DESC';
 
-      // Use concise format with essential fields if requested
-      const useConciseFormat = format === 'concise' && (!fields || fields.length === 0);
-      const defaultFields = ['key', 'summary', 'status', 'assignee', 'priority', 'updated', 'created'];
-
-      let endpoint = `/rest/api/2/search?jql=${encodeURIComponent(jql)}&maxResults=${maxResults}&startAt=${startAt}`;
-      if (useConciseFormat) {
-        endpoint += `&fields=${defaultFields.join(',')}`;
-      } else if (fields && fields.length > 0) {
-        endpoint += `&fields=${fields.join(',')}`;
-      }
-      // If neither, don't add fields param (returns all fields - original behavior)
-
-      const data = await jiraRequest(baseUrl, bearerToken, endpoint);
+      // Use the formatter with essential fields unless JSON or custom fields are requested
+      const useFormatter = format !== 'json' && (!fields || fields.length === 0);
 
-      // Format concisely when format=concise
-      if (useConciseFormat) {
-        const issues = data.issues.map(issue => {
-          const status = issue.fields.status?.name || 'N/A';
-          const assignee = issue.fields.assignee?.displayName || 'Unassigned';
-          const priority = issue.fields.priority?.name || 'N/A';
-          const updated = issue.fields.updated ? new Date(issue.fields.updated).toISOString().split('T')[0] : 'N/A';
-          const created = issue.fields.created ? new Date(issue.fields.created).toISOString().split('T')[0] : 'N/A';
-
-          return `${issue.key}: ${issue.fields.summary}\n  Status: ${status} | Assignee: ${assignee} | Priority: ${priority}\n  Created: ${created} | Updated: ${updated}`;
-        }).join('\n\n');
-
-        const summary = `Total: ${data.total}, Returned: ${data.issues.length}, StartAt: ${startAt}, MaxResults: ${maxResults}`;
-
-        return {
-          content: [{
-            type: 'text',
-            text: `${summary}\n\n${issues}`
-          }]
-        };
-      }
+      // Without fields, Jira returns all fields (original behavior)
+      const data = await searchIssues(jiraRequest, baseUrl, bearerToken, {
+        jql,
+        maxResults,
+        startAt,
+        fields: useFormatter ? VIEWS.issue.fields : fields
+      });
 
-      // Return full JSON when custom fields are requested
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(data, null, 2)
+          text: formatRecords(data.issues, useFormatter ? format : 'json', VIEWS.issue, {
+            summary: `Total: ${data.total}, Returned: ${data.issues.length}, StartAt: ${startAt}, MaxResults: ${maxResults}`,
+            raw: data
+          })
         }]
       };
     } catch (error) {
@@ -94,11 +169,12 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   // Get recent issues
   mcpServer.registerTool('jira-get-recent-issues', {
     description: 'Get recently updated or viewed issues for the current user',
+    annotations: { readOnlyHint: true },
     inputSchema: {
       maxResults: maxResultsSchema.optional().default(20).describe('Maximum number of results to return (max 50)'),
       type: z.enum(['updated', 'viewed']).optional().default('updated').describe('Type of recency: "updated" (recently updated) or "viewed" (recently viewed by you)'),
-      fields: z.array(z.string()).optional().describe('Optional array of field names to return (e.g., ["summary", "status", "updated"]). If omitted, returns all fields.'),
-      format: z.enum(['json', 'concise']).optional().default('json').describe('Response format: "json" returns full JSON (default), "concise" returns readable text with essential fields only (recommended for large result sets to avoid token limits)')
+      fields: z.array(z.string()).optional().describe('Optional array of field names to return (e.g., ["summary", "status", "updated"]). If omitted, returns all fields. Custom fields are always returned as JSON.'),
+      format: formatSchema('json')
     }
   }, async ({ maxResults, type, fields, format }) => {
     try {
@@ -112,47 +188,23 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
         jql = '(assignee = currentUser() OR watcher = currentUser()) ORDER BY updated DESC';
       }
 
-      // Use concise format with essential fields if requested
-      const useConciseFormat = format === 'concise' && (!fields || fields.length === 0);
-      const defaultFields = ['key', 'summary', 'status', 'assignee', 'priority', 'updated', 'created'];
+      // Use the formatter with essential fields unless JSON or custom fields are requested
+      const useFormatter = format !== 'json' && (!fields || fields.length === 0);
 
-      let endpoint = `/rest/api/2/search?jql=${encodeURIComponent(jql)}&maxResults=${maxResults}`;
-      if (useConciseFormat) {
-        endpoint += `&fields=${defaultFields.join(',')}`;
-      } else if (fields && fields.length > 0) {
-        endpoint += `&fields=${fields.join(',')}`;
-      }
-      // If neither, don't add fields param (returns all fields - original behavior)
-
-      const data = await jiraRequest(baseUrl, bearerToken, endpoint);
-
-      // Format concisely when format=concise
-      if (useConciseFormat) {
-        const issues = data.issues.map(issue => {
-          const status = issue.fields.status?.name || 'N/A';
-          const assignee = issue.fields.assignee?.displayName || 'Unassigned';
-          const priority = issue.fields.priority?.name || 'N/A';
-          const updated = issue.fields.updated ? new Date(issue.fields.updated).toISOString().split('T')[0] : 'N/A';
-          const created = issue.fields.created ? new Date(issue.fields.created).toISOString().split('T')[0] : 'N/A';
-
-          return `${issue.key}: ${issue.fields.summary}\n  Status: ${status} | Assignee: ${assignee} | Priority: ${priority}\n  Created: ${created} | Updated: ${updated}`;
-        }).join('\n\n');
-
-        const summary = `Total: ${data.total}, Returned: ${data.issues.length}, StartAt: 0, MaxResults: ${maxResults}`;
-
-        return {
-          content: [{
-            type: 'text',
-            text: `${summary}\n\n${issues}`
-          }]
-        };
-      }
+      // Without fields, Jira returns all fields (original behavior)
+      const data = await searchIssues(jiraRequest, baseUrl, bearerToken, {
+        jql,
+        maxResults,
+        fields: useFormatter ? VIEWS.issue.fields : fields
+      });
 
-      // Return full JSON when custom fields are requested
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(data, null, 2)
+          text: formatRecords(data.issues, useFormatter ? format : 'json', VIEWS.issue, {
+            summary: `Total: ${data.total}, Returned: ${data.issues.length}, StartAt: 0, MaxResults: ${maxResults}`,
+            raw: data
+          })
         }]
       };
     } catch (error) {
@@ -167,58 +219,73 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   });
 
   // Search issues
+  const maxFetchAll = options.search?.maxFetchAll ?? MAX_FETCH_ALL_RESULTS;
   mcpServer.registerTool('jira-search-issues', {
-    description: 'Search for Jira issues using JQL (Jira Query Language)',
+    description: `Search for Jira issues using JQL (Jira Query Language). Set fetchAll or limit to collect results across pages (up to ${maxFetchAll} issues).`,
+    annotations: { readOnlyHint: true },
     inputSchema: {
       jql: jqlSchema.describe('JQL query string (e.g., "project = CORE AND status = Open")'),
-      maxResults: maxResultsSchema.optional().default(50).describe('Maximum number of results to return (max 50)'),
+      maxResults: maxResultsSchema.optional().default(50).describe('Maximum number of results to return (max 50). Ignored when fetchAll or limit is set.'),
       startAt: z.number().int().min(0).optional().default(0).describe('Starting index for pagination (default: 0)'),
-      fields: z.array(z.string()).optional().describe('Optional array of field names to return (e.g., ["summary", "status", "assignee"]). If omitted, returns all fields.'),
-      format: z.enum(['json', 'concise']).optional().default('json').describe('Response format: "json" returns full JSON (default), "concise" returns readable text with essential fields only (recommended for large result sets to avoid token limits)')
+      fetchAll: z.boolean().optional().default(false).describe(`Fetch every matching issue across pages, up to ${maxFetchAll} (default: false)`),
+      limit: z.number().int().min(1).optional().describe(`Fetch across pages until this many issues are collected (capped at ${maxFetchAll})`),
+      fields: z.array(z.string()).optional().describe('Optional array of field names to return (e.g., ["summary", "status", "assignee"]). If omitted, returns all fields. Custom fields are always returned as JSON.'),
+      format: formatSchema('json')
     }
-  }, async ({ jql, maxResults, startAt, fields, format }) => {
+  }, async ({ jql, maxResults, startAt, fetchAll, limit, fields, format }, extra) => {
     try {
-      // Use concise format with essential fields if requested
-      const useConciseFormat = format === 'concise' && (!fields || fields.length === 0);
-      const defaultFields = ['key', 'summary', 'status', 'assignee', 'priority', 'updated', 'created'];
-
-      let endpoint = `/rest/api/2/search?jql=${encodeURIComponent(jql)}&maxResults=${maxResults}&startAt=${startAt}`;
-      if (useConciseFormat) {
-        endpoint += `&fields=${defaultFields.join(',')}`;
-      } else if (fields && fields.length > 0) {
-        endpoint += `&fields=${fields.join(',')}`;
+      // Use the formatter with essential fields unless JSON or custom fields are requested
+      const useFormatter = format !== 'json' && (!fields || fields.length === 0);
+      // Without fields, Jira returns all fields (original behavior)
+      const requestFields = useFormatter ? VIEWS.issue.fields : fields;
+      const paginate = fetchAll || limit !== undefined;
+
+      let data;
+      let budget;
+      if (paginate) {
+        budget = Math.min(limit ?? maxFetchAll, maxFetchAll);
+        const progressToken = extra?._meta?.progressToken;
+
+        data = await searchAllIssues(jiraRequest, baseUrl, bearerToken, {
+          jql,
+          budget,
+          startAt,
+          fields: requestFields,
+          onPage: progressToken === undefined ? undefined : async ({ fetched, total }) => {
+            await extra.sendNotification({
+              method: 'notifications/progress',
+              params: {
+                progressToken,
+                progress: fetched,
+                total: Math.min(total - startAt, budget),
+                message: `Fetched ${fetched} of ${total} issues`
+              }
+            });
+          }
+        });
+      } else {
+        data = await searchIssues(jiraRequest, baseUrl, bearerToken, {
+          jql,
+          maxResults,
+          startAt,
+          fields: requestFields
+        });
       }
-      // If neither, don't add fields param (returns all fields - original behavior)
 
-      const data = await jiraRequest(baseUrl, bearerToken, endpoint);
-
-      // Format concisely when format=concise
-      if (useConciseFormat) {
-        const issues = data.issues.map(issue => {
-          const status = issue.fields.status?.name || 'N/A';
-          const assignee = issue.fields.assignee?.displayName || 'Unassigned';
-          const priority = issue.fields.priority?.name || 'N/A';
-          const updated = issue.fields.updated ? new Date(issue.fields.updated).toISOString().split('T')[0] : 'N/A';
-          const created = issue.fields.created ? new Date(issue.fields.created).toISOString().split('T')[0] : 'N/A';
-
-          return `${issue.key}: ${issue.fields.summary}\n  Status: ${status} | Assignee: ${assignee} | Priority: ${priority}\n  Created: ${created} | Updated: ${updated}`;
-        }).join('\n\n');
-
-        const summary = `Total: ${data.total}, Returned: ${data.issues.length}, StartAt: ${startAt}, MaxResults: ${maxResults}`;
-
-        return {
-          content: [{
-            type: 'text',
-            text: `${summary}\n\n${issues}`
-          }]
-        };
+      let summary = `Total: ${data.total}, Returned: ${data.issues.length}, StartAt: ${startAt}, MaxResults: ${paginate ? budget : maxResults}`;
+      if (paginate) {
+        summary += data.truncated
+          ? `\nTRUNCATED: stopped at ${budget} issues; ${data.total - startAt - data.issues.length} more match (continue with startAt: ${startAt + data.issues.length})`
+          : '\nComplete: all matching issues returned';
       }
 
-      // Return full JSON when custom fields are requested
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(data, null, 2)
+          text: formatRecords(data.issues, useFormatter ? format : 'json', VIEWS.issue, {
+            summary,
+            raw: paginate ? { ...data, limit: budget, returned: data.issues.length } : data
+          })
         }]
       };
     } catch (error) {
@@ -235,17 +302,14 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   // Get issue
   mcpServer.registerTool('jira-get-issue', {
     description: 'Get details of a specific Jira issue',
+    annotations: { readOnlyHint: true },
     inputSchema: {
       issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
       fields: z.array(z.string()).optional().describe('Optional array of field names to return (e.g., ["summary", "status", "assignee"]). If omitted, returns all fields.')
     }
   }, async ({ issueKey, fields }) => {
     try {
-      let endpoint = `/rest/api/2/issue/${issueKey}`;
-      if (fields && fields.length > 0) {
-        endpoint += `?fields=${fields.join(',')}`;
-      }
-      const data = await jiraRequest(baseUrl, bearerToken, endpoint);
+      const data = await getIssue(jiraRequest, baseUrl, bearerToken, issueKey, fields);
       return {
         content: [{
           type: 'text',
@@ -263,18 +327,81 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
     }
   });
 
+  // Get issue history
+  mcpServer.registerTool('jira-get-issue-history', {
+    description: 'Get the change history of an issue (who changed which field, from what to what, and when), oldest first. Filter by field, author or date range.',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      field: z.string().optional().describe('Only changes to this field (e.g., "status", "assignee", "Story Points"; case-insensitive)'),
+      author: z.string().optional().describe('Only changes by this user (username or display name; case-insensitive)'),
+      since: z.string().datetime({ offset: true }).or(z.string().date()).optional().describe('Only changes at or after this date or ISO 8601 timestamp (e.g., "2025-01-01")'),
+      until: z.string().datetime({ offset: true }).or(z.string().date()).optional().describe('Only changes before this date or ISO 8601 timestamp'),
+      maxResults: z.number().int().min(1).max(100).optional().default(50).describe('Maximum number of changes to return (max 100)'),
+      startAt: z.number().int().min(0).optional().default(0).describe('Index of the first matching change to return (default: 0)'),
+      format: formatSchema('concise')
+    }
+  }, async ({ issueKey, field, author, since, until, maxResults, startAt, format }) => {
+    try {
+      const history = await getIssueHistory(jiraRequest, baseUrl, bearerToken, issueKey);
+      const wantedField = field?.trim().toLowerCase();
+      const wantedAuthor = author?.trim().toLowerCase();
+      const sinceTime = since ? new Date(since).getTime() : -Infinity;
+      const untilTime = until ? new Date(until).getTime() : Infinity;
+
+      const matching = history.changes.filter(change => {
+        const created = new Date(change.created).getTime();
+        return (!wantedField || change.field?.toLowerCase() === wantedField)
+          && (!wantedAuthor || [change.author?.name, change.author?.displayName].some(name => name?.toLowerCase() === wantedAuthor))
+          && created >= sinceTime
+          && created < untilTime;
+      });
+      const page = matching.slice(startAt, startAt + maxResults);
+      const nextStartAt = startAt + page.length < matching.length ? startAt + page.length : null;
+
+      const summary = [
+        `${history.key}: ${history.summary}`,
+        `Changes: ${matching.length} matching of ${history.changes.length}, showing ${page.length}${page.length > 0 ? ` from ${startAt}` : ''}`,
+        ...(nextStartAt !== null ? [`More changes available (continue with startAt: ${nextStartAt})`] : [])
+      ].join('\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(page, format, VIEWS.change, {
+            summary,
+            raw: { issueKey: history.key, total: matching.length, startAt, maxResults, changes: page }
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
   // Create issue
   mcpServer.registerTool('jira-create-issue', {
     description: 'Create a new Jira issue',
+    annotations: { readOnlyHint: false, destructiveHint: false },
     inputSchema: {
       projectKey: projectKeySchema.describe('Project key (e.g., "DEV")'),
       issueType: z.string().min(1).describe('Issue type name (e.g., "Bug", "Story", "Task")'),
       summary: summarySchema.describe('Issue summary/title (max 255 characters)'),
       description: z.string().optional().describe('Issue description'),
-      fields: z.record(z.any()).optional().describe('Additional custom fields as JSON object')
+      fields: z.record(z.any()).optional().describe('Additional fields keyed by field ID or display name, e.g., { "Story Points": 5, "Epic Link": "DEV-100", "Components": ["Backend"] }. Simple values are converted to the shape each field type expects.'),
+      validate: z.boolean().optional().default(true).describe('Check required fields and allowed values against the create screen before sending (default: true)'),
+      dryRun: dryRunSchema
     }
-  }, async ({ projectKey, issueType, summary, description, fields = {} }) => {
+  }, async ({ projectKey, issueType, summary, description, fields = {}, validate, dryRun }) => {
     try {
+      const { fields: extraFields, resolved } = await resolveFields(jiraRequest, baseUrl, bearerToken, fields);
+
       // Start with required fields
       const issueData = {
         fields: {
@@ -291,7 +418,28 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
 
       // Merge additional fields after core fields are set
       // This allows custom fields and components to be added
-      Object.assign(issueData.fields, fields);
+      Object.assign(issueData.fields, extraFields);
+
+      // Pre-flight check against the create screen so every problem is reported at once
+      let problems = [];
+      if (validate) {
+        const meta = await getCreateMetadata(jiraRequest, baseUrl, bearerToken, projectKey, issueType);
+        issueData.fields.issuetype = { name: meta.issueType.name };
+        problems = validateScreenFields(meta.fields, issueData, { screenName: `the create screen for ${meta.issueType.name} in ${projectKey}` });
+      }
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint: '/rest/api/2/issue',
+          body: issueData,
+          notes: [`Creates a new ${issueType} in project ${projectKey}`, ...resolved, ...problems.map(problem => `Would be rejected: ${problem}`)]
+        });
+      }
+
+      if (problems.length > 0) {
+        throw new Error(`Issue not created. Fix these fields (see jira-get-create-metadata):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+      }
 
       const data = await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issue', {
         method: 'POST',
@@ -317,16 +465,22 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
 
   // Update issue
   mcpServer.registerTool('jira-update-issue', {
-    description: 'Update an existing Jira issue',
+    description: 'Update an existing Jira issue. Fields are checked against the issue\'s edit screen (see jira-get-edit-metadata) before anything is sent.',
+    annotations: { readOnlyHint: false, destructiveHint: true },
     inputSchema: {
-      issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
-      summary: z.string().optional().describe('Updated summary/title'),
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      summary: summarySchema.optional().describe('Updated summary/title (max 255 characters)'),
       description: z.string().optional().describe('Updated description'),
-      fields: z.record(z.any()).optional().describe('Additional fields to update as JSON object')
+      fields: z.record(z.any()).optional().describe('Additional fields to update, keyed by field ID or display name, e.g., { "Story Points": 8, "Sprint": 42 }. Simple values are converted to the shape each field type expects.'),
+      update: z.record(z.array(z.record(z.any()))).optional().describe('Field operations keyed by field ID or display name, e.g., { "labels": [{ "add": "urgent" }, { "remove": "stale" }], "Components": [{ "add": "Backend" }] }. Use these to add or remove values of multi-value fields without replacing the rest.'),
+      validate: z.boolean().optional().default(true).describe('Check fields, values and operations against the edit screen before sending (default: true)'),
+      dryRun: dryRunSchema
     }
-  }, async ({ issueKey, summary, description, fields = {} }) => {
+  }, async ({ issueKey, summary, description, fields = {}, update = {}, validate, dryRun }) => {
     try {
-      const updateData = { fields: { ...fields } };
+      const { fields: resolvedFields, resolved } = await resolveFields(jiraRequest, baseUrl, bearerToken, fields);
+      const { values: resolvedUpdate, resolved: resolvedOperations } = await resolveFieldKeys(jiraRequest, baseUrl, bearerToken, update);
+      let updateData = { fields: resolvedFields, update: resolvedUpdate };
 
       if (summary) {
         updateData.fields.summary = summary;
@@ -336,7 +490,38 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
         updateData.fields.description = description;
       }
 
-      await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}`, {
+      // Pre-flight check against the edit screen so every problem is reported at once
+      let problems = [];
+      if (validate) {
+        const editmeta = await getEditMetadata(jiraRequest, baseUrl, bearerToken, issueKey);
+        updateData = coercePayload(editmeta, updateData);
+        problems = [
+          ...validateScreenFields(editmeta, updateData, { screenName: `the edit screen of ${issueKey}`, checkRequired: false }),
+          ...validateOperations(editmeta, updateData.update)
+        ];
+      }
+
+      if (Object.keys(updateData.update).length === 0) {
+        delete updateData.update;
+      }
+
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'PUT',
+          endpoint,
+          body: updateData,
+          issueKey,
+          notes: [...resolved, ...resolvedOperations, ...problems.map(problem => `Would be rejected: ${problem}`)]
+        });
+      }
+
+      if (problems.length > 0) {
+        throw new Error(`Issue not updated. Fix these fields (see jira-get-edit-metadata):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
         method: 'PUT',
         body: JSON.stringify(updateData)
       });
@@ -358,15 +543,194 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
     }
   });
 
+  // Clone issue
+  mcpServer.registerTool('jira-clone-issue', {
+    description: 'Copy an issue (summary, description, type, priority, custom fields on the target create screen, and optionally labels, components, sub-tasks and attachments) into the same or another project, and link the copy back to the original with a "Cloners" link. Other fields (e.g., assignee, fix versions, due date) are not copied; custom fields that cannot be copied are listed in the result.',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue to clone (e.g., "DEV-123")'),
+      projectKey: projectKeySchema.optional().describe('Project for the copy (default: the source issue\'s project)'),
+      summary: summarySchema.optional().describe('Summary for the copy (default: "CLONE - " followed by the source summary)'),
+      fields: z.record(z.any()).optional().describe('Fields to set on the copy, keyed by field ID or display name (see jira-create-issue)'),
+      includeLabels: z.boolean().optional().default(true).describe('Copy labels (default: true)'),
+      includeComponents: z.boolean().optional().default(true).describe('Copy components by name; they must exist in the target project (default: true)'),
+      includeSubtasks: z.boolean().optional().default(false).describe('Copy sub-tasks under the new issue (default: false)'),
+      includeAttachments: z.boolean().optional().default(false).describe('Copy attachments of the cloned issue (default: false)'),
+      linkToSource: z.boolean().optional().default(true).describe('Link the copy to the source with a "Cloners" link (default: true)'),
+      dryRun: dryRunSchema
+    }
+  }, async ({ issueKey, projectKey, summary, fields, includeLabels, includeComponents, includeSubtasks, includeAttachments, linkToSource, dryRun }) => {
+    try {
+      const source = await getIssue(jiraRequest, baseUrl, bearerToken, issueKey, CLONE_FIELDS);
+      const targetProject = projectKey || source.fields.project.key;
+      const sameProject = targetProject === source.fields.project.key;
+
+      if (source.fields.parent && !sameProject) {
+        throw new Error(`${issueKey} is a sub-task of ${source.fields.parent.key}; sub-tasks can only be cloned within project ${source.fields.project.key}`);
+      }
+
+      const { fields: overrides, resolved } = await resolveFields(jiraRequest, baseUrl, bearerToken, fields);
+      const { fields: createFields } = await getCreateMetadata(jiraRequest, baseUrl, bearerToken, targetProject, source.fields.issuetype.name);
+      const issueData = buildClonePayload(source, {
+        projectKey: targetProject,
+        summary: summary || `CLONE - ${source.fields.summary}`,
+        includeLabels,
+        includeComponents,
+        parentKey: source.fields.parent?.key
+      });
+      const { fields: customFields, notCopied } = copyCustomFields(source, createFields, overrides);
+      Object.assign(issueData.fields, customFields, overrides);
+
+      const subtasks = includeSubtasks ? source.fields.subtasks || [] : [];
+      const maxAttachmentBytes = options.attachments?.maxUploadBytes ?? MAX_UPLOAD_ATTACHMENT_BYTES;
+      const allAttachments = includeAttachments ? source.fields.attachment || [] : [];
+      // Oversized attachments are skipped up front rather than downloaded and refused
+      const attachments = allAttachments.filter(attachment => !(attachment.size > maxAttachmentBytes));
+      const skippedAttachments = allAttachments.filter(attachment => attachment.size > maxAttachmentBytes);
+      const skippedList = `over the ${renderSize(maxAttachmentBytes)} limit: ${skippedAttachments.map(attachment => `${attachment.filename} (${renderSize(attachment.size)})`).join(', ')}`;
+
+      if (dryRun) {
+        const notes = [`Creates a copy of ${issueKey} in project ${targetProject}`, ...resolved];
+        if (subtasks.length > 0) {
+          notes.push(`Copies ${subtasks.length} sub-task(s): ${subtasks.map(subtask => subtask.key).join(', ')}`);
+        }
+        if (attachments.length > 0) {
+          notes.push(`Copies ${attachments.length} attachment(s): ${attachments.map(attachment => attachment.filename).join(', ')}`);
+        }
+        if (skippedAttachments.length > 0) {
+          notes.push(`Skips attachment(s) ${skippedList}`);
+        }
+        notes.push(...notCopied.map(line => `Does not copy: ${line}`));
+        if (linkToSource) {
+          notes.push(`Links the copy to ${issueKey} (Cloners)`);
+        }
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint: '/rest/api/2/issue',
+          body: issueData,
+          notes
+        });
+      }
+
+      const created = await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issue', {
+        method: 'POST',
+        body: JSON.stringify(issueData)
+      });
+      const cloneKey = created.key;
+      const lines = [`Cloned ${issueKey} to ${cloneKey}`];
+      const problems = [...notCopied];
+
+      // The copy exists from here on, so later steps report failures instead of aborting
+      if (linkToSource) {
+        try {
+          await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issueLink', {
+            method: 'POST',
+            body: JSON.stringify({
+              type: { name: 'Cloners' },
+              inwardIssue: { key: cloneKey },
+              outwardIssue: { key: issueKey }
+            })
+          });
+          lines.push(`Linked ${cloneKey} to ${issueKey} (Cloners)`);
+        } catch (error) {
+          problems.push(`Cloners link: ${error.message}`);
+        }
+      }
+
+      const subtaskKeys = [];
+      for (const { key } of subtasks) {
+        try {
+          const subtask = await getIssue(jiraRequest, baseUrl, bearerToken, key, CLONE_FIELDS);
+          const subtaskMeta = await getCreateMetadata(jiraRequest, baseUrl, bearerToken, targetProject, subtask.fields.issuetype.name);
+          const subtaskData = buildClonePayload(subtask, {
+            projectKey: targetProject,
+            summary: subtask.fields.summary,
+            includeLabels,
+            includeComponents,
+            parentKey: cloneKey
+          });
+          const { fields: subtaskFields, notCopied: subtaskNotCopied } = copyCustomFields(subtask, subtaskMeta.fields);
+          Object.assign(subtaskData.fields, subtaskFields);
+          const createdSubtask = await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issue', {
+            method: 'POST',
+            body: JSON.stringify(subtaskData)
+          });
+          subtaskKeys.push(`${createdSubtask.key} (from ${key})`);
+          problems.push(...subtaskNotCopied.map(line => `Sub-task ${key}: ${line}`));
+        } catch (error) {
+          problems.push(`Sub-task ${key}: ${error.message}`);
+        }
+      }
+      if (subtaskKeys.length > 0) {
+        lines.push(`Sub-tasks: ${subtaskKeys.join(', ')}`);
+      }
+
+      let copiedAttachments = 0;
+      for (const attachment of attachments) {
+        try {
+          const content = await downloadAttachment(jiraRequest, baseUrl, bearerToken, attachment, maxAttachmentBytes);
+          await uploadAttachments(jiraRequest, baseUrl, bearerToken, cloneKey, [{ fileName: attachment.filename, content }]);
+          copiedAttachments++;
+        } catch (error) {
+          problems.push(`Attachment ${attachment.filename}: ${error.message}`);
+        }
+      }
+      if (allAttachments.length > 0) {
+        lines.push(`Attachments: ${copiedAttachments} of ${allAttachments.length} copied`);
+      }
+      if (skippedAttachments.length > 0) {
+        lines.push(`Skipped attachment(s) ${skippedList}`);
+      }
+
+      if (problems.length > 0) {
+        lines.push('', 'Not copied:', ...problems.map(problem => `  - ${problem}`));
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: lines.join('\n')
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
   // Delete issue
   mcpServer.registerTool('jira-delete-issue', {
-    description: 'Delete a Jira issue permanently',
+    description: 'Delete a Jira issue permanently. Run with dryRun first to preview; if the server requires delete confirmation, pass the confirmationToken returned by the dry run.',
+    annotations: { readOnlyHint: false, destructiveHint: true },
     inputSchema: {
-      issueKey: z.string().describe('Issue key to delete (e.g., "DEV-123")')
+      issueKey: z.string().describe('Issue key to delete (e.g., "DEV-123")'),
+      dryRun: dryRunSchema,
+      confirmationToken: z.string().optional().describe('Token returned by a prior dry run (required when delete confirmation is enabled)')
     }
-  }, async ({ issueKey }) => {
+  }, async ({ issueKey, dryRun, confirmationToken }) => {
     try {
-      await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}`, {
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'DELETE',
+          endpoint,
+          issueKey,
+          notes: ['Permanently deletes the issue'],
+          confirmable: true
+        });
+      }
+
+      if (options.safety?.requireDeleteConfirmation && !consumeConfirmationToken(confirmationToken, baseUrl, 'DELETE', endpoint)) {
+        throw new Error('Deletion requires confirmation. Call jira-delete-issue with dryRun: true first, then pass the returned confirmationToken.');
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
         method: 'DELETE'
       });
 
@@ -390,12 +754,18 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   // Get issue transitions
   mcpServer.registerTool('jira-get-issue-transitions', {
     description: 'Get available transitions for a Jira issue (to see what status changes are possible)',
+    annotations: { readOnlyHint: true },
     inputSchema: {
-      issueKey: z.string().describe('Issue key (e.g., "DEV-123")')
+      issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
+      includeFields: z.boolean().optional().default(false).describe('Include the fields on each transition screen, with required flags and allowed values (default: false)')
     }
-  }, async ({ issueKey }) => {
+  }, async ({ issueKey, includeFields }) => {
     try {
-      const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/transitions`);
+      let endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/transitions`;
+      if (includeFields) {
+        endpoint += '?expand=transitions.fields';
+      }
+      const data = await jiraRequest(baseUrl, bearerToken, endpoint);
       return {
         content: [{
           type: 'text',
@@ -415,22 +785,94 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
 
   // Transition issue
   mcpServer.registerTool('jira-transition-issue', {
-    description: 'Transition a Jira issue to a new status. Use get_issue_transitions first to see available transitions.',
+    description: 'Transition a Jira issue to a new status, by target status name (e.g., "In Review"), transition name or transition ID. Statuses that are not directly reachable can be reached by listing intermediate statuses in "via". Screen fields such as resolution are validated before posting; missing required fields are reported with their allowed values.',
+    annotations: { readOnlyHint: false, destructiveHint: true },
     inputSchema: {
       issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
-      transitionId: z.string().describe('Transition ID (get from get_issue_transitions)')
+      transitionId: z.string().optional().describe('Transition ID (get from jira-get-issue-transitions). Use this or toStatus.'),
+      toStatus: z.string().optional().describe('Target status name (e.g., "In Review") or transition name (e.g., "Start Progress"), matched case-insensitively. Use this or transitionId.'),
+      via: z.array(z.string()).optional().describe('Intermediate statuses (or transition names) to pass through, in order, before toStatus (e.g., ["In Progress"])'),
+      fields: z.record(z.any()).optional().describe('Transition screen field values for the final step (e.g., {"resolution": {"name": "Fixed"}})'),
+      update: z.record(z.array(z.record(z.any()))).optional().describe('Field operations for the final step (e.g., {"fixVersions": [{"add": {"name": "1.0"}}]})'),
+      comment: z.string().optional().describe('Comment to add with the final step'),
+      dryRun: dryRunSchema
     }
-  }, async ({ issueKey, transitionId }) => {
+  }, async ({ issueKey, transitionId, toStatus, via = [], fields, update, comment, dryRun }) => {
     try {
-      await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/transitions`, {
-        method: 'POST',
-        body: JSON.stringify({ transition: { id: transitionId } })
-      });
+      if ((transitionId === undefined) === (toStatus === undefined)) {
+        throw new Error('Provide exactly one of transitionId or toStatus');
+      }
+      if (via.length > 0 && toStatus === undefined) {
+        throw new Error('"via" requires toStatus');
+      }
+
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/transitions`;
+      const steps = transitionId !== undefined ? [{ transitionId }] : [...via, toStatus].map(status => ({ toStatus: status }));
+
+      // Screen values and the comment go with the final step only
+      const finalPayload = {
+        ...(fields && { fields }),
+        ...((update || comment) && { update: { ...update, ...(comment && { comment: [{ add: { body: comment } }] }) } })
+      };
+
+      // Fetch transitions with their screen fields so requirements can be checked before posting
+      const getTransitions = async () => {
+        const { transitions = [] } = await jiraRequest(baseUrl, bearerToken, `${endpoint}?expand=transitions.fields`);
+        return transitions;
+      };
+
+      if (dryRun) {
+        // Only the first step can be resolved up front; later steps depend on the workflow state it leads to
+        const transition = resolveTransition(await getTransitions(), steps[0]);
+        const payload = steps.length === 1 ? finalPayload : {};
+        const notes = [`Transition "${transition.name}" (ID ${transition.id})`];
+        const screenFields = describeTransitionFields(transition);
+        if (screenFields.length > 0) {
+          notes.push(`Screen fields: ${screenFields.join('; ')}`);
+        }
+        notes.push(...validateTransitionFields(transition, payload).map(problem => `Would be rejected: ${problem}`));
+        if (steps.length > 1) {
+          notes.push(`Then: ${steps.slice(1).map(step => step.toStatus).join(' -> ')} (resolved after each step; fields, update and comment apply to the last)`);
+        }
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint,
+          body: { transition: { id: transition.id }, ...payload },
+          issueKey,
+          proposedFields: { status: transition.to, ...payload.fields },
+          notes
+        });
+      }
+
+      const path = [];
+      for (const [index, step] of steps.entries()) {
+        try {
+          const transition = resolveTransition(await getTransitions(), step);
+          const payload = index === steps.length - 1 ? finalPayload : {};
+          const problems = validateTransitionFields(transition, payload);
+          if (problems.length > 0) {
+            throw new Error(`Transition "${transition.name}" cannot be performed as requested:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+          }
+          await jiraRequest(baseUrl, bearerToken, endpoint, {
+            method: 'POST',
+            body: JSON.stringify({ transition: { id: transition.id }, ...payload })
+          });
+          path.push(transition.to?.name || transition.name);
+        } catch (error) {
+          if (steps.length > 1) {
+            const done = path.length > 0 ? `completed: ${path.join(' -> ')}` : 'no steps completed';
+            error.message = `Step ${index + 1} of ${steps.length} failed (${done}). ${error.message}`;
+          }
+          throw error;
+        }
+      }
 
       return {
         content: [{
           type: 'text',
-          text: `Issue ${issueKey} transitioned successfully`
+          text: path.length > 1
+            ? `Issue ${issueKey} transitioned successfully: ${path.join(' -> ')}`
+            : `Issue ${issueKey} transitioned successfully to ${path[0]}`
         }]
       };
     } catch (error) {
@@ -447,15 +889,28 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   // Assign issue
   mcpServer.registerTool('jira-assign-issue', {
     description: 'Assign a Jira issue to a user, or unassign it',
+    annotations: { readOnlyHint: false, destructiveHint: true },
     inputSchema: {
       issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
-      username: z.string().optional().describe('Username to assign (omit or use "-1" to unassign)')
+      username: z.string().optional().describe('Username to assign (omit or use "-1" to unassign)'),
+      dryRun: dryRunSchema
     }
-  }, async ({ issueKey, username }) => {
+  }, async ({ issueKey, username, dryRun }) => {
     try {
       const assignData = { name: username === '-1' ? null : username };
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/assignee`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'PUT',
+          endpoint,
+          body: assignData,
+          issueKey,
+          proposedFields: { assignee: assignData.name ? { name: assignData.name } : null }
+        });
+      }
 
-      await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/assignee`, {
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
         method: 'PUT',
         body: JSON.stringify(assignData)
       });
@@ -481,13 +936,27 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   // Add watcher
   mcpServer.registerTool('jira-add-watcher', {
     description: 'Add a user as a watcher to a Jira issue',
+    annotations: { readOnlyHint: false, destructiveHint: false },
     inputSchema: {
       issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
-      username: z.string().describe('Username to add as watcher')
+      username: z.string().describe('Username to add as watcher'),
+      dryRun: dryRunSchema
     }
-  }, async ({ issueKey, username }) => {
+  }, async ({ issueKey, username, dryRun }) => {
     try {
-      await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/watchers`, {
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/watchers`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint,
+          body: username,
+          issueKey,
+          notes: [`Adds ${username} as a watcher`]
+        });
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
         method: 'POST',
         body: JSON.stringify(username)
       });
@@ -512,13 +981,26 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   // Remove watcher
   mcpServer.registerTool('jira-remove-watcher', {
     description: 'Remove a user as a watcher from a Jira issue',
+    annotations: { readOnlyHint: false, destructiveHint: true },
     inputSchema: {
       issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
-      username: z.string().describe('Username to remove as watcher')
+      username: z.string().describe('Username to remove as watcher'),
+      dryRun: dryRunSchema
     }
-  }, async ({ issueKey, username }) => {
+  }, async ({ issueKey, username, dryRun }) => {
     try {
-      await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/watchers?username=${encodeURIComponent(username)}`, {
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/watchers?username=${encodeURIComponent(username)}`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'DELETE',
+          endpoint,
+          issueKey,
+          notes: [`Removes ${username} as a watcher`]
+        });
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
         method: 'DELETE'
       });
 
@@ -538,92 +1020,4 @@ export function registerIssueTools(mcpServer, jiraRequest, baseUrl, bearerToken)
       };
     }
   });
-
-  // Link issues
-  mcpServer.registerTool('jira-link-issues', {
-    description: 'Create a link between two Jira issues',
-    inputSchema: {
-      type: z.string().describe('Link type name (e.g., "Blocks", "Relates", "Duplicates")'),
-      inwardIssue: z.string().describe('Inward issue key (e.g., "DEV-123")'),
-      outwardIssue: z.string().describe('Outward issue key (e.g., "DEV-456")')
-    }
-  }, async ({ type, inwardIssue, outwardIssue }) => {
-    try {
-      const linkData = {
-        type: { name: type },
-        inwardIssue: { key: inwardIssue },
-        outwardIssue: { key: outwardIssue }
-      };
-
-      await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issueLink', {
-        method: 'POST',
-        body: JSON.stringify(linkData)
-      });
-
-      return {
-        content: [{
-          type: 'text',
-          text: `Successfully created ${type} link between ${inwardIssue} and ${outwardIssue}`
-        }]
-      };
-    } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: `Error: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  });
-
-  // Upload attachment
-  mcpServer.registerTool('jira-upload-attachment', {
-    description: 'Upload a file attachment to a Jira issue',
-    inputSchema: {
-      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
-      filePath: z.string().refine(isValidFilePath, {
-        message: 'File path must be within the current working directory to prevent path traversal attacks'
-      }).describe('File path to upload (must be within current directory)')
-    }
-  }, async ({ issueKey, filePath }) => {
-    try {
-      const fileContent = await readFile(filePath);
-      const fileName = basename(filePath);
-
-      const formData = new FormData();
-      const blob = new Blob([fileContent]);
-      formData.append('file', blob, fileName);
-
-      const url = `${baseUrl}/rest/api/2/issue/${encodeURIComponent(issueKey)}/attachments`;
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${bearerToken}`,
-          'X-Atlassian-Token': 'no-check'
-        },
-        body: formData
-      });
-
-      if (!response.ok) {
-        throw new Error(`Jira API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify(data, null, 2)
-        }]
-      };
-    } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: `Error: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  });
 }
@@ -0,0 +1,324 @@
+import { z } from 'zod';
+import { issueKeySchema, jqlSchema, dryRunSchema, MAX_GRAPH_ISSUES, GRAPH_BATCH_SIZE } from '../lib/utils.js';
+import { dryRunResponse, consumeConfirmationToken } from '../lib/dry-run.js';
+import { getIssue, getLinkTypes, searchAllIssues } from '../lib/jira-api.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
+import {
+  GRAPH_FIELDS,
+  walkDependencyGraph,
+  findCycles,
+  findUnresolvedBlockers,
+  describeGraph,
+  renderMermaid,
+  renderDot,
+  renderAdjacency
+} from '../lib/dependency-graph.js';
+
+// Graph renderers by output format
+const GRAPH_RENDERERS = {
+  mermaid: renderMermaid,
+  dot: renderDot,
+  adjacency: renderAdjacency
+};
+
+/**
+ * Find a link type by name (case-insensitive)
+ * @param {Object[]} linkTypes - Link types from getLinkTypes()
+ * @param {string} name - Requested link type name
+ * @returns {Object} Matching link type
+ * @throws {Error} When no link type has that name, listing the available ones
+ */
+function findLinkType(linkTypes, name) {
+  const wanted = name.trim().toLowerCase();
+  const linkType = linkTypes.find(type => type.name.toLowerCase() === wanted);
+  if (!linkType) {
+    const available = linkTypes.map(type => `${type.name} ("${type.outward}" / "${type.inward}")`).join(', ');
+    throw new Error(`Unknown link type "${name}". Available link types: ${available}`);
+  }
+  return linkType;
+}
+
+/**
+ * Describe a link as a sentence
+ * Jira applies the outward wording from the inward issue: with type "Blocks",
+ * inwardIssue DEV-1 and outwardIssue DEV-2, "DEV-1 blocks DEV-2".
+ * @param {Object} link - Link with type, inwardIssue and outwardIssue
+ * @returns {string} e.g., "DEV-1 blocks DEV-2"
+ */
+function describeLink(link) {
+  return `${link.inwardIssue.key} ${link.type.outward} ${link.outwardIssue.key}`;
+}
+
+/**
+ * Turn an issue's links into records seen from that issue
+ * Each entry of fields.issuelinks holds only the other issue: outwardIssue when
+ * the issue is on the outward side of the wording ("blocks"), inwardIssue otherwise.
+ * @param {Object[]} issueLinks - fields.issuelinks of an issue
+ * @returns {Object[]} Records with id, type, direction, relation and the linked issue
+ */
+function toLinkRecords(issueLinks) {
+  return issueLinks.map(link => {
+    const outward = Boolean(link.outwardIssue);
+    return {
+      id: link.id,
+      type: link.type.name,
+      direction: outward ? 'outward' : 'inward',
+      relation: outward ? link.type.outward : link.type.inward,
+      issue: outward ? link.outwardIssue : link.inwardIssue
+    };
+  });
+}
+
+/**
+ * Fetch issues by key for the dependency graph walk, a batch of keys per search
+ * Issues the user cannot see are simply missing from the result.
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {string[]} keys - Issue keys
+ * @returns {Promise<Object[]>} Issues with GRAPH_FIELDS
+ */
+async function fetchGraphIssues(jiraRequest, baseUrl, bearerToken, keys) {
+  const issues = [];
+  for (let i = 0; i < keys.length; i += GRAPH_BATCH_SIZE) {
+    const batch = keys.slice(i, i + GRAPH_BATCH_SIZE);
+    const data = await searchAllIssues(jiraRequest, baseUrl, bearerToken, {
+      jql: `key in (${batch.join(',')})`,
+      budget: batch.length,
+      fields: GRAPH_FIELDS
+    });
+    issues.push(...data.issues);
+  }
+  return issues;
+}
+
+/**
+ * Register tools for issue links and link types
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} [options] - Tool options from loadConfig()
+ * @param {Object} [options.safety] - Safety settings (requireDeleteConfirmation)
+ */
+export function registerLinkTools(mcpServer, jiraRequest, baseUrl, bearerToken, options = {}) {
+  // List link types
+  mcpServer.registerTool('jira-list-link-types', {
+    description: 'List the issue link types (e.g., Blocks: "blocks" / "is blocked by"). Cached for 5 minutes.',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      format: formatSchema('concise')
+    }
+  }, async ({ format }) => {
+    try {
+      const linkTypes = await getLinkTypes(jiraRequest, baseUrl, bearerToken);
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(linkTypes, format, VIEWS.linkType, {
+            summary: `Link types: ${linkTypes.length}`,
+            raw: linkTypes
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // List an issue's links
+  mcpServer.registerTool('jira-get-issue-links', {
+    description: 'List the links of an issue in both directions, worded from that issue (e.g., "blocks DEV-2", "is blocked by DEV-3"), with the link IDs used by jira-delete-issue-link',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      format: formatSchema('concise')
+    }
+  }, async ({ issueKey, format }) => {
+    try {
+      const issue = await getIssue(jiraRequest, baseUrl, bearerToken, issueKey, ['issuelinks']);
+      const links = toLinkRecords(issue.fields.issuelinks || []);
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(links, format, VIEWS.issueLink, {
+            summary: `Links of ${issueKey}: ${links.length}`,
+            raw: issue.fields.issuelinks || []
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Link issues
+  mcpServer.registerTool('jira-link-issues', {
+    description: 'Create a link between two Jira issues. The link type must be one listed by jira-list-link-types; the result reads "<inwardIssue> <outward wording> <outwardIssue>", e.g., "DEV-1 blocks DEV-2".',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      type: z.string().min(1).describe('Link type name (e.g., "Blocks", "Relates", "Duplicates")'),
+      inwardIssue: issueKeySchema.describe('Inward issue key (e.g., "DEV-123")'),
+      outwardIssue: issueKeySchema.describe('Outward issue key (e.g., "DEV-456")'),
+      dryRun: dryRunSchema
+    }
+  }, async ({ type, inwardIssue, outwardIssue, dryRun }) => {
+    try {
+      const linkType = findLinkType(await getLinkTypes(jiraRequest, baseUrl, bearerToken), type);
+      const linkData = {
+        type: { name: linkType.name },
+        inwardIssue: { key: inwardIssue },
+        outwardIssue: { key: outwardIssue }
+      };
+      const sentence = describeLink({ ...linkData, type: linkType });
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint: '/rest/api/2/issueLink',
+          body: linkData,
+          notes: [`Creates a ${linkType.name} link: ${sentence}`]
+        });
+      }
+
+      await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issueLink', {
+        method: 'POST',
+        body: JSON.stringify(linkData)
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully created ${linkType.name} link: ${sentence}`
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Dependency graph
+  mcpServer.registerTool('jira-get-dependency-graph', {
+    description: 'Follow issue links (by default "Blocks") from an issue or a JQL set, across projects, up to a depth, and render the graph as Mermaid, Graphviz DOT or an adjacency list. Reports cycles and open issues that block other open issues.',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.optional().describe('Root issue key (e.g., "DEV-123"); give this or jql'),
+      jql: jqlSchema.optional().describe('JQL selecting the root issues (e.g., "fixVersion = 2.0"); give this or issueKey'),
+      depth: z.number().int().min(1).max(10).optional().default(3).describe('Number of links to follow from the roots (default: 3, max 10)'),
+      linkTypes: z.array(z.string().min(1)).optional().default(['Blocks']).describe('Link type names to follow (default: ["Blocks"]; an empty list follows every type, see jira-list-link-types)'),
+      maxIssues: z.number().int().min(1).max(1000).optional().default(MAX_GRAPH_ISSUES).describe(`Stop adding issues after this many (default: ${MAX_GRAPH_ISSUES}, max 1000)`),
+      format: z.enum(['mermaid', 'dot', 'adjacency', 'json']).optional().default('mermaid').describe('Response format: "mermaid" flowchart, Graphviz "dot", "adjacency" list, or "json" nodes and edges (default: "mermaid")')
+    }
+  }, async ({ issueKey, jql, depth, linkTypes, maxIssues, format }) => {
+    try {
+      if (Boolean(issueKey) === Boolean(jql)) {
+        throw new Error('Give either issueKey or jql');
+      }
+
+      const roots = issueKey
+        ? [await getIssue(jiraRequest, baseUrl, bearerToken, issueKey, GRAPH_FIELDS)]
+        : (await searchAllIssues(jiraRequest, baseUrl, bearerToken, { jql, budget: maxIssues + 1, fields: GRAPH_FIELDS })).issues;
+      const graph = await walkDependencyGraph(roots, keys => fetchGraphIssues(jiraRequest, baseUrl, bearerToken, keys), { depth, maxIssues, linkTypes });
+      const analysis = { cycles: findCycles(graph), blockers: findUnresolvedBlockers(graph) };
+
+      if (format === 'json') {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              nodes: [...graph.nodes.values()],
+              edges: graph.edges,
+              cycles: analysis.cycles,
+              unresolvedBlockers: analysis.blockers,
+              truncated: graph.truncated
+            }, null, 2)
+          }]
+        };
+      }
+
+      const title = issueKey || `"${jql}"`;
+      return {
+        content: [{
+          type: 'text',
+          text: [...describeGraph(graph, analysis, title), '', GRAPH_RENDERERS[format](graph, analysis)].join('\n')
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Delete a link
+  mcpServer.registerTool('jira-delete-issue-link', {
+    description: 'Delete an issue link by ID (see jira-get-issue-links). Run with dryRun first to preview; if the server requires delete confirmation, pass the confirmationToken returned by the dry run.',
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      linkId: z.string().regex(/^\d+$/, 'Link ID must be numeric').describe('Issue link ID (e.g., "10010")'),
+      dryRun: dryRunSchema,
+      confirmationToken: z.string().optional().describe('Token returned by a prior dry run (required when delete confirmation is enabled)')
+    }
+  }, async ({ linkId, dryRun, confirmationToken }) => {
+    try {
+      const endpoint = `/rest/api/2/issueLink/${linkId}`;
+
+      if (dryRun) {
+        const link = await jiraRequest(baseUrl, bearerToken, endpoint);
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'DELETE',
+          endpoint,
+          notes: [`Removes the ${link.type.name} link: ${describeLink(link)}`],
+          confirmable: true
+        });
+      }
+
+      if (options.safety?.requireDeleteConfirmation && !consumeConfirmationToken(confirmationToken, baseUrl, 'DELETE', endpoint)) {
+        throw new Error('Deletion requires confirmation. Call jira-delete-issue-link with dryRun: true first, then pass the returned confirmationToken.');
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
+        method: 'DELETE'
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Issue link ${linkId} deleted successfully`
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+}
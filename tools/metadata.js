@@ -1,4 +1,8 @@
-import { getCached } from '../lib/utils.js';
+import { z } from 'zod';
+import { getCached, issueKeySchema, projectKeySchema } from '../lib/utils.js';
+import { getFieldCatalog } from '../lib/fields.js';
+import { getIssueTypes, getCreateMetadata, getEditMetadata } from '../lib/jira-api.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
 
 /**
  * Register all metadata-related tools
@@ -11,13 +15,12 @@ export function registerMetadataTools(mcpServer, jiraRequest, baseUrl, bearerTok
   // Get custom fields
   mcpServer.registerTool('jira-get-custom-fields', {
     description: 'Get all custom field definitions from Jira. Returns field ID, name, and schema information. Cached for 5 minutes.',
+    annotations: { readOnlyHint: true },
     inputSchema: {}
   }, async () => {
     try {
-      const data = await getCached('custom-fields', async () => {
-        const fields = await jiraRequest(baseUrl, bearerToken, '/rest/api/2/field');
-        return fields.filter(field => field.custom);
-      });
+      const fields = await getFieldCatalog(jiraRequest, baseUrl, bearerToken);
+      const data = fields.filter(field => field.custom);
 
       return {
         content: [{
@@ -39,12 +42,11 @@ export function registerMetadataTools(mcpServer, jiraRequest, baseUrl, bearerTok
   // List issue types
   mcpServer.registerTool('jira-list-issue-types', {
     description: 'Get list of all available issue types in Jira (Bug, Story, Task, etc.). Cached for 5 minutes.',
+    annotations: { readOnlyHint: true },
     inputSchema: {}
   }, async () => {
     try {
-      const data = await getCached('issue-types', async () => {
-        return await jiraRequest(baseUrl, bearerToken, '/rest/api/2/issuetype');
-      });
+      const data = await getIssueTypes(jiraRequest, baseUrl, bearerToken);
       return {
         content: [{
           type: 'text',
@@ -65,10 +67,11 @@ export function registerMetadataTools(mcpServer, jiraRequest, baseUrl, bearerTok
   // List statuses
   mcpServer.registerTool('jira-list-statuses', {
     description: 'Get list of all available issue statuses in Jira. Cached for 5 minutes.',
+    annotations: { readOnlyHint: true },
     inputSchema: {}
   }, async () => {
     try {
-      const data = await getCached('statuses', async () => {
+      const data = await getCached(`${baseUrl}:statuses`, async () => {
         return await jiraRequest(baseUrl, bearerToken, '/rest/api/2/status');
       });
       return {
@@ -87,4 +90,89 @@ export function registerMetadataTools(mcpServer, jiraRequest, baseUrl, bearerTok
       };
     }
   });
+
+  // Get create metadata
+  mcpServer.registerTool('jira-get-create-metadata', {
+    description: 'Show what is needed to create an issue: without issueType, the issue types that can be created in a project; with issueType, every field on its create screen with required flags and allowed values. Cached for 5 minutes.',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      projectKey: projectKeySchema.describe('Project key (e.g., "DEV")'),
+      issueType: z.string().min(1).optional().describe('Issue type name (e.g., "Bug"); omit to list the project\'s issue types'),
+      format: formatSchema('concise')
+    }
+  }, async ({ projectKey, issueType, format }) => {
+    try {
+      const meta = await getCreateMetadata(jiraRequest, baseUrl, bearerToken, projectKey, issueType);
+
+      if (!issueType) {
+        return {
+          content: [{
+            type: 'text',
+            text: formatRecords(meta.issueTypes, format, VIEWS.issueType, {
+              summary: `Issue types in ${projectKey}: ${meta.issueTypes.length}`,
+              raw: meta.issueTypes
+            })
+          }]
+        };
+      }
+
+      const fields = Object.entries(meta.fields)
+        .map(([id, field]) => ({ id, ...field }))
+        .sort((a, b) => Number(b.required) - Number(a.required));
+      const required = fields.filter(field => field.required).length;
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(fields, format, VIEWS.fieldMeta, {
+            summary: `Create screen for ${meta.issueType.name} in ${projectKey}: ${fields.length} fields, ${required} required`,
+            raw: meta
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Get edit metadata
+  mcpServer.registerTool('jira-get-edit-metadata', {
+    description: 'Show which fields of an issue can be edited, with their types, the update operations each supports (set, add, remove) and allowed values. Fields not listed cannot be changed with jira-update-issue. Cached for 1 minute.',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      format: formatSchema('concise')
+    }
+  }, async ({ issueKey, format }) => {
+    try {
+      const editmeta = await getEditMetadata(jiraRequest, baseUrl, bearerToken, issueKey);
+      const fields = Object.entries(editmeta)
+        .map(([id, field]) => ({ id, ...field }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(fields, format, VIEWS.editField, {
+            summary: `Editable fields of ${issueKey}: ${fields.length}`,
+            raw: editmeta
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
 }
@@ -1,5 +1,7 @@
 import { z } from 'zod';
 import { maxResultsSchema, getCached } from '../lib/utils.js';
+import { getProjectSummary } from '../lib/jira-api.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
 
 /**
  * Register all project-related tools
@@ -12,13 +14,15 @@ export function registerProjectTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Get projects
   mcpServer.registerTool('jira-get-projects', {
     description: 'Get list of all accessible Jira projects with pagination. Returns key and name for each project. Cached for 5 minutes.',
+    annotations: { readOnlyHint: true },
     inputSchema: {
       maxResults: maxResultsSchema.optional().default(10).describe('Maximum number of projects to return (default: 10, max: 50)'),
-      startAt: z.number().int().min(0).optional().default(0).describe('Starting index for pagination (default: 0)')
+      startAt: z.number().int().min(0).optional().default(0).describe('Starting index for pagination (default: 0)'),
+      format: formatSchema('concise')
     }
-  }, async ({ maxResults = 10, startAt = 0 }) => {
+  }, async ({ maxResults = 10, startAt = 0, format = 'concise' }) => {
     try {
-      const cacheKey = `projects-${maxResults}-${startAt}`;
+      const cacheKey = `${baseUrl}:projects-${maxResults}-${startAt}`;
       const data = await getCached(cacheKey, async () => {
         const params = new URLSearchParams();
         params.append('maxResults', Math.min(maxResults, 50).toString());
@@ -28,16 +32,13 @@ export function registerProjectTools(mcpServer, jiraRequest, baseUrl, bearerToke
         return await jiraRequest(baseUrl, bearerToken, endpoint);
       });
 
-      // Extract just key and name to minimize response size
-      const projects = data.map(p => `${p.key}: ${p.name}`).join('\n');
-
-      // Add pagination info
-      const summary = `Returned: ${data.length}, StartAt: ${startAt}, HasMore: ${data.length === maxResults}`;
-
+      // Concise output is just key and name to minimize response size
       return {
         content: [{
           type: 'text',
-          text: `${summary}\n\n${projects}`
+          text: formatRecords(data, format, VIEWS.project, {
+            summary: `Returned: ${data.length}, StartAt: ${startAt}, HasMore: ${data.length === maxResults}`
+          })
         }]
       };
     } catch (error) {
@@ -54,31 +55,13 @@ export function registerProjectTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Get project details
   mcpServer.registerTool('jira-get-project-details', {
     description: 'Get detailed information about a specific Jira project',
+    annotations: { readOnlyHint: true },
     inputSchema: {
       projectKey: z.string().describe('Project key (e.g., "DEV", "CORE")')
     }
   }, async ({ projectKey }) => {
     try {
-      const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/project/${encodeURIComponent(projectKey)}`);
-
-      // Extract only essential fields to minimize response size
-      const summary = {
-        key: data.key,
-        name: data.name,
-        description: data.description,
-        lead: data.lead?.displayName || data.lead?.name,
-        projectTypeKey: data.projectTypeKey,
-        archived: data.archived,
-        componentCount: data.components?.length || 0,
-        versionCount: data.versions?.length || 0,
-        issueTypeCount: data.issueTypes?.length || 0,
-        components: data.components?.slice(0, 10).map(c => `${c.name}${c.description ? ': ' + c.description : ''}`),
-        issueTypes: data.issueTypes?.map(t => t.name)
-      };
-
-      if (data.components?.length > 10) {
-        summary.components.push(`... and ${data.components.length - 10} more components`);
-      }
+      const summary = await getProjectSummary(jiraRequest, baseUrl, bearerToken, projectKey);
 
       return {
         content: [{
@@ -100,10 +83,12 @@ export function registerProjectTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Get project versions
   mcpServer.registerTool('jira-get-project-versions', {
     description: 'Get all versions (releases) for a specific Jira project. Useful for creating issues with fix versions.',
+    annotations: { readOnlyHint: true },
     inputSchema: {
-      projectKey: z.string().describe('Project key (e.g., "DEV", "CORE")')
+      projectKey: z.string().describe('Project key (e.g., "DEV", "CORE")'),
+      format: formatSchema('json')
     }
-  }, async ({ projectKey }) => {
+  }, async ({ projectKey, format }) => {
     try {
       const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/project/${encodeURIComponent(projectKey)}/versions`);
 
@@ -120,7 +105,7 @@ export function registerProjectTools(mcpServer, jiraRequest, baseUrl, bearerToke
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(versions, null, 2)
+          text: formatRecords(versions, format, VIEWS.version, { summary: `Returned: ${versions.length}` })
         }]
       };
     } catch (error) {
@@ -137,10 +122,12 @@ export function registerProjectTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Get project components
   mcpServer.registerTool('jira-get-project-components', {
     description: 'Get all components for a specific Jira project. Useful for creating issues with components.',
+    annotations: { readOnlyHint: true },
     inputSchema: {
-      projectKey: z.string().describe('Project key (e.g., "DEV", "CORE")')
+      projectKey: z.string().describe('Project key (e.g., "DEV", "CORE")'),
+      format: formatSchema('json')
     }
-  }, async ({ projectKey }) => {
+  }, async ({ projectKey, format }) => {
     try {
       const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/project/${encodeURIComponent(projectKey)}/components`);
 
@@ -155,7 +142,7 @@ export function registerProjectTools(mcpServer, jiraRequest, baseUrl, bearerToke
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(components, null, 2)
+          text: formatRecords(components, format, VIEWS.component, { summary: `Returned: ${components.length}` })
         }]
       };
     } catch (error) {
@@ -0,0 +1,259 @@
+import { z } from 'zod';
+import { issueKeySchema, dryRunSchema } from '../lib/utils.js';
+import { dryRunResponse, consumeConfirmationToken } from '../lib/dry-run.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
+
+const remoteLinkIdSchema = z.string().regex(/^\d+$/, 'Remote link ID must be numeric');
+
+// Descriptions shared by the create and update tools
+const LINK_FIELD_DESCRIPTIONS = {
+  url: 'Link URL (e.g., a pull request or design doc)',
+  title: 'Link title shown on the issue',
+  summary: 'Short description shown under the title',
+  iconUrl: 'URL of a 16x16 icon',
+  iconTitle: 'Icon tooltip (e.g., "GitHub")',
+  relationship: 'Relationship shown as the link group heading (e.g., "implemented by", "documented in")'
+};
+
+/**
+ * Build a remote link body, keeping values of an existing link that are not overridden
+ * @param {Object} values - New values (url, title, summary, iconUrl, iconTitle, relationship, globalId)
+ * @param {Object} [existing] - Remote link as returned by Jira
+ * @returns {Object} Body for POST or PUT /remotelink
+ */
+function buildRemoteLink({ url, title, summary, iconUrl, iconTitle, relationship, globalId }, existing = {}) {
+  const link = { ...existing, object: { ...existing.object } };
+  delete link.id;
+  delete link.self;
+
+  const setIfGiven = (target, key, value) => {
+    if (value !== undefined) {
+      target[key] = value;
+    }
+  };
+  setIfGiven(link, 'globalId', globalId);
+  setIfGiven(link, 'relationship', relationship);
+  setIfGiven(link.object, 'url', url);
+  setIfGiven(link.object, 'title', title);
+  setIfGiven(link.object, 'summary', summary);
+  if (iconUrl !== undefined || iconTitle !== undefined) {
+    link.object.icon = { ...link.object.icon };
+    setIfGiven(link.object.icon, 'url16x16', iconUrl);
+    setIfGiven(link.object.icon, 'title', iconTitle);
+  }
+  return link;
+}
+
+/**
+ * Register tools for remote (web) links on issues
+ * @param {McpServer} mcpServer - MCP server instance
+ * @param {Function} jiraRequest - Jira API request function
+ * @param {string} baseUrl - Jira base URL
+ * @param {string} bearerToken - Bearer token
+ * @param {Object} [options] - Tool options from loadConfig()
+ * @param {Object} [options.safety] - Safety settings (requireDeleteConfirmation)
+ */
+export function registerRemoteLinkTools(mcpServer, jiraRequest, baseUrl, bearerToken, options = {}) {
+  const remoteLinksEndpoint = issueKey => `/rest/api/2/issue/${encodeURIComponent(issueKey)}/remotelink`;
+
+  // List remote links
+  mcpServer.registerTool('jira-get-remote-links', {
+    description: 'List the remote (web) links of an issue, such as pull requests and design docs',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      format: formatSchema('concise')
+    }
+  }, async ({ issueKey, format }) => {
+    try {
+      const links = await jiraRequest(baseUrl, bearerToken, remoteLinksEndpoint(issueKey));
+
+      return {
+        content: [{
+          type: 'text',
+          text: formatRecords(links, format, VIEWS.remoteLink, {
+            summary: `Remote links of ${issueKey}: ${links.length}`,
+            raw: links
+          })
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Add (or upsert) a remote link
+  mcpServer.registerTool('jira-add-remote-link', {
+    description: 'Add a remote (web) link to an issue. With a globalId, a link already carrying that ID is updated instead, so re-running the same automation never creates duplicates.',
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      url: z.string().url().describe(LINK_FIELD_DESCRIPTIONS.url),
+      title: z.string().min(1).describe(LINK_FIELD_DESCRIPTIONS.title),
+      summary: z.string().optional().describe(LINK_FIELD_DESCRIPTIONS.summary),
+      iconUrl: z.string().url().optional().describe(LINK_FIELD_DESCRIPTIONS.iconUrl),
+      iconTitle: z.string().optional().describe(LINK_FIELD_DESCRIPTIONS.iconTitle),
+      relationship: z.string().optional().describe(LINK_FIELD_DESCRIPTIONS.relationship),
+      globalId: z.string().min(1).optional().describe('Stable ID identifying the link across runs (e.g., "github:acme/shop/pull/42"); an existing link with this ID is updated'),
+      dryRun: dryRunSchema
+    }
+  }, async ({ issueKey, dryRun, ...values }) => {
+    try {
+      const endpoint = remoteLinksEndpoint(issueKey);
+      const existing = values.globalId
+        ? (await jiraRequest(baseUrl, bearerToken, endpoint)).find(link => link.globalId === values.globalId)
+        : undefined;
+      const linkData = buildRemoteLink(values, existing);
+      const action = existing ? `Updates remote link ${existing.id} (globalId ${values.globalId})` : 'Adds a new remote link';
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'POST',
+          endpoint,
+          body: linkData,
+          issueKey,
+          notes: [`${action}: ${linkData.object.title} (${linkData.object.url})`]
+        });
+      }
+
+      const data = await jiraRequest(baseUrl, bearerToken, endpoint, {
+        method: 'POST',
+        body: JSON.stringify(linkData)
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${existing ? 'Updated' : 'Added'} remote link ${data?.id ?? existing?.id} on ${issueKey}: ${linkData.object.title} (${linkData.object.url})`
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Update a remote link
+  mcpServer.registerTool('jira-update-remote-link', {
+    description: 'Change a remote link by ID (see jira-get-remote-links). Only the given values change; the rest of the link is kept.',
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      linkId: remoteLinkIdSchema.describe('Remote link ID (e.g., "10000")'),
+      url: z.string().url().optional().describe(LINK_FIELD_DESCRIPTIONS.url),
+      title: z.string().min(1).optional().describe(LINK_FIELD_DESCRIPTIONS.title),
+      summary: z.string().optional().describe(LINK_FIELD_DESCRIPTIONS.summary),
+      iconUrl: z.string().url().optional().describe(LINK_FIELD_DESCRIPTIONS.iconUrl),
+      iconTitle: z.string().optional().describe(LINK_FIELD_DESCRIPTIONS.iconTitle),
+      relationship: z.string().optional().describe(LINK_FIELD_DESCRIPTIONS.relationship),
+      dryRun: dryRunSchema
+    }
+  }, async ({ issueKey, linkId, dryRun, ...values }) => {
+    try {
+      const endpoint = `${remoteLinksEndpoint(issueKey)}/${linkId}`;
+      const existing = await jiraRequest(baseUrl, bearerToken, endpoint);
+      const linkData = buildRemoteLink(values, existing);
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'PUT',
+          endpoint,
+          body: linkData,
+          issueKey,
+          notes: [`Replaces remote link ${linkId}: ${existing.object?.title} (${existing.object?.url})`]
+        });
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
+        method: 'PUT',
+        body: JSON.stringify(linkData)
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Remote link ${linkId} on ${issueKey} updated successfully`
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Delete a remote link
+  mcpServer.registerTool('jira-delete-remote-link', {
+    description: 'Delete a remote link by ID or globalId. Run with dryRun first to preview; if the server requires delete confirmation, pass the confirmationToken returned by the dry run.',
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      issueKey: issueKeySchema.describe('Issue key (e.g., "DEV-123")'),
+      linkId: remoteLinkIdSchema.optional().describe('Remote link ID (e.g., "10000"); give this or globalId'),
+      globalId: z.string().min(1).optional().describe('Global ID of the link; give this or linkId'),
+      dryRun: dryRunSchema,
+      confirmationToken: z.string().optional().describe('Token returned by a prior dry run (required when delete confirmation is enabled)')
+    }
+  }, async ({ issueKey, linkId, globalId, dryRun, confirmationToken }) => {
+    try {
+      if (Boolean(linkId) === Boolean(globalId)) {
+        throw new Error('Give either linkId or globalId');
+      }
+      const endpoint = linkId
+        ? `${remoteLinksEndpoint(issueKey)}/${linkId}`
+        : `${remoteLinksEndpoint(issueKey)}?globalId=${encodeURIComponent(globalId)}`;
+
+      if (dryRun) {
+        const links = await jiraRequest(baseUrl, bearerToken, remoteLinksEndpoint(issueKey));
+        const link = links.find(candidate => (linkId ? String(candidate.id) === linkId : candidate.globalId === globalId));
+        if (!link) {
+          throw new Error(`${issueKey} has no remote link with ${linkId ? `ID ${linkId}` : `globalId ${globalId}`}`);
+        }
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, {
+          method: 'DELETE',
+          endpoint,
+          issueKey,
+          notes: [`Removes remote link ${link.id}: ${link.object?.title} (${link.object?.url})`],
+          confirmable: true
+        });
+      }
+
+      if (options.safety?.requireDeleteConfirmation && !consumeConfirmationToken(confirmationToken, baseUrl, 'DELETE', endpoint)) {
+        throw new Error('Deletion requires confirmation. Call jira-delete-remote-link with dryRun: true first, then pass the returned confirmationToken.');
+      }
+
+      await jiraRequest(baseUrl, bearerToken, endpoint, {
+        method: 'DELETE'
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Remote link ${linkId || globalId} deleted from ${issueKey}`
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+}
@@ -11,6 +11,7 @@ export function registerUserTools(mcpServer, jiraRequest, baseUrl, bearerToken)
   // Get user
   mcpServer.registerTool('jira-get-user', {
     description: 'Get details of a Jira user. Omit username to get current authenticated user.',
+    annotations: { readOnlyHint: true },
     inputSchema: {
       username: z.string().optional().describe('Username to lookup (omit for current user)')
     }
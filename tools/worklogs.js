@@ -1,4 +1,7 @@
 import { z } from 'zod';
+import { dryRunSchema } from '../lib/utils.js';
+import { dryRunResponse } from '../lib/dry-run.js';
+import { formatSchema, formatRecords, VIEWS } from '../lib/formatter.js';
 
 /**
  * Register all worklog-related tools
@@ -11,16 +14,21 @@ export function registerWorklogTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Get issue worklogs
   mcpServer.registerTool('jira-get-issue-worklogs', {
     description: 'Get all worklogs (time tracking entries) for a specific Jira issue',
+    annotations: { readOnlyHint: true },
     inputSchema: {
-      issueKey: z.string().describe('Issue key (e.g., "DEV-123")')
+      issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
+      format: formatSchema('json')
     }
-  }, async ({ issueKey }) => {
+  }, async ({ issueKey, format }) => {
     try {
       const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/worklog`);
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(data, null, 2)
+          text: formatRecords(data.worklogs, format, VIEWS.worklog, {
+            summary: `Total: ${data.total}, Returned: ${data.worklogs.length}`,
+            raw: data
+          })
         }]
       };
     } catch (error) {
@@ -37,13 +45,15 @@ export function registerWorklogTools(mcpServer, jiraRequest, baseUrl, bearerToke
   // Add worklog
   mcpServer.registerTool('jira-add-worklog', {
     description: 'Add a worklog entry (time tracking) to a Jira issue',
+    annotations: { readOnlyHint: false, destructiveHint: false },
     inputSchema: {
       issueKey: z.string().describe('Issue key (e.g., "DEV-123")'),
       timeSpent: z.string().describe('Time spent in Jira format (e.g., "3h 30m", "1d", "2w 3d 4h")'),
       comment: z.string().optional().describe('Optional comment for the worklog entry'),
-      started: z.string().optional().describe('Optional start date/time in ISO 8601 format (e.g., "2025-10-08T14:30:00.000+0000"). Defaults to now.')
+      started: z.string().optional().describe('Optional start date/time in ISO 8601 format (e.g., "2025-10-08T14:30:00.000+0000"). Defaults to now.'),
+      dryRun: dryRunSchema
     }
-  }, async ({ issueKey, timeSpent, comment, started }) => {
+  }, async ({ issueKey, timeSpent, comment, started, dryRun }) => {
     try {
       const worklogData = {
         timeSpent
@@ -57,7 +67,13 @@ export function registerWorklogTools(mcpServer, jiraRequest, baseUrl, bearerToke
         worklogData.started = started;
       }
 
-      const data = await jiraRequest(baseUrl, bearerToken, `/rest/api/2/issue/${encodeURIComponent(issueKey)}/worklog`, {
+      const endpoint = `/rest/api/2/issue/${encodeURIComponent(issueKey)}/worklog`;
+
+      if (dryRun) {
+        return await dryRunResponse(jiraRequest, baseUrl, bearerToken, { method: 'POST', endpoint, body: worklogData, issueKey });
+      }
+
+      const data = await jiraRequest(baseUrl, bearerToken, endpoint, {
         method: 'POST',
         body: JSON.stringify(worklogData)
       });